@@ -0,0 +1,69 @@
+#!/usr/bin/env python3
+"""
+Generate results/manifest.json for the web viewers
+Lists every leaf (ba_output / vggt) and merged folder of a GTSfM results tree.
+Children are left out; the viewer infers them from the C_x_y folder naming.
+
+With --timings the manifest also records when each folder was finished
+(the newest mtime of its files), so the timeline can replay the run's real
+event order. Only meaningful on the machine that ran the reconstruction,
+before the files are copied.
+
+Run: python generate_manifest.py data/gerrard-hall/results
+     python generate_manifest.py data/gerrard-hall-vggt/results --leaf-type vggt
+     python generate_manifest.py data/gerrard-hall/results --timings
+"""
+
+import argparse
+import json
+from pathlib import Path
+
+
+def find_folders(results_dir, leaf_type):
+    """Collect leaf/merged folders relative to the results directory"""
+    folders = []
+    for path in sorted(results_dir.rglob('*')):
+        if not path.is_dir() or path.name not in (leaf_type, 'merged'):
+            continue
+        rel = path.relative_to(results_dir)
+        # Only folders at the root or inside C_x_y cluster folders
+        if all(part.startswith('C_') for part in rel.parts[:-1]):
+            folders.append(rel.as_posix())
+    return folders
+
+
+def folder_timings(results_dir, folders):
+    """Finish time (epoch seconds) of each folder: its newest file's mtime"""
+    timings = {}
+    for folder in folders:
+        mtimes = [f.stat().st_mtime for f in (results_dir / folder).iterdir() if f.is_file()]
+        if mtimes:
+            timings[folder] = {'finish': round(max(mtimes), 3)}
+    return timings
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument('results_dir', type=Path, help='GTSfM results directory')
+    parser.add_argument('--leaf-type', default='ba_output', help='Leaf folder name (ba_output or vggt)')
+    parser.add_argument('--timings', action='store_true', help='Record folder finish times from file mtimes')
+    args = parser.parse_args()
+
+    folders = find_folders(args.results_dir, args.leaf_type)
+    manifest = {
+        'leafType': args.leaf_type,
+        'folders': folders
+    }
+    if args.timings:
+        manifest['timings'] = folder_timings(args.results_dir, folders)
+
+    output_file = args.results_dir / 'manifest.json'
+    with open(output_file, 'w') as f:
+        json.dump(manifest, f, indent=2)
+
+    timed = f" ({len(manifest['timings'])} timed)" if args.timings else ''
+    print(f"Wrote {len(folders)} folders{timed} to {output_file}")
+
+
+if __name__ == "__main__":
+    main()
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { WavePlayer } from './wave-player.js?v=1';
+import { findRootCluster } from './pipeline-backends.js?v=4';
 
 /**
  * Alpha Animation Engine
@@ -46,6 +48,9 @@ export class AlphaAnimationEngine {
         this.morphColors = null;     // Point colors
         this.morphProgress = 0;      // 0 to 1
         this.isMorphing = false;
+        // Morphs of one wave run side by side, each in its own slice of the cloud
+        this.morphOffset = 0;        // Where the next morph's points start
+        this.activeMorphs = 0;
         
         // Animation state
         this.activeAnimations = [];
@@ -56,6 +61,17 @@ export class AlphaAnimationEngine {
         
         // Blend info callback
         this.onBlendUpdate = null;
+        
+        // Waves of concurrent events play as one camera shot
+        this.wavePlayer = new WavePlayer(this, {
+            position: (path) => {
+                const pos = this.clusterPositions.get(path);
+                return pos ? new THREE.Vector3(pos.x, pos.y, 0) : null;
+            },
+            focus: (center, distance) => this.focusCamera(center, distance),
+            // A morph still running from the last shot keeps its slice
+            onWaveStart: () => { if (this.activeMorphs === 0) this.morphOffset = 0; }
+        });
     }
     
     setCamera(camera, orbitControls, distance) {
@@ -69,6 +85,9 @@ export class AlphaAnimationEngine {
      * This cloud contains all points that are currently being morphed/interpolated
      */
     createMorphCloud(scene) {
+        // A second call replaces the cloud instead of leaking the first
+        this.disposeMorphCloud();
+        
         // Start with capacity for largest possible merge (all points)
         const maxPoints = 50000;
         
@@ -101,6 +120,25 @@ export class AlphaAnimationEngine {
         this.morphPointCount = 0;
     }
     
+    /**
+     * Remove the morph cloud and free its buffers and material
+     */
+    disposeMorphCloud() {
+        if (!this.morphCloud) return;
+        this.morphCloud.removeFromParent();
+        this.morphCloud.geometry.dispose();
+        this.morphCloud.material.dispose();
+        this.morphCloud = null;
+    }
+    
+    /**
+     * Stop every animation and free the morph cloud, when the view goes away
+     */
+    dispose() {
+        this.activeAnimations = [];
+        this.disposeMorphCloud();
+    }
+    
     /**
      * Compute cluster positions based on hierarchy
      * Leaves at bottom (level 0), root at top
@@ -117,7 +155,7 @@ export class AlphaAnimationEngine {
             const depth = (path.match(/\//g) || []).length;
             
             let level;
-            if (cluster.type === 'ba_output') {
+            if (cluster.role === 'leaf') {
                 level = 0;
             } else {
                 level = 1;
@@ -127,7 +165,7 @@ export class AlphaAnimationEngine {
         }
         
         // Compute proper levels by traversing from root
-        const rootCluster = this.clusters.get('merged');
+        const rootCluster = findRootCluster(this.clusters);
         if (rootCluster) {
             const queue = [{ cluster: rootCluster, depth: 0 }];
             const visited = new Set();
@@ -237,6 +275,10 @@ export class AlphaAnimationEngine {
         if (this.morphCloud) {
             this.morphCloud.visible = false;
         }
+        this.activeAnimations = this.activeAnimations.filter(anim => anim.type !== 'morph');
+        this.activeMorphs = 0;
+        this.isMorphing = false;
+        this.wavePlayer.release();
         
         // Apply all events up to this one
         const events = this.eventEngine.events;
@@ -279,6 +321,8 @@ export class AlphaAnimationEngine {
     playEvent(eventIndex, direction = 1) {
         const event = this.eventEngine.events[eventIndex];
         if (!event) return;
+        // A morph still running from the last event keeps its slice
+        if (this.wavePlayer.eventStarted() && this.activeMorphs === 0) this.morphOffset = 0;
         
         console.log(`\n▶ Playing Event ${event.number}: ${event.type} - ${event.path}`);
         
@@ -352,7 +396,7 @@ export class AlphaAnimationEngine {
         console.log(`  Leaf Promotion: ${event.path}`);
         
         const mergedCluster = this.clusters.get(event.path);
-        const baPath = event.inputs.find(p => p.endsWith('ba_output') || p === 'ba_output');
+        const baPath = event.inputs.find(p => this.clusters.get(p)?.role === 'leaf');
         const baCluster = baPath ? this.clusters.get(baPath) : null;
         
         if (!mergedCluster?.pointCloud || !baCluster?.pointCloud) {
@@ -370,16 +414,16 @@ export class AlphaAnimationEngine {
         this.focusCamera(new THREE.Vector3(focusX, focusY, 0), this.FOCUS_DISTANCE * 0.8);
         
         // Set up point morphing with proper positions
-        this.setupMorphFromCluster(baCluster, baPos, mergedCluster, mergedPos);
+        const slice = this.setupMorphFromCluster(baCluster, baPos, mergedCluster, mergedPos);
         
         // Hide original ba_output
         baCluster.pointCloud.visible = false;
         this.visibleClusters.delete(baPath);
         
         // Start morph animation
-        this.startMorphAnimation(this.MORPH_DURATION, () => {
+        this.startMorphAnimation(this.MORPH_DURATION, slice, () => {
             // Morph complete - show merged cluster, hide morph cloud
-            this.morphCloud.visible = false;
+            this.endMorph();
             mergedCluster.pointCloud.visible = true;
             const pos = mergedPos || { x: 0, y: 0, z: 0 };
             mergedCluster.group.position.set(pos.x, pos.y, pos.z || 0);
@@ -432,7 +476,7 @@ export class AlphaAnimationEngine {
         this.focusCamera(new THREE.Vector3(focusX, focusY, 0), this.FOCUS_DISTANCE * 1.2);
         
         // Set up multi-cluster morph with proper positions
-        this.setupMorphFromMultiple(inputClusters, mergedCluster, mergedPos);
+        const slice = this.setupMorphFromMultiple(inputClusters, mergedCluster, mergedPos);
         
         // Hide input clusters
         for (const { cluster, path } of inputClusters) {
@@ -441,8 +485,8 @@ export class AlphaAnimationEngine {
         }
         
         // Start morph animation
-        this.startMorphAnimation(this.MORPH_DURATION, () => {
-            this.morphCloud.visible = false;
+        this.startMorphAnimation(this.MORPH_DURATION, slice, () => {
+            this.endMorph();
             mergedCluster.pointCloud.visible = true;
             const pos = mergedPos || { x: 0, y: 0, z: 0 };
             mergedCluster.group.position.set(pos.x, pos.y, pos.z || 0);
@@ -481,7 +525,7 @@ export class AlphaAnimationEngine {
         this.focusCamera(new THREE.Vector3(0, this.maxLevel * this.LEVEL_SPACING / 2, 0), this.FOCUS_DISTANCE * 2);
         
         // Set up morph with positions
-        this.setupMorphFromMultiple(inputClusters, mergedCluster, mergedPos);
+        const slice = this.setupMorphFromMultiple(inputClusters, mergedCluster, mergedPos);
         
         // Hide inputs
         for (const { cluster, path } of inputClusters) {
@@ -490,8 +534,8 @@ export class AlphaAnimationEngine {
         }
         
         // Start morph with longer duration
-        this.startMorphAnimation(this.FINAL_DURATION, () => {
-            this.morphCloud.visible = false;
+        this.startMorphAnimation(this.FINAL_DURATION, slice, () => {
+            this.endMorph();
             mergedCluster.pointCloud.visible = true;
             const pos = mergedPos || { x: 0, y: 0, z: 0 };
             mergedCluster.group.position.set(pos.x, pos.y, pos.z || 0);
@@ -520,16 +564,17 @@ export class AlphaAnimationEngine {
         const inputCount = inputGeom.attributes.position.count;
         const targetCount = targetGeom.attributes.position.count;
         
-        // Use the larger count (we might need to duplicate points)
-        const pointCount = Math.max(inputCount, targetCount);
-        this.morphPointCount = pointCount;
+        // Use the larger count (we might need to duplicate points),
+        // in the next free slice of the cloud
+        const base = this.morphOffset;
+        const pointCount = Math.min(Math.max(inputCount, targetCount), this.morphPositions.length / 3 - base);
         
         // Offset for cluster positions
         const inputOffset = new THREE.Vector3(inputPos?.x || 0, inputPos?.y || 0, inputPos?.z || 0);
         const targetOffset = new THREE.Vector3(targetPos?.x || 0, targetPos?.y || 0, targetPos?.z || 0);
         
         for (let i = 0; i < pointCount; i++) {
-            const i3 = i * 3;
+            const i3 = (base + i) * 3;
             
             // Input point (wrap if needed)
             const inputIdx = (i % inputCount) * 3;
@@ -555,11 +600,7 @@ export class AlphaAnimationEngine {
             this.morphColors[i3 + 2] = inputColors[colorIdx + 2];
         }
         
-        // Update geometry
-        this.morphCloud.geometry.setDrawRange(0, pointCount);
-        this.morphCloud.geometry.attributes.position.needsUpdate = true;
-        this.morphCloud.geometry.attributes.color.needsUpdate = true;
-        this.morphCloud.visible = true;
+        return this.claimMorphSlice(base, pointCount);
     }
     
     /**
@@ -590,9 +631,9 @@ export class AlphaAnimationEngine {
             totalInputPoints += count;
         }
         
-        // Use the larger of total input or target
-        const pointCount = Math.max(totalInputPoints, targetCount);
-        this.morphPointCount = pointCount;
+        // Use the larger of total input or target, in the next free slice of the cloud
+        const base = this.morphOffset;
+        const pointCount = Math.min(Math.max(totalInputPoints, targetCount), this.morphPositions.length / 3 - base);
         
         const targetOffset = new THREE.Vector3(targetPos?.x || 0, targetPos?.y || 0, targetPos?.z || 0);
         
@@ -604,7 +645,7 @@ export class AlphaAnimationEngine {
             for (let i = 0; i < data.count; i++) {
                 if (pointIndex >= pointCount) break;
                 
-                const i3 = pointIndex * 3;
+                const i3 = (base + pointIndex) * 3;
                 const src3 = i * 3;
                 
                 // Origin from input
@@ -633,8 +674,8 @@ export class AlphaAnimationEngine {
         }
         
         // If we need more points to match target, duplicate from inputs
-        while (pointIndex < targetCount) {
-            const i3 = pointIndex * 3;
+        while (pointIndex < pointCount) {
+            const i3 = (base + pointIndex) * 3;
             const srcIdx = pointIndex % totalInputPoints;
             
             // Find which input this maps to
@@ -673,32 +714,56 @@ export class AlphaAnimationEngine {
             pointIndex++;
         }
         
+        return this.claimMorphSlice(base, pointCount);
+    }
+    
+    /**
+     * Mark points [start, start + count) of the morph cloud as filled and show them
+     * @returns {{start: number, count: number}} The slice, for startMorphAnimation
+     */
+    claimMorphSlice(start, count) {
+        this.morphOffset = start + count;
+        this.morphPointCount = this.morphOffset;
+        
         // Update geometry
-        this.morphCloud.geometry.setDrawRange(0, pointCount);
+        this.morphCloud.geometry.setDrawRange(0, this.morphPointCount);
         this.morphCloud.geometry.attributes.position.needsUpdate = true;
         this.morphCloud.geometry.attributes.color.needsUpdate = true;
         this.morphCloud.visible = true;
+        return { start, count };
     }
     
     /**
-     * Start the morph animation
+     * Start the morph animation of one slice of the morph cloud
      */
-    startMorphAnimation(duration, onComplete) {
+    startMorphAnimation(duration, slice, onComplete) {
         this.isMorphing = true;
         this.morphProgress = 0;
+        this.activeMorphs++;
         
         this.activeAnimations.push({
             type: 'morph',
+            slice: slice,
             startTime: performance.now(),
             duration: duration,
             onComplete: () => {
-                this.isMorphing = false;
+                this.activeMorphs--;
+                this.isMorphing = this.activeMorphs > 0;
                 this.morphProgress = 1;
                 if (onComplete) onComplete();
             }
         });
     }
     
+    /**
+     * Hide the morph cloud once no morph of the wave is running any more
+     */
+    endMorph() {
+        if (this.activeMorphs > 0) return;
+        this.morphCloud.visible = false;
+        this.morphOffset = 0;
+    }
+    
     /**
      * Cubic easing for smooth "flock" motion (from Frank's sample)
      */
@@ -710,7 +775,7 @@ export class AlphaAnimationEngine {
      * Focus camera on position
      */
     focusCamera(targetPos, distance = this.FOCUS_DISTANCE) {
-        if (!this.camera || !this.orbitControls) return;
+        if (!this.camera || !this.orbitControls || this.wavePlayer.held) return;
         
         this.activeAnimations.push({
             type: 'cameraFocus',
@@ -755,8 +820,9 @@ export class AlphaAnimationEngine {
                 case 'morph': {
                     this.morphProgress = eased;
                     
-                    // Update all morph positions
-                    for (let j = 0; j < this.morphPointCount; j++) {
+                    // Update this morph's slice
+                    const end = anim.slice.start + anim.slice.count;
+                    for (let j = anim.slice.start; j < end; j++) {
                         const j3 = j * 3;
                         this.morphPositions[j3] = this.morphOrigins[j3] + 
                             (this.morphTargets[j3] - this.morphOrigins[j3]) * eased;
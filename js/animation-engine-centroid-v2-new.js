@@ -345,7 +345,7 @@ export class CentroidAnimationEngine {
     animateLeafPromotion(event) {
         console.log(`  Leaf Promotion (instant): ${event.path}`);
         
-        const baPath = event.inputs.find(p => p.endsWith('ba_output') || p === 'ba_output');
+        const baPath = event.inputs.find(p => this.clusters.get(p)?.role === 'leaf');
         const baCluster = baPath ? this.clusters.get(baPath) : null;
         const mergedCluster = this.clusters.get(event.path);
         
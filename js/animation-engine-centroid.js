@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { WavePlayer } from './wave-player.js?v=1';
 
 /**
  * Centroid Animation Engine
@@ -51,6 +52,18 @@ export class CentroidAnimationEngine {
         
         // Info callbacks
         this.onInfoUpdate = null;
+        
+        // Waves of concurrent events play as one camera shot
+        this.wavePlayer = new WavePlayer(this, {
+            position: (path) => {
+                // Shown centroid: original center + exploded offset
+                const cluster = this.clusters.get(path);
+                const offset = this.clusterPositions.get(path);
+                if (!cluster || !offset) return null;
+                return cluster.originalCenter ? cluster.originalCenter.clone().add(offset) : offset.clone();
+            },
+            focus: (center, distance) => this.focusCameraOnPosition(center, distance)
+        });
     }
     
     setCamera(camera, orbitControls, distance) {
@@ -169,6 +182,7 @@ export class CentroidAnimationEngine {
     applyEventInstant(eventIndex) {
         // Clear animations
         this.activeAnimations = [];
+        this.wavePlayer.release();
         
         // Reset all clusters
         for (const [path, cluster] of this.clusters) {
@@ -236,6 +250,7 @@ export class CentroidAnimationEngine {
     playEvent(eventIndex, direction = 1) {
         const event = this.eventEngine.events[eventIndex];
         if (!event) return;
+        this.wavePlayer.eventStarted();
         
         console.log(`\n▶ Playing Event ${event.number}: ${event.type} - ${event.path}`);
         
@@ -301,7 +316,7 @@ export class CentroidAnimationEngine {
     animateLeafPromotion(event) {
         console.log(`  Leaf Promotion (instant): ${event.path}`);
         
-        const baPath = event.inputs.find(p => p.endsWith('ba_output') || p === 'ba_output');
+        const baPath = event.inputs.find(p => this.clusters.get(p)?.role === 'leaf');
         const baCluster = baPath ? this.clusters.get(baPath) : null;
         const mergedCluster = this.clusters.get(event.path);
         
@@ -522,7 +537,7 @@ export class CentroidAnimationEngine {
      * Focus camera on a position
      */
     focusCameraOnPosition(targetPos, distance = this.FOCUS_DISTANCE) {
-        if (!this.camera || !this.orbitControls) return;
+        if (!this.camera || !this.orbitControls || this.wavePlayer.held) return;
         
         const cameraEndPos = new THREE.Vector3(
             targetPos.x,
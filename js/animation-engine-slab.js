@@ -70,6 +70,28 @@ export class SlabAnimationEngine {
         
         return this.mergeEvents;
     }
+    
+    /**
+     * The level events as one event per cluster that appears, for
+     * TimelineValidator: show_leaves shows level 0, and each merge shows the
+     * clusters of toLevel, which merge their children from fromLevel
+     * @returns {Array<{number: number, path: string, inputs: Array<string>}>}
+     */
+    getClusterEvents() {
+        const events = [];
+        this.mergeEvents.forEach((event, index) => {
+            if (event.type !== 'show_leaves' && event.type !== 'merge') return;
+            const level = event.type === 'merge' ? event.toLevel : event.level;
+            for (const cluster of this.layoutEngine.getClustersAtLevel(level)) {
+                events.push({
+                    number: index + 1,
+                    path: cluster.path,
+                    inputs: event.type === 'merge' ? cluster.children.filter(Boolean).map(c => c.path) : []
+                });
+            }
+        });
+        return events;
+    }
 
     /**
      * Apply event state instantly (for jumping/scrubbing)
@@ -201,12 +223,8 @@ export class SlabAnimationEngine {
         const fromClusters = this.layoutEngine.getClustersAtLevel(fromLevel);
         const toClusters = this.layoutEngine.getClustersAtLevel(toLevel);
         
-        // Calculate Y positions using VISUAL_SPACING (same as layout engine)
-        const VISUAL_SPACING = this.layoutEngine.VISUAL_SPACING || 25;
-        const totalHeight = this.layoutEngine.maxDepth * VISUAL_SPACING;
-        const yOffset = -totalHeight / 2;
-        const fromY = fromLevel * VISUAL_SPACING + yOffset;
-        const toY = toLevel * VISUAL_SPACING + yOffset;
+        const fromY = this.levelY(fromLevel);
+        const toY = this.levelY(toLevel);
         
         console.log(`=== MERGE: Level ${fromLevel} (Y=${fromY}) → Level ${toLevel} (Y=${toY}) ===`);
         console.log(`  From: ${fromClusters.length} clusters`);
@@ -218,15 +236,8 @@ export class SlabAnimationEngine {
         for (const cluster of fromClusters) {
             if (!cluster.pointCloud) continue;
             
-            // Find parent cluster to converge toward
-            const parent = cluster.parent;
-            let targetX = cluster.slabPosition.x;
-            if (parent && parent.slabPosition) {
-                targetX = parent.slabPosition.x;
-            }
-            
             const startPos = cluster.slabPosition.clone();
-            const endPos = new THREE.Vector3(targetX, toY, 0);
+            const endPos = this.mergeTarget(cluster, toLevel);
             
             console.log(`  Child ${cluster.path}: (${startPos.x.toFixed(0)}, ${startPos.y.toFixed(0)}) → (${endPos.x.toFixed(0)}, ${endPos.y.toFixed(0)})`);
             
@@ -285,6 +296,42 @@ export class SlabAnimationEngine {
         }, this.CAMERA_DELAY);
     }
     
+    /**
+     * Y of a level, using VISUAL_SPACING (same as layout engine)
+     */
+    levelY(level) {
+        const VISUAL_SPACING = this.layoutEngine.VISUAL_SPACING || 25;
+        const totalHeight = this.layoutEngine.maxDepth * VISUAL_SPACING;
+        return level * VISUAL_SPACING - totalHeight / 2;
+    }
+    
+    /**
+     * Where a cluster rises to when its level merges: the next level, above its parent
+     */
+    mergeTarget(cluster, toLevel) {
+        const parent = cluster.parent;
+        const targetX = parent && parent.slabPosition ? parent.slabPosition.x : cluster.slabPosition.x;
+        return new THREE.Vector3(targetX, this.levelY(toLevel), 0);
+    }
+    
+    /**
+     * What playEvent animates, for exporters (see gltf-animation-exporter.js):
+     * the duration in seconds, clusters moving to a target before they hide
+     * (start/end as fractions of the duration) and when new clusters appear
+     */
+    getEventMotion(eventIndex) {
+        const event = this.mergeEvents[eventIndex];
+        if (!event || event.type !== 'merge') {
+            return { duration: 0.8, moves: [], appearAt: 0 };
+        }
+        
+        const moves = this.layoutEngine.getClustersAtLevel(event.fromLevel)
+            .filter(cluster => cluster.pointCloud)
+            .map(cluster => ({ cluster, position: this.mergeTarget(cluster, event.toLevel), scale: 1, start: 0, end: 1 }));
+        // Parents fade in at 60% of the merge (see animateMerge)
+        return { duration: this.MERGE_DURATION / 1000, moves, appearAt: 0.6 };
+    }
+    
     /**
      * Animate camera panning to a new level
      * Now keeps camera at center (Y=0) so all animation is visible
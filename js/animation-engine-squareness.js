@@ -173,6 +173,28 @@ export class SquarenessAnimationEngine {
         }
     }
 
+    /**
+     * What playEvent animates, for exporters (see gltf-animation-exporter.js):
+     * the duration in seconds, clusters moving to a target before they hide
+     * (start/end as fractions of the duration, scale relative to their own)
+     * and when new clusters appear
+     */
+    getEventMotion(eventIndex) {
+        const evt = this.mergeEvents[eventIndex];
+        const moves = [];
+        if (evt && !evt.isLeaf) {
+            const target = evt.cluster.mergeTargetPosition || evt.cluster.hierarchyPosition;
+            for (const childPath of evt.children) {
+                const child = this.clusters.get(childPath);
+                if (child && child.pointCloud && target) {
+                    // Same slide and shrink as animateMergeChild
+                    moves.push({ cluster: child, position: target.clone(), scale: 0.5, start: 0, end: 1 });
+                }
+            }
+        }
+        return { duration: this.animationDuration, moves, appearAt: 0 };
+    }
+
     // ----------------------------------------------------------------
     // Animation primitives
     // ----------------------------------------------------------------
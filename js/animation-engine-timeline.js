@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { WavePlayer } from './wave-player.js?v=1';
+import { findRootCluster } from './pipeline-backends.js?v=4';
 
 /**
  * Timeline Animation Engine v3
@@ -46,6 +48,15 @@ export class TimelineAnimationEngine {
         this.FOCUS_ZOOM_DURATION = 400;  // Time to zoom to focus point
         this.FOCUS_DISTANCE = 80;        // How close to zoom when focusing on action
         this.OVERVIEW_DISTANCE = 300;    // Distance for overview shots
+        
+        // Waves of concurrent events play as one camera shot
+        this.wavePlayer = new WavePlayer(this, {
+            position: (path) => {
+                const pos = this.clusterPositions.get(path);
+                return pos ? new THREE.Vector3(pos.x, pos.y, 0) : null;
+            },
+            focus: (center, distance) => this.focusCamera(center, distance)
+        });
     }
     
     setCamera(camera, orbitControls, distance) {
@@ -63,7 +74,7 @@ export class TimelineAnimationEngine {
      */
     focusCamera(targetPos, distance = this.FOCUS_DISTANCE, duration = this.FOCUS_ZOOM_DURATION) {
         return new Promise((resolve) => {
-            if (!this.camera || !this.orbitControls) {
+            if (!this.camera || !this.orbitControls || this.wavePlayer.held) {
                 resolve();
                 return;
             }
@@ -134,7 +145,7 @@ export class TimelineAnimationEngine {
             // ba_output is at same level as its parent merged
             // So we need to handle ba_output specially
             let level;
-            if (cluster.type === 'ba_output') {
+            if (cluster.role === 'leaf') {
                 // ba_output clusters are at the bottom (level 0)
                 level = 0;
             } else {
@@ -150,7 +161,7 @@ export class TimelineAnimationEngine {
         }
         
         // Now compute proper levels by traversing from root
-        const rootCluster = this.clusters.get('merged');
+        const rootCluster = findRootCluster(this.clusters);
         if (rootCluster) {
             // BFS from root to compute proper depths
             const queue = [{ cluster: rootCluster, depth: 0 }];
@@ -258,6 +269,7 @@ export class TimelineAnimationEngine {
      */
     applyEventInstant(eventIndex) {
         this.activeAnimations = [];
+        this.wavePlayer.release();
         
         // Hide all clusters and reset positions
         for (const [path, cluster] of this.clusters) {
@@ -317,6 +329,7 @@ export class TimelineAnimationEngine {
         
         const event = this.eventEngine.getEvent(eventIndex);
         if (!event) return;
+        this.wavePlayer.eventStarted();
         
         console.log(`Playing Event ${event.number} [${event.type}]: ${event.description}`);
         
@@ -400,7 +413,7 @@ export class TimelineAnimationEngine {
         }
         
         // Find ba_output input
-        const baOutputPath = event.inputs.find(p => p.endsWith('ba_output') || p === 'ba_output');
+        const baOutputPath = event.inputs.find(p => this.clusters.get(p)?.role === 'leaf');
         const baOutputCluster = baOutputPath ? this.clusters.get(baOutputPath) : null;
         const baOutputPos = baOutputPath ? this.clusterPositions.get(baOutputPath) : null;
         
@@ -432,7 +445,7 @@ export class TimelineAnimationEngine {
                 });
                 
                 // Camera follows the rising cluster
-                this.activeAnimations.push({
+                if (!this.wavePlayer.held) this.activeAnimations.push({
                     type: 'cameraFollow',
                     startPos: this.camera.position.clone(),
                     endPos: new THREE.Vector3(endFocusPos.x, endFocusPos.y, this.FOCUS_DISTANCE),
@@ -547,7 +560,7 @@ export class TimelineAnimationEngine {
                 console.log(`  Animating ${animatedCount} input clusters`);
                 
                 // Camera follows to the merge point
-                this.activeAnimations.push({
+                if (!this.wavePlayer.held) this.activeAnimations.push({
                     type: 'cameraFollow',
                     startPos: this.camera.position.clone(),
                     endPos: new THREE.Vector3(targetPos.x, targetPos.y, this.FOCUS_DISTANCE),
@@ -596,13 +609,13 @@ export class TimelineAnimationEngine {
         console.log(`  FINAL MERGE: ${event.path}`);
         console.log(`  Inputs: ${event.inputs.join(', ')}`);
         
-        const mergedCluster = this.clusters.get('merged');
+        const mergedCluster = findRootCluster(this.clusters);
         if (!mergedCluster || !mergedCluster.pointCloud) {
             console.warn(`  Missing final merged cluster!`);
             return;
         }
         
-        const mergedPos = this.clusterPositions.get('merged');
+        const mergedPos = this.clusterPositions.get(mergedCluster.path);
         const targetPos = mergedPos ? new THREE.Vector3(mergedPos.x, mergedPos.y, 0) : new THREE.Vector3(0, 0, 0);
         
         console.log(`  Target position: (${targetPos.x.toFixed(1)}, ${targetPos.y.toFixed(1)}, ${targetPos.z.toFixed(1)})`);
@@ -659,7 +672,7 @@ export class TimelineAnimationEngine {
                 console.log(`  Animating ${animatedCount} input clusters for final merge`);
                 
                 // Camera follows to the merge point
-                this.activeAnimations.push({
+                if (!this.wavePlayer.held) this.activeAnimations.push({
                     type: 'cameraFollow',
                     startPos: this.camera.position.clone(),
                     endPos: new THREE.Vector3(targetPos.x, targetPos.y, this.FOCUS_DISTANCE * 1.5), // Slightly further for 5 clusters
@@ -685,7 +698,7 @@ export class TimelineAnimationEngine {
                         duration: 1000,
                         onComplete: () => {
                             mergedCluster.pointCloud.material.opacity = 1;
-                            this.visibleClusters.add('merged');
+                            this.visibleClusters.add(mergedCluster.path);
                             console.log(`  FINAL MERGE COMPLETE: Gerrard Hall fully reconstructed!`);
                             
                             // Zoom in close and rotate
@@ -698,7 +711,7 @@ export class TimelineAnimationEngine {
     }
     
     zoomAndRotate(targetPos) {
-        if (!this.camera || !this.orbitControls) return;
+        if (!this.camera || !this.orbitControls || this.wavePlayer.held) return;
         
         const startPos = this.camera.position.clone();
         const startTarget = this.orbitControls.target.clone();
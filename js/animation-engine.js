@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { findRootCluster } from './pipeline-backends.js?v=4';
 
 export class AnimationEngine {
     constructor(clusters, layoutEngine) {
@@ -10,13 +11,13 @@ export class AnimationEngine {
 
     initTimeline() {
         // Build timeline ONLY from clusters that are part of the merge tree
-        // This means we skip orphans like ba_gt, ba_input
+        // This means we skip orphans like ba_gt, ba_input (BundleAdjustmentLayers loads those on demand)
         
         const processedPaths = new Set();
         this.mergeEvents = [];
 
         // Get the root and traverse only connected nodes
-        const root = this.clusters.get('merged');
+        const root = findRootCluster(this.clusters);
         if (!root) {
             console.error("AnimationEngine: No 'merged' root found!");
             return this.mergeEvents;
@@ -0,0 +1,339 @@
+import * as THREE from 'three';
+import { COLORMAPS } from './color-engine.js?v=3';
+
+/**
+ * Bundle Adjustment Layers
+ * Companion models stored next to a leaf cluster's result folder (the
+ * backend's companionTypes, e.g. ba_input and ba_gt for GTSfM):
+ *   input       - the points before bundle adjustment
+ *   groundTruth - the ground-truth points
+ *
+ * They are loaded on demand for one cluster at a time and matched to the
+ * cluster's points by POINT3D_ID. Two layers are drawn in the cluster's
+ * group while it is selected:
+ *   motion      - the cluster's points, animated from their input to their
+ *                 adjusted positions, optionally colored by distance to the
+ *                 ground truth
+ *   groundTruth - the ground-truth points as a single-color overlay
+ *
+ * Companion models are assumed to share the result's coordinate frame, so
+ * they go through the loader's normalization unchanged.
+ *
+ * Only the selected cluster's layers are kept: selecting another cluster
+ * frees the previous ones (and stops accounting them in the ResourceManager).
+ */
+
+// Error colors use the 2nd..98th percentile, like ColorEngine's scalar mode
+const ERROR_LOW_PERCENTILE = 0.02;
+const ERROR_HIGH_PERCENTILE = 0.98;
+
+export class BundleAdjustmentLayers {
+    /**
+     * @param {DataLoader} dataLoader - Loaded; supplies reader, normalization and clusters
+     * @param {ResourceManager|null} resources - Accounts the layers under their cluster's path
+     */
+    constructor(dataLoader, resources = null) {
+        this.dataLoader = dataLoader;
+        this.resources = resources;
+        this.types = dataLoader.backend.companionTypes || null;
+
+        this.layers = new Map(); // cluster path -> layer (or null: no companions)
+        this.active = null;
+        this.selection = 0; // bumped by every select(), so a late load can tell it is stale
+
+        this.DURATION = 2.5; // seconds from input to adjusted positions
+        this.GT_COLOR = 0x00c853;
+        this.colormap = 'turbo';
+        this.showGroundTruth = true;
+        this.colorByError = false;
+
+        this.frame = null; // requestAnimationFrame id while playing
+    }
+
+    get available() {
+        return !!this.types;
+    }
+
+    /**
+     * Leaf clusters whose points loaded with POINT3D_IDs
+     */
+    candidates() {
+        return Array.from(this.dataLoader.clusters.values()).filter(cluster =>
+            cluster.role === 'leaf' && !cluster.placeholder && cluster.pointCloud?.geometry.userData.pointIds
+        );
+    }
+
+    /**
+     * Load (once) and show a cluster's companion layers, hiding the previous ones
+     * @returns {Promise<Object|null>} The layer, or null if the cluster has no companions
+     */
+    async select(cluster) {
+        const selection = ++this.selection;
+        this.hide();
+        for (const path of this.layers.keys()) {
+            if (path !== cluster?.path) this.disposeLayer(path);
+        }
+        if (!cluster || !this.available) return null;
+
+        if (!this.layers.has(cluster.path)) {
+            const loaded = await this.load(cluster);
+            if (selection !== this.selection) {
+                // Another cluster was picked while this one loaded
+                this.freeLayer(loaded);
+                return null;
+            }
+            this.layers.set(cluster.path, loaded);
+        }
+        const layer = this.layers.get(cluster.path);
+        if (layer) this.show(layer);
+        return layer;
+    }
+
+    async load(cluster) {
+        const [input, groundTruth] = await Promise.all([
+            this.readCompanion(cluster, this.types.input),
+            this.readCompanion(cluster, this.types.groundTruth)
+        ]);
+        if (!input && !groundTruth) {
+            console.warn(`BundleAdjustmentLayers: no ${this.types.input}/${this.types.groundTruth} next to ${cluster.path}`);
+            return null;
+        }
+
+        const geometry = cluster.pointCloud.geometry;
+        const pointIds = geometry.userData.pointIds;
+        const end = geometry.attributes.position.array.slice();
+        const colors = geometry.userData.originalColors ?? geometry.attributes.color.array;
+        // Scene units per original unit (rotation + uniform scale)
+        const scale = this.dataLoader.normalization.getMaxScaleOnAxis();
+
+        const layer = {
+            cluster,
+            start: end.slice(),
+            end,
+            rgb: colors.slice(),
+            errorColors: null,
+            errorRange: null,
+            motion: null,
+            groundTruth: null,
+            stats: { points: pointIds.length, inputMatched: 0, meanShift: 0, gtMatched: 0, meanError: 0 }
+        };
+
+        if (input) {
+            const { matched, meanDistance } = this.match(pointIds, end, input, (i, p) => p.toArray(layer.start, i * 3));
+            layer.stats.inputMatched = matched;
+            layer.stats.meanShift = meanDistance / scale;
+        }
+
+        if (groundTruth) {
+            const errors = new Float32Array(pointIds.length).fill(NaN);
+            const { matched, meanDistance } = this.match(pointIds, end, groundTruth, (i, p, distance) => {
+                errors[i] = distance / scale;
+            });
+            layer.stats.gtMatched = matched;
+            layer.stats.meanError = meanDistance / scale;
+            layer.groundTruth = this.createGroundTruthCloud(groundTruth);
+            cluster.group.add(layer.groundTruth);
+            if (matched > 0) this.computeErrorColors(layer, errors);
+        }
+
+        const motionGeometry = new THREE.BufferGeometry();
+        motionGeometry.setAttribute('position', new THREE.BufferAttribute(layer.start.slice(), 3));
+        motionGeometry.setAttribute('color', new THREE.BufferAttribute(layer.rgb.slice(), 3));
+        layer.motion = new THREE.Points(motionGeometry, new THREE.PointsMaterial({
+            size: this.dataLoader.POINT_SIZE,
+            vertexColors: true,
+            sizeAttenuation: false
+        }));
+        cluster.group.add(layer.motion);
+        layer.motion.visible = false;
+        if (layer.groundTruth) layer.groundTruth.visible = false;
+        if (this.resources) {
+            this.resources.track(cluster.path, layer.motion);
+            if (layer.groundTruth) this.resources.track(cluster.path, layer.groundTruth);
+        }
+
+        const s = layer.stats;
+        console.log(`BundleAdjustmentLayers: ${cluster.path} - ${s.inputMatched}/${s.points} input matches, ${s.gtMatched} ground-truth matches`);
+        return layer;
+    }
+
+    /**
+     * Remove a cluster's layers from its group and free their buffers and materials
+     */
+    disposeLayer(path) {
+        this.freeLayer(this.layers.get(path));
+        this.layers.delete(path);
+    }
+
+    freeLayer(layer) {
+        if (!layer) return;
+        for (const object of [layer.motion, layer.groundTruth]) {
+            if (!object) continue;
+            if (this.resources) this.resources.untrack(layer.cluster.path, object);
+            object.removeFromParent();
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    }
+
+    /**
+     * Free every layer, when the view is torn down
+     */
+    dispose() {
+        this.hide();
+        for (const path of [...this.layers.keys()]) this.disposeLayer(path);
+    }
+
+    /**
+     * The companion folder's points, or null if it does not exist
+     */
+    async readCompanion(cluster, type) {
+        if (!type) return null;
+        const slash = cluster.path.lastIndexOf('/');
+        const folder = slash === -1 ? type : `${cluster.path.slice(0, slash)}/${type}`;
+        try {
+            const points = await this.dataLoader.colmapReader.readPoints(`${this.dataLoader.dataRoot}/${folder}`);
+            return points.count > 0 && points.pointIds ? points : null;
+        } catch (e) {
+            if (e.code !== 'missing') console.warn(`BundleAdjustmentLayers: could not read ${folder}:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Pair each cluster point with the companion point of the same POINT3D_ID
+     * @param {Function} onMatch - (index, companion point in scene coordinates, scene distance)
+     * @returns {{matched: number, meanDistance: number}}
+     */
+    match(pointIds, positions, companion, onMatch) {
+        const byId = new Map();
+        for (let j = 0; j < companion.count; j++) byId.set(companion.pointIds[j], j);
+
+        const normalization = this.dataLoader.normalization;
+        const p = new THREE.Vector3();
+        const q = new THREE.Vector3();
+        let matched = 0, total = 0;
+        for (let i = 0; i < pointIds.length; i++) {
+            const j = byId.get(pointIds[i]);
+            if (j === undefined) continue;
+            p.fromArray(companion.positions, j * 3).applyMatrix4(normalization);
+            const distance = p.distanceTo(q.fromArray(positions, i * 3));
+            onMatch(i, p, distance);
+            matched++;
+            total += distance;
+        }
+        return { matched, meanDistance: matched > 0 ? total / matched : 0 };
+    }
+
+    createGroundTruthCloud(groundTruth) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(groundTruth.positions.slice(), 3));
+        geometry.applyMatrix4(this.dataLoader.normalization);
+        return new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: this.GT_COLOR,
+            size: this.dataLoader.POINT_SIZE,
+            sizeAttenuation: false,
+            transparent: true,
+            opacity: 0.6
+        }));
+    }
+
+    computeErrorColors(layer, errors) {
+        const sample = Array.from(errors).filter(Number.isFinite).sort((a, b) => a - b);
+        const at = (p) => sample[Math.min(sample.length - 1, Math.floor(p * (sample.length - 1)))];
+        const min = at(ERROR_LOW_PERCENTILE);
+        const max = Math.max(at(ERROR_HIGH_PERCENTILE), min + 1e-9);
+
+        const stops = COLORMAPS[this.colormap].map(hex => new THREE.Color(hex));
+        const color = new THREE.Color();
+        layer.errorColors = new Float32Array(errors.length * 3);
+        for (let i = 0; i < errors.length; i++) {
+            if (!Number.isFinite(errors[i])) {
+                // No ground truth for this point: keep it grey
+                color.setRGB(0.6, 0.6, 0.6);
+            } else {
+                const x = Math.min(1, Math.max(0, (errors[i] - min) / (max - min))) * (stops.length - 1);
+                const k = Math.min(Math.floor(x), stops.length - 2);
+                color.copy(stops[k]).lerp(stops[k + 1], x - k);
+            }
+            color.toArray(layer.errorColors, i * 3);
+        }
+        layer.errorRange = { min, max };
+    }
+
+    show(layer) {
+        this.active = layer;
+        // The motion layer stands in for the cluster's own points
+        layer.cluster.pointCloud.material.visible = false;
+        layer.motion.visible = true;
+        this.applyOptions();
+        this.play();
+    }
+
+    hide() {
+        this.stop();
+        const layer = this.active;
+        if (!layer) return;
+        layer.cluster.pointCloud.material.visible = true;
+        layer.motion.visible = false;
+        if (layer.groundTruth) layer.groundTruth.visible = false;
+        this.active = null;
+    }
+
+    setShowGroundTruth(show) {
+        this.showGroundTruth = show;
+        this.applyOptions();
+    }
+
+    setColorByError(enabled) {
+        this.colorByError = enabled;
+        this.applyOptions();
+    }
+
+    applyOptions() {
+        const layer = this.active;
+        if (!layer) return;
+        if (layer.groundTruth) layer.groundTruth.visible = this.showGroundTruth;
+
+        const colors = this.colorByError && layer.errorColors ? layer.errorColors : layer.rgb;
+        const attribute = layer.motion.geometry.attributes.color;
+        attribute.array.set(colors);
+        attribute.needsUpdate = true;
+    }
+
+    /**
+     * Animate the active layer from the input to the adjusted positions
+     */
+    play() {
+        this.stop();
+        if (!this.active) return;
+        const startTime = performance.now();
+        const tick = () => {
+            const t = Math.min(1, (performance.now() - startTime) / (this.DURATION * 1000));
+            this.setProgress(t);
+            this.frame = t < 1 ? requestAnimationFrame(tick) : null;
+        };
+        tick();
+    }
+
+    stop() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    /**
+     * @param {number} t - 0 = input positions, 1 = adjusted positions
+     */
+    setProgress(t) {
+        const layer = this.active;
+        if (!layer) return;
+        const eased = t * t * (3 - 2 * t);
+        const positions = layer.motion.geometry.attributes.position;
+        const array = positions.array;
+        for (let i = 0; i < array.length; i++) {
+            array[i] = layer.start[i] + (layer.end[i] - layer.start[i]) * eased;
+        }
+        positions.needsUpdate = true;
+        layer.motion.geometry.computeBoundingSphere();
+    }
+}
@@ -0,0 +1,121 @@
+import { OverlayPanel } from './overlay-panel.js?v=1';
+import { COLORMAPS } from './color-engine.js?v=3';
+
+/**
+ * Bundle Adjustment Panel
+ * Picks a leaf cluster for BundleAdjustmentLayers, replays its points
+ * moving from ba_input to ba_output, and toggles the ba_gt overlay and the
+ * error coloring. Distances are in the reconstruction's original units.
+ */
+export class BundleAdjustmentPanel {
+    /**
+     * @param {BundleAdjustmentLayers} layers
+     * @param {Object} options - OverlayPanel options (position, theme)
+     */
+    constructor(layers, options = {}) {
+        this.layers = layers;
+        this.panel = new OverlayPanel('Bundle adjustment', options);
+        this.panel.toggleCollapsed();
+
+        const content = document.createElement('div');
+        if (!layers.available) {
+            content.textContent = 'This backend has no bundle adjustment input or ground truth';
+            this.panel.setContent(content);
+            return;
+        }
+
+        this.clusterSelect = document.createElement('select');
+        this.clusterSelect.style.width = '100%';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'Pick a leaf cluster...';
+        this.clusterSelect.appendChild(none);
+        for (const cluster of layers.candidates()) {
+            const option = document.createElement('option');
+            option.value = cluster.path;
+            option.textContent = cluster.path;
+            this.clusterSelect.appendChild(option);
+        }
+        this.clusterSelect.addEventListener('change', () => this.select());
+
+        this.playButton = document.createElement('button');
+        this.playButton.textContent = 'Replay input → output';
+        this.playButton.addEventListener('click', () => layers.play());
+
+        const groundTruthToggle = this.createToggle('Show ground truth', layers.showGroundTruth,
+            checked => layers.setShowGroundTruth(checked));
+        this.groundTruthCheckbox = groundTruthToggle.querySelector('input');
+        const errorToggle = this.createToggle('Color by ground-truth error', layers.colorByError,
+            checked => {
+                layers.setColorByError(checked);
+                this.update(layers.active);
+            });
+        this.errorCheckbox = errorToggle.querySelector('input');
+
+        this.summary = document.createElement('div');
+        this.summary.style.marginTop = '6px';
+        this.legend = document.createElement('div');
+        this.legend.style.marginTop = '6px';
+
+        content.append(this.clusterSelect, this.playButton, groundTruthToggle, errorToggle, this.summary, this.legend);
+        this.panel.setContent(content);
+
+        this.update(null);
+    }
+
+    createToggle(text, checked, onChange) {
+        const label = document.createElement('label');
+        label.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 3px 0;';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', () => onChange(checkbox.checked));
+        label.append(checkbox, text);
+        return label;
+    }
+
+    async select() {
+        const cluster = this.layers.dataLoader.clusters.get(this.clusterSelect.value);
+        this.summary.textContent = cluster ? 'Loading...' : '';
+        this.clusterSelect.disabled = true;
+        try {
+            const layer = await this.layers.select(cluster);
+            // A later pick owns the summary now
+            if (cluster !== this.layers.dataLoader.clusters.get(this.clusterSelect.value)) return;
+            if (cluster && !layer) this.summary.textContent = 'No ba_input or ba_gt next to this cluster';
+            else this.update(layer);
+        } finally {
+            this.clusterSelect.disabled = false;
+        }
+    }
+
+    update(layer) {
+        this.playButton.disabled = !layer;
+        this.groundTruthCheckbox.disabled = !layer?.groundTruth;
+        this.errorCheckbox.disabled = !layer?.errorColors;
+        this.legend.replaceChildren();
+        if (!layer) {
+            this.summary.textContent = '';
+            return;
+        }
+
+        const s = layer.stats;
+        const lines = [`${s.points} points`];
+        if (s.inputMatched > 0) lines.push(`${s.inputMatched} matched in input, mean shift ${this.formatValue(s.meanShift)}`);
+        if (s.gtMatched > 0) lines.push(`${s.gtMatched} matched in ground truth, mean error ${this.formatValue(s.meanError)}`);
+        this.summary.innerHTML = lines.join('<br>');
+
+        if (this.layers.colorByError && layer.errorRange) {
+            const bar = document.createElement('div');
+            bar.style.cssText = `height: 10px; border-radius: 2px; margin: 4px 0; background: linear-gradient(to right, ${COLORMAPS[this.layers.colormap].join(', ')});`;
+            const range = document.createElement('div');
+            range.style.cssText = 'display: flex; justify-content: space-between;';
+            range.innerHTML = `<span>${this.formatValue(layer.errorRange.min)}</span><span>${this.formatValue(layer.errorRange.max)}</span>`;
+            this.legend.append('Distance to ground truth', bar, range);
+        }
+    }
+
+    formatValue(value) {
+        return value.toPrecision(3);
+    }
+}
@@ -0,0 +1,49 @@
+import { OverlayPanel } from './overlay-panel.js?v=1';
+
+/**
+ * Cache Panel
+ * Shows how the last load used the ClusterCache and lets the user
+ * invalidate it.
+ */
+export class CachePanel {
+    /**
+     * @param {ClusterCache} cache
+     * @param {Object} options - OverlayPanel options (position, theme)
+     */
+    constructor(cache, options = {}) {
+        this.cache = cache;
+        this.panel = new OverlayPanel('Cache', options);
+        this.panel.toggleCollapsed();
+
+        this.stats = document.createElement('div');
+        this.stats.style.marginBottom = '6px';
+
+        this.clearButton = document.createElement('button');
+        this.clearButton.textContent = 'Invalidate cache';
+        this.clearButton.title = 'Drop every cached cluster; the next reload parses the files again';
+        this.clearButton.addEventListener('click', () => this.invalidate());
+
+        const content = document.createElement('div');
+        content.append(this.stats, this.clearButton);
+        this.panel.setContent(content);
+
+        this.update();
+    }
+
+    async update() {
+        if (!this.cache.enabled) {
+            this.stats.textContent = 'IndexedDB unavailable - not caching';
+            this.clearButton.disabled = true;
+            return;
+        }
+        const entries = await this.cache.count();
+        this.stats.textContent = `${entries} cached entries · this load: ${this.cache.hits} hits, ${this.cache.misses} parsed`;
+    }
+
+    async invalidate() {
+        this.clearButton.disabled = true;
+        await this.cache.clear();
+        await this.update();
+        this.clearButton.disabled = false;
+    }
+}
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import { ColmapTextParser } from './colmap-parser.js?v=2';
+
+/**
+ * Camera Frustum Builder
+ * Turns COLMAP poses + intrinsics into one LineSegments object per cluster.
+ *
+ * Frustums are built in the original reconstruction coordinates, exactly
+ * like the point cloud geometry, so computeGlobalBoundsAndNormalize() can
+ * apply the same translate/scale/rotate to both.
+ */
+export class CameraFrustumBuilder {
+    constructor(options = {}) {
+        this.color = options.color ?? 0x555555;
+        this.opacity = options.opacity ?? 0.6;
+        this.parser = new ColmapTextParser();
+    }
+
+    /**
+     * @param {Array} images - Parsed images (world-to-camera poses)
+     * @param {Map} cameras - Parsed cameras by id
+     * @param {number} depth - Distance from camera center to the image plane
+     * @returns {THREE.LineSegments|null}
+     */
+    build(images, cameras, depth) {
+        if (!images || images.length === 0 || !(depth > 0)) return null;
+
+        const positions = [];
+        const rotation = new THREE.Matrix4();
+        const quaternion = new THREE.Quaternion();
+        const translation = new THREE.Vector3();
+        const center = new THREE.Vector3();
+        const corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+
+        for (const image of images) {
+            const camera = cameras.get(image.cameraId);
+            if (!camera) continue;
+            const k = this.parser.getIntrinsics(camera);
+
+            // Camera-to-world rotation is the transpose of the stored rotation
+            quaternion.set(image.qx, image.qy, image.qz, image.qw).normalize();
+            rotation.makeRotationFromQuaternion(quaternion).transpose();
+            translation.set(image.tx, image.ty, image.tz);
+
+            // Camera center: C = -R^T * t
+            center.copy(translation).applyMatrix4(rotation).negate();
+
+            // Image corners on the plane z = depth in camera coordinates
+            const pixels = [[0, 0], [k.width, 0], [k.width, k.height], [0, k.height]];
+            pixels.forEach(([u, v], i) => {
+                corners[i].set(
+                    (u - k.cx) / k.fx * depth,
+                    (v - k.cy) / k.fy * depth,
+                    depth
+                ).applyMatrix4(rotation).add(center);
+            });
+
+            for (let i = 0; i < 4; i++) {
+                const a = corners[i];
+                const b = corners[(i + 1) % 4];
+                // Edge from the center to the corner
+                positions.push(center.x, center.y, center.z, a.x, a.y, a.z);
+                // Edge of the image rectangle
+                positions.push(a.x, a.y, a.z, b.x, b.y, b.z);
+            }
+        }
+
+        if (positions.length === 0) return null;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+        const material = new THREE.LineBasicMaterial({
+            color: this.color,
+            transparent: true,
+            opacity: this.opacity
+        });
+
+        const frustums = new THREE.LineSegments(geometry, material);
+        frustums.userData.baseOpacity = this.opacity;
+        return frustums;
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * Cluster Cache
+ * Keeps parsed cluster buffers in IndexedDB so reloading an unchanged
+ * dataset skips downloading and parsing the COLMAP files.
+ *
+ * Entries are stored per folder (dataset path + cluster path) together with
+ * a fingerprint of the files they were parsed from: size plus mtime, or the
+ * ETag when the server sends one. A changed file gives a different
+ * fingerprint, so the entry is parsed again and overwritten.
+ *
+ * Buffers are cached in the original COLMAP coordinates (octree-ordered,
+ * as ColmapReader returns them); the loader's normalization is a single
+ * matrix multiply and depends on the whole dataset, so it is re-applied.
+ *
+ * Entries also record the SCHEMA of the parsed value; bump it whenever the
+ * readers return something new so older entries are parsed again.
+ */
+
+const DB_NAME = 'gerrard-hall-cluster-cache';
+const DB_VERSION = 1;
+const STORE = 'clusters';
+// 2: points carry pointIds (POINT3D_ID)
+const SCHEMA = 2;
+
+export class ClusterCache {
+    constructor() {
+        this.db = null;
+        this.opening = null;
+        this.hits = 0;
+        this.misses = 0;
+        this.enabled = typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.enabled) return Promise.resolve(null);
+        if (!this.opening) {
+            this.opening = new Promise((resolve) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    resolve(this.db);
+                };
+                request.onerror = () => {
+                    console.warn('ClusterCache: IndexedDB unavailable:', request.error);
+                    this.enabled = false;
+                    resolve(null);
+                };
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The cached value if its fingerprint still matches
+     */
+    async get(key, fingerprint) {
+        const entry = await this.request('readonly', store => store.get(key));
+        if (entry && entry.fingerprint === fingerprint && entry.schema === SCHEMA) {
+            this.hits++;
+            return entry.value;
+        }
+        this.misses++;
+        return null;
+    }
+
+    /**
+     * Store a value; failures (e.g. quota exceeded) only cost the cache
+     */
+    async put(key, fingerprint, value) {
+        try {
+            await this.request('readwrite', store => store.put({ fingerprint, schema: SCHEMA, value, time: Date.now() }, key));
+        } catch (e) {
+            console.warn(`ClusterCache: could not store ${key}:`, e);
+        }
+    }
+
+    /**
+     * Invalidate everything
+     */
+    async clear() {
+        await this.request('readwrite', store => store.clear());
+        this.hits = 0;
+        this.misses = 0;
+        console.log('ClusterCache: cleared');
+    }
+
+    async count() {
+        return (await this.request('readonly', store => store.count())) ?? 0;
+    }
+
+    async request(mode, action) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * Wraps a reader with the ColmapReader interface (usually a
+ * ColmapWorkerReader) and answers from the cache when the files are unchanged
+ */
+export class CachedColmapReader {
+    /**
+     * @param {Object} reader - ColmapReader-like reader doing the actual work
+     * @param {ClusterCache} cache
+     * @param {LocalFolderSource|null} source - Local folder, or null for the server
+     */
+    constructor(reader, cache, source = null) {
+        this.reader = reader;
+        this.cache = cache;
+        this.source = source;
+    }
+
+    async readPoints(folderUrl, onChunk = null, chunkSize = 50000) {
+        // Same order the reader tries the files in
+        const fingerprint = await this.fingerprint(folderUrl, ['points3D.bin'])
+            ?? await this.fingerprint(folderUrl, ['points3D.txt']);
+        const key = `points:${this.datasetPath(folderUrl)}`;
+
+        if (fingerprint) {
+            const cached = await this.readCache(key, fingerprint);
+            if (cached) return cached;
+        }
+
+        const points = await this.reader.readPoints(folderUrl, onChunk, chunkSize);
+        if (fingerprint) await this.cache.put(key, fingerprint, points);
+        return points;
+    }
+
+    async readCameras(folderUrl, format = 'text') {
+        const ext = format === 'binary' ? 'bin' : 'txt';
+        const fingerprint = await this.fingerprint(folderUrl, [`images.${ext}`, `cameras.${ext}`]);
+        const key = `cameras:${this.datasetPath(folderUrl)}`;
+
+        if (fingerprint) {
+            const cached = await this.readCache(key, fingerprint);
+            if (cached) return cached;
+        }
+
+        const model = await this.reader.readCameras(folderUrl, format);
+        if (fingerprint && model) await this.cache.put(key, fingerprint, model);
+        return model;
+    }
+
+    /**
+     * The cached value, or null if there is none or the cache cannot be
+     * read; either way the caller falls through to the reader
+     */
+    async readCache(key, fingerprint) {
+        try {
+            return await this.cache.get(key, fingerprint);
+        } catch (e) {
+            console.warn(`CachedColmapReader: could not read ${key} from the cache:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Fingerprint of a folder's files, or null if one of them is missing or
+     * the server gives nothing to validate against
+     */
+    async fingerprint(folderUrl, names) {
+        if (!this.cache.enabled) return null;
+
+        const parts = [];
+        for (const name of names) {
+            const part = await this.fileFingerprint(`${folderUrl}/${name}`);
+            if (!part) return null;
+            parts.push(`${name}:${part}`);
+        }
+        return parts.join('|');
+    }
+
+    async fileFingerprint(url) {
+        if (this.source) {
+            const file = this.source.files.get(this.source.normalize(url));
+            return file ? `${file.size}:${file.lastModified}` : null;
+        }
+
+        try {
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+            if (!response.ok) return null;
+            const etag = response.headers.get('etag');
+            if (etag) return etag;
+            const size = response.headers.get('content-length');
+            const modified = response.headers.get('last-modified');
+            return size && modified ? `${size}:${modified}` : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Where the folder lives: page-independent URL, or the local folder's name
+    datasetPath(folderUrl) {
+        if (this.source) return `local:${this.source.name}/${this.source.normalize(folderUrl)}`;
+        return new URL(folderUrl, location.href).href;
+    }
+
+    terminate() {
+        if (this.reader.terminate) this.reader.terminate();
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * COLMAP Binary Reader
+ * Parses points3D.bin / images.bin / cameras.bin (little-endian) written by
+ * newer GTSfM runs straight into typed arrays.
+ *
+ * Kept free of THREE so it can also run inside a worker.
+ */
+
+// Model id -> [name, number of params], as in COLMAP's camera_models.h
+const CAMERA_MODELS = [
+    ['SIMPLE_PINHOLE', 3],
+    ['PINHOLE', 4],
+    ['SIMPLE_RADIAL', 4],
+    ['RADIAL', 5],
+    ['OPENCV', 8],
+    ['OPENCV_FISHEYE', 8],
+    ['FULL_OPENCV', 12],
+    ['FOV', 5],
+    ['SIMPLE_RADIAL_FISHEYE', 4],
+    ['RADIAL_FISHEYE', 5],
+    ['THIN_PRISM_FISHEYE', 12]
+];
+
+/**
+ * Sequential little-endian reader over an ArrayBuffer
+ */
+class BinaryCursor {
+    constructor(buffer) {
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+        this.offset = 0;
+    }
+
+    uint8() {
+        const v = this.view.getUint8(this.offset);
+        this.offset += 1;
+        return v;
+    }
+
+    int32() {
+        const v = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return v;
+    }
+
+    uint32() {
+        const v = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return v;
+    }
+
+    // 64-bit counts/ids, exact up to 2^53
+    uint64() {
+        const lo = this.view.getUint32(this.offset, true);
+        const hi = this.view.getUint32(this.offset + 4, true);
+        this.offset += 8;
+        return hi * 0x100000000 + lo;
+    }
+
+    float64() {
+        const v = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return v;
+    }
+
+    // Null-terminated string
+    string() {
+        let end = this.offset;
+        while (end < this.bytes.length && this.bytes[end] !== 0) end++;
+        const value = new TextDecoder().decode(this.bytes.subarray(this.offset, end));
+        this.offset = end + 1;
+        return value;
+    }
+
+    skip(n) {
+        this.offset += n;
+    }
+}
+
+export class ColmapBinaryReader {
+    /**
+     * Parse points3D.bin
+     * Per point: uint64 id, 3x double xyz, 3x uint8 rgb, double error,
+     *            uint64 track length, track x (int32 image id, int32 point2D idx)
+     * onChunk/chunkSize work as in ColmapTextParser.parsePoints3D()
+     * @returns {Object} Same shape as ColmapTextParser.parsePoints3D()
+     */
+    readPoints3D(buffer, onChunk = null, chunkSize = 50000) {
+        const cursor = new BinaryCursor(buffer);
+        const count = cursor.uint64();
+
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const errors = new Float32Array(count);
+        const pointIds = new Float64Array(count);
+        const trackLengths = new Uint32Array(count);
+        const trackOffsets = new Uint32Array(count);
+        let trackImageIds = new Uint32Array(count * 4);
+        let trackTotal = 0;
+
+        for (let i = 0; i < count; i++) {
+            pointIds[i] = cursor.uint64();
+            positions[i * 3] = cursor.float64();
+            positions[i * 3 + 1] = cursor.float64();
+            positions[i * 3 + 2] = cursor.float64();
+            colors[i * 3] = cursor.uint8() / 255;
+            colors[i * 3 + 1] = cursor.uint8() / 255;
+            colors[i * 3 + 2] = cursor.uint8() / 255;
+            errors[i] = cursor.float64();
+
+            const trackLength = cursor.uint64();
+            if (trackTotal + trackLength > trackImageIds.length) {
+                const grown = new Uint32Array(Math.max(trackImageIds.length * 2, trackTotal + trackLength));
+                grown.set(trackImageIds);
+                trackImageIds = grown;
+            }
+            trackOffsets[i] = trackTotal;
+            trackLengths[i] = trackLength;
+            for (let t = 0; t < trackLength; t++) {
+                trackImageIds[trackTotal++] = cursor.int32();
+                cursor.skip(4); // point2D idx
+            }
+
+            if (onChunk && (i + 1) % chunkSize === 0) {
+                const start = i + 1 - chunkSize;
+                onChunk({
+                    offset: start,
+                    count: chunkSize,
+                    total: count,
+                    positions: positions.slice(start * 3, (i + 1) * 3),
+                    colors: colors.slice(start * 3, (i + 1) * 3)
+                });
+            }
+        }
+
+        return {
+            count,
+            positions,
+            colors,
+            errors,
+            pointIds,
+            trackLengths,
+            trackOffsets,
+            trackImageIds: trackImageIds.slice(0, trackTotal)
+        };
+    }
+
+    /**
+     * Parse images.bin
+     * Per image: uint32 id, 4x double quaternion, 3x double translation,
+     *            uint32 camera id, name\0, uint64 num points2D,
+     *            points2D x (double x, double y, int64 point3D id)
+     * @returns {Array} Same shape as ColmapTextParser.parseImages()
+     */
+    readImages(buffer) {
+        const cursor = new BinaryCursor(buffer);
+        const count = cursor.uint64();
+        const images = [];
+
+        for (let i = 0; i < count; i++) {
+            const image = {
+                id: cursor.uint32(),
+                qw: cursor.float64(),
+                qx: cursor.float64(),
+                qy: cursor.float64(),
+                qz: cursor.float64(),
+                tx: cursor.float64(),
+                ty: cursor.float64(),
+                tz: cursor.float64(),
+                cameraId: cursor.uint32(),
+                name: cursor.string()
+            };
+            const numPoints2D = cursor.uint64();
+            cursor.skip(numPoints2D * 24);
+            images.push(image);
+        }
+
+        return images;
+    }
+
+    /**
+     * Parse cameras.bin
+     * Per camera: int32 id, int32 model id, uint64 width, uint64 height, params (doubles)
+     * @returns {Map} Same shape as ColmapTextParser.parseCameras()
+     */
+    readCameras(buffer) {
+        const cursor = new BinaryCursor(buffer);
+        const count = cursor.uint64();
+        const cameras = new Map();
+
+        for (let i = 0; i < count; i++) {
+            const id = cursor.int32();
+            const modelId = cursor.int32();
+            const model = CAMERA_MODELS[modelId];
+            if (!model) {
+                throw new Error(`Unknown COLMAP camera model id ${modelId}`);
+            }
+
+            const width = cursor.uint64();
+            const height = cursor.uint64();
+            const params = [];
+            for (let p = 0; p < model[1]; p++) {
+                params.push(cursor.float64());
+            }
+
+            cameras.set(id, { id, model: model[0], width, height, params });
+        }
+
+        return cameras;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * COLMAP Text Parser
+ * Parses the points3D.txt / cameras.txt / images.txt files of a cluster
+ * folder (same format as visualize_with_rerun.py reads).
+ *
+ * Kept free of THREE so it can also run inside a worker.
+ */
+
+// Models whose first parameter is a single focal length (f, cx, cy, ...)
+const SINGLE_FOCAL_MODELS = new Set([
+    'SIMPLE_PINHOLE',
+    'SIMPLE_RADIAL',
+    'RADIAL',
+    'SIMPLE_RADIAL_FISHEYE',
+    'RADIAL_FISHEYE'
+]);
+
+export class ColmapTextParser {
+    /**
+     * Parse points3D.txt
+     * Line format: POINT3D_ID, X, Y, Z, R, G, B, ERROR, TRACK[] as (IMAGE_ID, POINT2D_IDX)
+     * Buffers are pre-sized from the "# Number of points" header when present.
+     *
+     * Observing image ids are stored flat: point i's images are
+     * trackImageIds[trackOffsets[i] .. trackOffsets[i] + trackLengths[i]).
+     * POINT3D_IDs are kept in pointIds, so other models of the same points
+     * (ba_input, ba_gt) can be matched up.
+     *
+     * With onChunk, every chunkSize points are also handed out as
+     * { offset, count, total, positions, colors } copies while parsing goes on,
+     * total being the header count (0 when unknown).
+     * @returns {{count, positions, colors, errors, pointIds, trackLengths, trackOffsets, trackImageIds}}
+     */
+    parsePoints3D(text, onChunk = null, chunkSize = 50000) {
+        const header = text.match(/^#\s*Number of points:\s*(\d+)/m);
+        let capacity = header ? Math.max(parseInt(header[1]), 1) : 1024;
+        let positions = new Float32Array(capacity * 3);
+        let colors = new Float32Array(capacity * 3);
+        let errors = new Float32Array(capacity);
+        let pointIds = new Float64Array(capacity);
+        let trackLengths = new Uint32Array(capacity);
+        let trackOffsets = new Uint32Array(capacity);
+        let trackCapacity = capacity * 4;
+        let trackImageIds = new Uint32Array(trackCapacity);
+        let trackTotal = 0;
+        let count = 0;
+        let chunkStart = 0;
+        const total = header ? parseInt(header[1]) : 0;
+
+        for (const line of text.split('\n')) {
+            if (line.startsWith('#') || line.trim() === '') continue;
+
+            const parts = line.trim().split(/\s+/);
+            if (parts.length < 8) continue;
+
+            if (count === capacity) {
+                capacity *= 2;
+                positions = this.grow(positions, capacity * 3);
+                colors = this.grow(colors, capacity * 3);
+                errors = this.grow(errors, capacity);
+                pointIds = this.grow(pointIds, capacity);
+                trackLengths = this.grow(trackLengths, capacity);
+                trackOffsets = this.grow(trackOffsets, capacity);
+            }
+
+            const i = count * 3;
+            positions[i] = parseFloat(parts[1]);
+            positions[i + 1] = parseFloat(parts[2]);
+            positions[i + 2] = parseFloat(parts[3]);
+            colors[i] = parseInt(parts[4]) / 255;
+            colors[i + 1] = parseInt(parts[5]) / 255;
+            colors[i + 2] = parseInt(parts[6]) / 255;
+            errors[count] = parseFloat(parts[7]);
+            pointIds[count] = parseInt(parts[0]);
+
+            // TRACK[] is (IMAGE_ID, POINT2D_IDX) pairs - keep the image ids
+            const trackLength = (parts.length - 8) >> 1;
+            if (trackTotal + trackLength > trackCapacity) {
+                trackCapacity = Math.max(trackCapacity * 2, trackTotal + trackLength);
+                trackImageIds = this.grow(trackImageIds, trackCapacity);
+            }
+            trackOffsets[count] = trackTotal;
+            trackLengths[count] = trackLength;
+            for (let t = 0; t < trackLength; t++) {
+                trackImageIds[trackTotal++] = parseInt(parts[8 + t * 2]);
+            }
+            count++;
+
+            if (onChunk && count - chunkStart === chunkSize) {
+                onChunk(this.chunk(positions, colors, chunkStart, count, total));
+                chunkStart = count;
+            }
+        }
+
+        const fit = (array, length) => array.length === length ? array : array.slice(0, length);
+        return {
+            count,
+            positions: fit(positions, count * 3),
+            colors: fit(colors, count * 3),
+            errors: fit(errors, count),
+            pointIds: fit(pointIds, count),
+            trackLengths: fit(trackLengths, count),
+            trackOffsets: fit(trackOffsets, count),
+            trackImageIds: fit(trackImageIds, trackTotal)
+        };
+    }
+
+    chunk(positions, colors, start, end, total) {
+        return {
+            offset: start,
+            count: end - start,
+            total,
+            positions: positions.slice(start * 3, end * 3),
+            colors: colors.slice(start * 3, end * 3)
+        };
+    }
+
+    grow(array, length) {
+        const grown = new array.constructor(length);
+        grown.set(array);
+        return grown;
+    }
+
+    /**
+     * Parse cameras.txt
+     * Line format: CAMERA_ID, MODEL, WIDTH, HEIGHT, PARAMS[]
+     * @returns {Map<number, {id, model, width, height, params}>}
+     */
+    parseCameras(text) {
+        const cameras = new Map();
+
+        for (const line of text.split('\n')) {
+            if (line.startsWith('#') || line.trim() === '') continue;
+
+            const parts = line.trim().split(/\s+/);
+            if (parts.length < 5) continue;
+
+            const id = parseInt(parts[0]);
+            cameras.set(id, {
+                id,
+                model: parts[1],
+                width: parseInt(parts[2]),
+                height: parseInt(parts[3]),
+                params: parts.slice(4).map(parseFloat)
+            });
+        }
+
+        return cameras;
+    }
+
+    /**
+     * Parse images.txt
+     * Each image takes two lines:
+     *   IMAGE_ID, QW, QX, QY, QZ, TX, TY, TZ, CAMERA_ID, NAME
+     *   POINTS2D[] as (X, Y, POINT3D_ID) - may be empty
+     * The pose maps world to camera coordinates.
+     * @returns {Array<{id, qw, qx, qy, qz, tx, ty, tz, cameraId, name}>}
+     */
+    parseImages(text) {
+        const images = [];
+        let expectHeader = true;
+
+        for (const line of text.split('\n')) {
+            if (line.startsWith('#')) continue;
+
+            if (!expectHeader) {
+                // POINTS2D line belonging to the previous image
+                expectHeader = true;
+                continue;
+            }
+            if (line.trim() === '') continue;
+
+            const parts = line.trim().split(/\s+/);
+            if (parts.length < 10) continue;
+
+            images.push({
+                id: parseInt(parts[0]),
+                qw: parseFloat(parts[1]),
+                qx: parseFloat(parts[2]),
+                qy: parseFloat(parts[3]),
+                qz: parseFloat(parts[4]),
+                tx: parseFloat(parts[5]),
+                ty: parseFloat(parts[6]),
+                tz: parseFloat(parts[7]),
+                cameraId: parseInt(parts[8]),
+                name: parts.slice(9).join(' ')
+            });
+            expectHeader = false;
+        }
+
+        return images;
+    }
+
+    /**
+     * Pinhole intrinsics of a parsed camera, ignoring distortion
+     * @returns {{fx, fy, cx, cy, width, height}}
+     */
+    getIntrinsics(camera) {
+        const p = camera.params;
+        if (SINGLE_FOCAL_MODELS.has(camera.model)) {
+            return { fx: p[0], fy: p[0], cx: p[1], cy: p[2], width: camera.width, height: camera.height };
+        }
+        return { fx: p[0], fy: p[1], cx: p[2], cy: p[3], width: camera.width, height: camera.height };
+    }
+}
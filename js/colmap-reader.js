@@ -0,0 +1,187 @@
+import { ColmapTextParser } from './colmap-parser.js?v=2';
+import { ColmapBinaryReader } from './colmap-binary.js?v=2';
+import { PointOctree } from './point-octree.js?v=2';
+import { WorkerPool } from './worker-pool.js?v=2';
+import { OutlierFilter } from './outlier-filter.js?v=2';
+
+/**
+ * Error with a load-report code ('missing', 'http', 'network', 'parse'),
+ * plus the HTTP status when there is one
+ */
+export function loadError(code, message, status = null) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+/**
+ * COLMAP Model Reader
+ * Fetches a cluster folder's model in whichever format it was written:
+ *   binary - points3D.bin, images.bin, cameras.bin
+ *   text   - points3D.txt, images.txt, cameras.txt
+ *
+ * The format is detected per folder from which points3D file exists,
+ * binary first since it is much cheaper to parse.
+ */
+export class ColmapReader {
+    /**
+     * @param {Function} fetchFile - fetch() or a stand-in (e.g. LocalFolderSource.fetch)
+     */
+    constructor(fetchFile = (url) => fetch(url)) {
+        this.fetchFile = fetchFile;
+        this.textParser = new ColmapTextParser();
+        this.binaryReader = new ColmapBinaryReader();
+        this.octree = new PointOctree();
+    }
+
+    /**
+     * Load points3D from a folder URL. Points come back in octree-level
+     * order (see PointOctree) with levelOffsets, ready for LOD.
+     * @param {Function} onChunk - Optional, receives partial points while parsing
+     * @returns {Promise<{format, count, positions, colors, levelOffsets, ...}>}
+     */
+    async readPoints(folderUrl, onChunk = null, chunkSize = 50000) {
+        const binary = await this.fetchChecked(`${folderUrl}/points3D.bin`);
+        if (binary.ok) {
+            const points = this.parse('points3D.bin', () => binary.arrayBuffer(),
+                buffer => this.binaryReader.readPoints3D(buffer, onChunk, chunkSize));
+            return { format: 'binary', ...this.octree.sortByLevel(await points) };
+        }
+
+        const text = await this.fetchChecked(`${folderUrl}/points3D.txt`);
+        if (!text.ok) {
+            // Not found twice means the folder has no model; anything else is a server problem
+            const failed = binary.status !== 404 ? binary : text;
+            if (failed.status === 404) {
+                throw loadError('missing', `No points3D.bin or points3D.txt in ${folderUrl}`, 404);
+            }
+            throw loadError('http', `HTTP ${failed.status} ${failed.statusText || ''} for ${folderUrl}`.trim(), failed.status);
+        }
+        const points = this.parse('points3D.txt', () => text.text(),
+            content => this.textParser.parsePoints3D(content, onChunk, chunkSize));
+        return { format: 'text', ...this.octree.sortByLevel(await points) };
+    }
+
+    async fetchChecked(url) {
+        try {
+            return await this.fetchFile(url);
+        } catch (e) {
+            throw loadError('network', `Could not fetch ${url}: ${e.message}`);
+        }
+    }
+
+    // Read a response body and parse it, reporting failures as parse errors
+    async parse(name, read, parser) {
+        const content = await read();
+        try {
+            return parser(content);
+        } catch (e) {
+            throw loadError('parse', `Could not parse ${name}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Load images + cameras in the given format
+     * @returns {Promise<{images, cameras}|null>} null when the files are missing
+     */
+    async readCameras(folderUrl, format = 'text') {
+        const ext = format === 'binary' ? 'bin' : 'txt';
+        const [imagesResponse, camerasResponse] = await Promise.all([
+            this.fetchFile(`${folderUrl}/images.${ext}`),
+            this.fetchFile(`${folderUrl}/cameras.${ext}`)
+        ]);
+        if (!imagesResponse.ok || !camerasResponse.ok) return null;
+
+        if (format === 'binary') {
+            return {
+                images: this.binaryReader.readImages(await imagesResponse.arrayBuffer()),
+                cameras: this.binaryReader.readCameras(await camerasResponse.arrayBuffer())
+            };
+        }
+        return {
+            images: this.textParser.parseImages(await imagesResponse.text()),
+            cameras: this.textParser.parseCameras(await camerasResponse.text())
+        };
+    }
+}
+
+/**
+ * Same interface as ColmapReader, but fetching and parsing run in a
+ * WorkerPool (js/colmap-worker.js). Falls back to the main thread when
+ * workers are unavailable or fail to start.
+ *
+ * With a LocalFolderSource the workers get each folder's File objects
+ * instead of a URL.
+ */
+export class ColmapWorkerReader {
+    constructor(source = null, poolSize) {
+        this.source = source;
+        this.fallback = new ColmapReader(source ? source.fetch : undefined);
+        this.pool = WorkerPool.isSupported()
+            ? new WorkerPool(new URL('./colmap-worker.js?v=6', import.meta.url), poolSize)
+            : null;
+    }
+
+    readPoints(folderUrl, onChunk = null, chunkSize = 50000) {
+        // The worker only streams chunks when it is given a chunk size
+        return this.run(
+            'readPoints', folderUrl, [onChunk ? chunkSize : 0],
+            () => this.fallback.readPoints(folderUrl, onChunk, chunkSize),
+            onChunk
+        );
+    }
+
+    readCameras(folderUrl, format = 'text') {
+        return this.run(
+            'readCameras', folderUrl, [format],
+            () => this.fallback.readCameras(folderUrl, format)
+        );
+    }
+
+    /**
+     * Outlier mask for parsed points (see OutlierFilter); positions are
+     * copied to the worker, not transferred
+     * @returns {Promise<Uint8Array>}
+     */
+    async findOutliers(positions, count, options) {
+        const fallback = () => new OutlierFilter(options).findOutliers(positions, count);
+        if (!this.pool) return fallback();
+
+        try {
+            const { outliers } = await this.pool.run('findOutliers', [positions, count, options]);
+            return outliers;
+        } catch (e) {
+            if (!e.workerFailure) throw e;
+            if (this.pool?.broken) this.pool = null;
+            return fallback();
+        }
+    }
+
+    async run(task, folderUrl, args, fallback, onChunk = null) {
+        if (!this.pool) return fallback();
+
+        try {
+            const taskArgs = this.source
+                ? [folderUrl, ...args, this.source.folderFiles(folderUrl)]
+                : [this.absolute(folderUrl), ...args];
+            return await this.pool.run(task, taskArgs, onChunk);
+        } catch (e) {
+            if (!e.workerFailure) throw e;
+            if (this.pool?.broken) {
+                console.warn('COLMAP workers unavailable, parsing on the main thread');
+                this.pool = null;
+            }
+            return fallback();
+        }
+    }
+
+    // Workers resolve relative URLs against the script, not the page
+    absolute(url) {
+        return new URL(url, location.href).href;
+    }
+
+    terminate() {
+        if (this.pool) this.pool.terminate();
+    }
+}
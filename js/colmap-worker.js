@@ -0,0 +1,55 @@
+import { ColmapReader } from './colmap-reader.js?v=7';
+import { fetchFromFiles } from './local-folder-source.js?v=1';
+import { OutlierFilter } from './outlier-filter.js?v=2';
+
+/**
+ * COLMAP Worker
+ * Module worker run by WorkerPool: fetches and parses a cluster folder off
+ * the main thread and transfers the typed arrays back. Also runs the
+ * outlier search over parsed points.
+ */
+
+const urlReader = new ColmapReader();
+const TASKS = new Set(['readPoints', 'readCameras', 'findOutliers']);
+
+self.onmessage = async (event) => {
+    const { id, task, args } = event.data;
+
+    try {
+        if (!TASKS.has(task)) throw new Error(`Unknown task: ${task}`);
+        if (task === 'findOutliers') {
+            // args: [positions, count, options]
+            const [positions, count, options] = args;
+            const result = { outliers: new OutlierFilter(options).findOutliers(positions, count) };
+            self.postMessage({ id, result }, transferables(result));
+            return;
+        }
+        // args: [folderUrl, chunkSize | format, files?] - files is the folder's
+        // { name: File } map when it comes from a local folder
+        const [folderUrl, option, files] = args;
+        const reader = files ? new ColmapReader(fetchFromFiles(files)) : urlReader;
+        const result = task === 'readPoints'
+            ? await readPoints(reader, id, folderUrl, option)
+            : await reader.readCameras(folderUrl, option);
+        self.postMessage({ id, result }, transferables(result));
+    } catch (e) {
+        self.postMessage({ id, error: e.message, code: e.code, status: e.status });
+    }
+};
+
+// Streams partial points back as { id, chunk } messages when chunkSize is set
+function readPoints(reader, id, folderUrl, chunkSize) {
+    const onChunk = chunkSize
+        ? (chunk) => self.postMessage({ id, chunk }, transferables(chunk))
+        : null;
+    return reader.readPoints(folderUrl, onChunk, chunkSize || undefined);
+}
+
+// Buffers of the typed arrays at the top level of a result
+function transferables(result) {
+    if (!result) return [];
+    const buffers = Object.values(result)
+        .filter(value => ArrayBuffer.isView(value))
+        .map(value => value.buffer);
+    return [...new Set(buffers)];
+}
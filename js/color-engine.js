@@ -0,0 +1,322 @@
+import * as THREE from 'three';
+
+/**
+ * Color Engine
+ * Recolors every cluster's point cloud in place. Modes:
+ *   rgb     - original colors from the reconstruction
+ *   cluster - one categorical color per cluster folder
+ *   depth   - merge-tree depth (root = 0)
+ *   branch  - top-level branch (C_1, C_2, ...)
+ *   scalar  - colormap over a per-point attribute (reprojection error, track length)
+ *   source  - per point, the leaf cluster it came from (needs a MergeProvenance)
+ *
+ * The original RGB is kept in geometry.userData.originalColors the first
+ * time a cluster is recolored, so switching back to 'rgb' is lossless.
+ */
+
+export const COLOR_MODES = {
+    rgb: 'Original RGB',
+    cluster: 'By cluster',
+    depth: 'By tree depth',
+    branch: 'By branch',
+    scalar: 'By attribute',
+    source: 'By source leaf'
+};
+
+// Per-point attributes that can drive the 'scalar' mode
+export const SCALAR_ATTRIBUTES = {
+    reprojectionError: 'Reprojection error (px)',
+    trackLength: 'Track length'
+};
+
+// Colormap stops (sRGB), sampled evenly from matplotlib
+export const COLORMAPS = {
+    viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    plasma: ['#0d0887', '#46039f', '#7201a8', '#9c179e', '#bd3786', '#d8576b', '#ed7953', '#fb9f3a', '#fdca26', '#f0f921'],
+    inferno: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'],
+    magma: ['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f', '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'],
+    turbo: ['#30123b', '#4662d7', '#36aaf9', '#1ae4b6', '#72fe5e', '#c7ef34', '#fabf3a', '#f66b19', '#ca2a04', '#7a0403']
+};
+
+// Categorical palette for branches (matplotlib tab10)
+const BRANCH_PALETTE = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#bcbd22', '#17becf'];
+const ROOT_COLOR = '#7f7f7f';
+const MISSING_COLOR = '#bbbbbb';
+
+// Percentiles used as the scalar range, so a few outliers don't wash out the map
+const SCALAR_LOW_PERCENTILE = 0.02;
+const SCALAR_HIGH_PERCENTILE = 0.98;
+const SCALAR_SAMPLE_SIZE = 200000;
+
+const CLUSTER_NAME = /^C(_\d+)+$/;
+
+export class ColorEngine {
+    /**
+     * @param {Map<string, Cluster>} clusters
+     * @param {MergeProvenance} provenance - Optional; enables the 'source' mode
+     */
+    constructor(clusters, provenance = null) {
+        this.clusters = clusters; // Map<path, Cluster>
+        this.provenance = provenance;
+        this.mode = 'rgb';
+        this.scalarAttribute = 'reprojectionError';
+        this.colormap = 'viridis';
+
+        this.scalarRange = { min: 0, max: 1 };
+        this.stopColors = new Map(); // colormap name -> THREE.Color stops
+        this.leafColors = []; // 'source' mode: color per provenance leaf
+        this.onChange = null; // Called after every apply() (legend refresh)
+    }
+
+    setMode(mode) {
+        if (!COLOR_MODES[mode]) {
+            console.warn(`Unknown color mode: ${mode}`);
+            return;
+        }
+        this.mode = mode;
+        this.apply();
+    }
+
+    setScalarAttribute(name) {
+        this.scalarAttribute = name;
+        if (this.mode === 'scalar') this.apply();
+    }
+
+    setColormap(name) {
+        if (!COLORMAPS[name]) return;
+        this.colormap = name;
+        if (this.mode === 'scalar' || this.mode === 'depth') this.apply();
+    }
+
+    /**
+     * Recolor all loaded clusters with the current mode
+     */
+    apply() {
+        this.refresh();
+        for (const cluster of this.clusters.values()) {
+            this.applyToCluster(cluster);
+        }
+        console.log(`Color mode: ${this.mode}`);
+        if (this.onChange) this.onChange(this.getLegend());
+    }
+
+    /**
+     * Recompute the mode-wide state (cluster order, depth, branches, scalar range)
+     */
+    refresh() {
+        this.clusterColors = new Map();
+        let index = 0;
+        for (const path of this.clusters.keys()) {
+            // Golden-angle hue steps keep neighbouring clusters distinguishable
+            const color = new THREE.Color().setHSL((index * 0.618034) % 1, 0.7, 0.5);
+            this.clusterColors.set(path, color);
+            index++;
+        }
+
+        this.maxDepth = 0;
+        const branches = new Set();
+        for (const path of this.clusters.keys()) {
+            this.maxDepth = Math.max(this.maxDepth, this.getDepth(path));
+            const branch = this.getBranch(path);
+            if (branch) branches.add(branch);
+        }
+        this.branches = [...branches].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+        if (this.mode === 'scalar') {
+            this.scalarRange = this.computeScalarRange(this.scalarAttribute);
+        }
+
+        if (this.mode === 'source' && this.provenance) {
+            this.provenance.computeAll();
+            // Same golden-angle hues as 'cluster', over the leaves only
+            this.leafColors = this.provenance.leaves.map((leaf, i) =>
+                new THREE.Color().setHSL((i * 0.618034) % 1, 0.7, 0.5));
+        }
+    }
+
+    applyToCluster(cluster) {
+        const geometry = cluster.pointCloud?.geometry;
+        const colorAttr = geometry?.attributes.color;
+        // Placeholders for failed clusters keep their warning color
+        if (!colorAttr || cluster.placeholder) return;
+
+        if (!geometry.userData.originalColors) {
+            geometry.userData.originalColors = colorAttr.array.slice();
+        }
+
+        const colors = colorAttr.array;
+        const count = colorAttr.count;
+
+        if (this.mode === 'rgb') {
+            colors.set(geometry.userData.originalColors);
+        } else if (this.mode === 'scalar') {
+            const values = geometry.attributes[this.scalarAttribute];
+            const color = new THREE.Color();
+            const { min, max } = this.scalarRange;
+            const span = max - min || 1;
+            for (let i = 0; i < count; i++) {
+                if (values) {
+                    this.sampleColormap((values.getX(i) - min) / span, color);
+                } else {
+                    color.set(MISSING_COLOR);
+                }
+                colors[i * 3] = color.r;
+                colors[i * 3 + 1] = color.g;
+                colors[i * 3 + 2] = color.b;
+            }
+        } else if (this.mode === 'source') {
+            const sources = geometry.attributes.sourceLeaf;
+            const missing = new THREE.Color(MISSING_COLOR);
+            for (let i = 0; i < count; i++) {
+                const color = (sources && this.leafColors[sources.getX(i)]) || missing;
+                colors[i * 3] = color.r;
+                colors[i * 3 + 1] = color.g;
+                colors[i * 3 + 2] = color.b;
+            }
+        } else {
+            const color = this.getClusterColor(cluster.path);
+            for (let i = 0; i < count; i++) {
+                colors[i * 3] = color.r;
+                colors[i * 3 + 1] = color.g;
+                colors[i * 3 + 2] = color.b;
+            }
+        }
+
+        colorAttr.needsUpdate = true;
+    }
+
+    /**
+     * Flat color of a whole cluster in the categorical modes
+     */
+    getClusterColor(path) {
+        if (this.mode === 'cluster') {
+            return this.clusterColors.get(path) ?? new THREE.Color(MISSING_COLOR);
+        }
+        if (this.mode === 'depth') {
+            const t = this.maxDepth > 0 ? this.getDepth(path) / this.maxDepth : 0;
+            return this.sampleColormap(t, new THREE.Color());
+        }
+        if (this.mode === 'branch') {
+            return this.getBranchColor(this.getBranch(path));
+        }
+        return new THREE.Color(MISSING_COLOR);
+    }
+
+    getBranchColor(branch) {
+        if (!branch) return new THREE.Color(ROOT_COLOR);
+        const index = this.branches.indexOf(branch);
+        return new THREE.Color(BRANCH_PALETTE[index % BRANCH_PALETTE.length]);
+    }
+
+    /**
+     * Depth in the merge tree: number of C_x folders in the path ('C_4/C_4_1/merged' -> 2)
+     */
+    getDepth(path) {
+        return path.split('/').filter(segment => CLUSTER_NAME.test(segment)).length;
+    }
+
+    /**
+     * Top-level branch ('C_4/C_4_1/merged' -> 'C_4'), null for the root folders
+     */
+    getBranch(path) {
+        const first = path.split('/')[0];
+        return CLUSTER_NAME.test(first) ? first : null;
+    }
+
+    /**
+     * Robust [min, max] of an attribute over all clusters
+     */
+    computeScalarRange(name) {
+        let total = 0;
+        for (const cluster of this.clusters.values()) {
+            const attr = cluster.pointCloud?.geometry.attributes[name];
+            if (attr) total += attr.count;
+        }
+        if (total === 0) return { min: 0, max: 1 };
+
+        const stride = Math.max(1, Math.floor(total / SCALAR_SAMPLE_SIZE));
+        const sample = [];
+        for (const cluster of this.clusters.values()) {
+            const attr = cluster.pointCloud?.geometry.attributes[name];
+            if (!attr) continue;
+            for (let i = 0; i < attr.count; i += stride) {
+                sample.push(attr.getX(i));
+            }
+        }
+        sample.sort((a, b) => a - b);
+
+        const at = (p) => sample[Math.min(sample.length - 1, Math.floor(p * (sample.length - 1)))];
+        const min = at(SCALAR_LOW_PERCENTILE);
+        let max = at(SCALAR_HIGH_PERCENTILE);
+        if (max <= min) max = sample[sample.length - 1];
+        return { min, max: max > min ? max : min + 1 };
+    }
+
+    /**
+     * Linear interpolation between colormap stops, t in [0, 1] (clamped)
+     */
+    sampleColormap(t, target) {
+        if (!this.stopColors.has(this.colormap)) {
+            this.stopColors.set(this.colormap, COLORMAPS[this.colormap].map(hex => new THREE.Color(hex)));
+        }
+        const stops = this.stopColors.get(this.colormap);
+        const x = Math.min(1, Math.max(0, t || 0)) * (stops.length - 1);
+        const i = Math.min(Math.floor(x), stops.length - 2);
+        return target.copy(stops[i]).lerp(stops[i + 1], x - i);
+    }
+
+    /**
+     * Legend description for the current mode
+     * @returns {{title, type: 'none'|'categorical'|'gradient', items?, stops?, min?, max?}}
+     */
+    getLegend() {
+        const title = COLOR_MODES[this.mode];
+
+        if (this.mode === 'cluster') {
+            const items = [...this.clusters.keys()].map(path => ({
+                label: path,
+                color: `#${this.clusterColors.get(path).getHexString()}`
+            }));
+            return { title, type: 'categorical', items };
+        }
+
+        if (this.mode === 'depth') {
+            const items = [];
+            for (let depth = 0; depth <= this.maxDepth; depth++) {
+                const color = this.sampleColormap(this.maxDepth > 0 ? depth / this.maxDepth : 0, new THREE.Color());
+                items.push({ label: depth === 0 ? 'Depth 0 (root)' : `Depth ${depth}`, color: `#${color.getHexString()}` });
+            }
+            return { title, type: 'categorical', items };
+        }
+
+        if (this.mode === 'branch') {
+            const items = [{ label: 'Root', color: ROOT_COLOR }];
+            for (const branch of this.branches) {
+                items.push({ label: branch, color: `#${this.getBranchColor(branch).getHexString()}` });
+            }
+            return { title, type: 'categorical', items };
+        }
+
+        if (this.mode === 'source') {
+            if (!this.provenance) return { title, type: 'none' };
+            const items = this.provenance.leaves.map((leaf, i) => ({
+                label: leaf.path,
+                color: `#${this.leafColors[i].getHexString()}`
+            }));
+            items.push({ label: 'Not traced', color: MISSING_COLOR });
+            return { title, type: 'categorical', items };
+        }
+
+        if (this.mode === 'scalar') {
+            return {
+                title: SCALAR_ATTRIBUTES[this.scalarAttribute] ?? this.scalarAttribute,
+                type: 'gradient',
+                stops: COLORMAPS[this.colormap],
+                min: this.scalarRange.min,
+                max: this.scalarRange.max
+            };
+        }
+
+        return { title, type: 'none' };
+    }
+}
@@ -0,0 +1,84 @@
+import { OverlayPanel } from './overlay-panel.js?v=1';
+import { COLOR_MODES, SCALAR_ATTRIBUTES, COLORMAPS } from './color-engine.js?v=3';
+
+/**
+ * Color Panel
+ * Mode picker + legend for a ColorEngine, shown as an overlay card.
+ */
+export class ColorPanel {
+    /**
+     * @param {ColorEngine} colorEngine
+     * @param {Object} options - OverlayPanel options (position, theme)
+     */
+    constructor(colorEngine, options = {}) {
+        this.colorEngine = colorEngine;
+        this.panel = new OverlayPanel('Color', options);
+
+        this.modeSelect = this.createSelect(COLOR_MODES, colorEngine.mode);
+        this.attributeSelect = this.createSelect(SCALAR_ATTRIBUTES, colorEngine.scalarAttribute);
+        const colormapNames = Object.fromEntries(Object.keys(COLORMAPS).map(name => [name, name]));
+        this.colormapSelect = this.createSelect(colormapNames, colorEngine.colormap);
+
+        this.modeSelect.addEventListener('change', () => colorEngine.setMode(this.modeSelect.value));
+        this.attributeSelect.addEventListener('change', () => colorEngine.setScalarAttribute(this.attributeSelect.value));
+        this.colormapSelect.addEventListener('change', () => colorEngine.setColormap(this.colormapSelect.value));
+
+        this.legend = document.createElement('div');
+        this.legend.style.marginTop = '8px';
+
+        const content = document.createElement('div');
+        content.append(this.modeSelect, this.attributeSelect, this.colormapSelect, this.legend);
+        this.panel.setContent(content);
+
+        colorEngine.onChange = (legend) => this.renderLegend(legend);
+        this.renderLegend(colorEngine.getLegend());
+    }
+
+    createSelect(options, selected) {
+        const select = document.createElement('select');
+        select.style.width = '100%';
+        for (const [value, label] of Object.entries(options)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === selected;
+            select.appendChild(option);
+        }
+        return select;
+    }
+
+    renderLegend(legend) {
+        const mode = this.colorEngine.mode;
+        this.modeSelect.value = mode;
+        this.attributeSelect.style.display = mode === 'scalar' ? '' : 'none';
+        this.colormapSelect.style.display = (mode === 'scalar' || mode === 'depth') ? '' : 'none';
+
+        this.legend.replaceChildren();
+
+        if (legend.type === 'categorical') {
+            for (const item of legend.items) {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 2px 0;';
+                const swatch = document.createElement('span');
+                swatch.style.cssText = `width: 10px; height: 10px; border-radius: 2px; flex-shrink: 0; background: ${item.color};`;
+                const label = document.createElement('span');
+                label.textContent = item.label;
+                row.append(swatch, label);
+                this.legend.appendChild(row);
+            }
+        } else if (legend.type === 'gradient') {
+            const title = document.createElement('div');
+            title.textContent = legend.title;
+            const bar = document.createElement('div');
+            bar.style.cssText = `height: 10px; border-radius: 2px; margin: 4px 0; background: linear-gradient(to right, ${legend.stops.join(', ')});`;
+            const range = document.createElement('div');
+            range.style.cssText = 'display: flex; justify-content: space-between;';
+            range.innerHTML = `<span>${this.formatValue(legend.min)}</span><span>${this.formatValue(legend.max)}</span>`;
+            this.legend.append(title, bar, range);
+        }
+    }
+
+    formatValue(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+}
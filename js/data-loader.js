@@ -1,9 +1,28 @@
 import * as THREE from 'three';
+import { TreeDiscovery } from './tree-discovery.js?v=4';
+import { ColmapWorkerReader } from './colmap-reader.js?v=7';
+import { CameraFrustumBuilder } from './camera-frustums.js?v=2';
+import { ClusterCache, CachedColmapReader } from './cluster-cache.js?v=3';
+import { PIPELINE_BACKENDS, getBackend, findRootCluster } from './pipeline-backends.js?v=4';
+import { getDataset, orientationMatrix, headingMatrix, isEstimatedUp } from './dataset-config.js?v=8';
+import { OrientationEstimator } from './orientation-estimator.js?v=2';
+import { OutlierFilter, splitOutliers } from './outlier-filter.js?v=2';
+import { RunLog } from './run-log.js?v=1';
+import { TimelineFile } from './timeline-file.js?v=2';
+
+// Cluster folder of a leaf/merged path ('C_1/C_1_1/merged' -> 'C_1/C_1_1')
+function dirname(path) {
+    return path.slice(0, Math.max(0, path.lastIndexOf('/')));
+}
 
 export class Cluster {
     constructor(path, type, childrenPaths = []) {
         this.path = path;
-        this.type = type; // 'ba_output' or 'merged'
+        this.type = type; // Folder name: the backend's leaf type (e.g. 'ba_output') or merged type
+        // 'leaf' or 'merged', independent of the backend's folder names
+        this.role = null;
+        // Merged folder that only promotes the cluster's own leaf result
+        this.promoted = false;
         this.childrenPaths = childrenPaths;
         
         this.group = new THREE.Group();
@@ -16,9 +35,35 @@ export class Cluster {
         this.radius = 0;
         this.centroid = new THREE.Vector3();
         
+        // Rectangle region assigned by squareness layout
+        this.rect = null; // { x, y, w, h }
+        
         // Parent/Child references
         this.parent = null;
         this.children = [];
+        
+        // Camera poses/intrinsics from images.txt and cameras.txt
+        this.images = [];
+        this.cameras = new Map();
+        this.frustums = null;
+        
+        // Points dropped by the outlier filter, drawn as a separate layer
+        this.outlierCloud = null;
+        this.outliersCount = 0;
+        
+        // 'text' or 'binary' COLMAP model, detected at load time
+        this.format = null;
+        
+        // Bounds/centroid/radius in the original coordinates (for re-normalizing)
+        this.rawBounds = null;
+        this.rawCentroid = new THREE.Vector3();
+        this.rawRadius = 0;
+        
+        // Partial cloud drawn while the points are still streaming in
+        this.streamingCloud = null;
+        
+        // True when the points failed to load and pointCloud is a stand-in box
+        this.placeholder = false;
     }
 
     setPointCloud(geometry, material) {
@@ -33,21 +78,145 @@ export class Cluster {
         this.radius = geometry.boundingSphere.radius;
         this.pointsCount = geometry.attributes.position.count;
     }
+
+    /**
+     * Per-point COLMAP attributes for a point index (e.g. from a raycast hit)
+     * @returns {{error, trackLength, imageIds, imageNames}|null}
+     */
+    getPointInfo(index) {
+        const geometry = this.pointCloud?.geometry;
+        if (!geometry || !geometry.attributes.trackLength || index >= this.pointsCount) return null;
+
+        const trackLength = geometry.attributes.trackLength.getX(index);
+        const offset = geometry.attributes.trackOffset.getX(index);
+        const imageIds = Array.from(geometry.userData.trackImageIds.subarray(offset, offset + trackLength));
+        const names = new Map(this.images.map(image => [image.id, image.name]));
+
+        return {
+            error: geometry.attributes.reprojectionError.getX(index),
+            trackLength,
+            imageIds,
+            imageNames: imageIds.map(id => names.get(id)).filter(Boolean)
+        };
+    }
+
+    setCameras(images, cameras) {
+        this.images = images;
+        this.cameras = cameras;
+    }
+
+    setFrustums(frustums) {
+        if (!this.pointCloud) return;
+        this.frustums = frustums;
+        // Child of the point cloud so it moves, hides and fades along with the points
+        frustums.onBeforeRender = () => {
+            frustums.material.opacity = frustums.userData.baseOpacity * this.pointCloud.material.opacity;
+        };
+        this.pointCloud.add(frustums);
+    }
+
+    setOutliers(outlierCloud) {
+        if (!this.pointCloud) return;
+        this.outlierCloud = outlierCloud;
+        this.outliersCount = outlierCloud.geometry.attributes.position.count;
+        // Like the frustums: moves and fades with the points
+        outlierCloud.onBeforeRender = () => {
+            outlierCloud.material.opacity = this.pointCloud.material.opacity;
+        };
+        this.pointCloud.add(outlierCloud);
+    }
 }
 
+/**
+ * Loads every cluster of one reconstruction pipeline's results.
+ * The backend descriptor (see pipeline-backends.js) supplies the data root,
+ * the leaf/merged folder names and whether leaves get promoted. The default
+ * backend needs loadBackends() to have run.
+ *
+ * With a LocalFolderSource the results come from a folder on disk instead
+ * of the web root; the data root is then found inside that folder.
+ *
+ * The dataset config (see dataset-config.js) supplies the scene settings:
+ * data root override, orientation, target size and point size.
+ */
 export class DataLoader {
-    constructor() {
+    constructor(backend = getBackend(), source = null, dataset = getDataset()) {
+        this.source = source;
+        if (source) backend = this.matchLocalBackend(backend, source);
+        this.backend = backend;
+        this.dataset = dataset;
         this.clusters = new Map(); // path -> Cluster
         this.root = null;
         this.globalCenter = new THREE.Vector3();
         this.globalRadius = 0;
         this.scaleFactor = 1.0;
+        this.dataRoot = source
+            ? source.findDataRoot(backend.leafType, backend.mergedType)
+            : (dataset.dataRoot || backend.dataRoot);
+        this.leafType = backend.leafType;
+        this.mergedType = backend.mergedType || 'merged';
+        
+        // Frustum depth as a fraction of the cluster radius
+        this.FRUSTUM_SCALE = 0.05;
+        this.frustumBuilder = new CameraFrustumBuilder();
+        // Fetching + parsing run in a worker pool; same interface as ColmapReader.
+        // Unchanged files are answered from the IndexedDB cache without parsing.
+        this.cache = new ClusterCache();
+        this.workerReader = new ColmapWorkerReader(source);
+        this.colmapReader = new CachedColmapReader(this.workerReader, this.cache, source);
+        
+        // Optional kNN outlier removal per cluster, before the bounds are
+        // computed; the cache keeps the unfiltered points
+        this.outlierFilter = new OutlierFilter(dataset.outliers || {});
+        this.OUTLIER_COLOR = 0xff00ff;
+        this.showOutliers = false;
+        
+        // Scene size of the normalized building, its point size and which way is up
+        this.TARGET_SIZE = dataset.targetSize;
+        this.POINT_SIZE = dataset.pointSize;
+        this.orientation = orientationMatrix(dataset);
+        // With an estimated up axis: a first guess from the first cluster
+        // to finish loading, the final one from the root when all have
+        this.orientationEstimator = isEstimatedUp(dataset) ? new OrientationEstimator() : null;
+        this.orientationEstimate = null;
+        this.ORIENTATION_SAMPLES = 5000;
+        // Points per streamed chunk while a cluster file is parsed
+        this.CHUNK_SIZE = 50000;
+        
+        // Original coordinates -> scene. Provisional while clusters stream in,
+        // re-applied once the bounds grow by more than REFINE_TOLERANCE and
+        // replaced with the final one when everything has loaded.
+        this.normalization = new THREE.Matrix4();
+        this.normalizationBounds = null;
+        this.loadedBounds = new THREE.Box3();
+        this.REFINE_TOLERANCE = 0.25;
+        
+        // Called once per cluster as soon as it has something to draw
+        this.onClusterAdded = null;
+        this.addedClusters = new Set();
+        
+        // path -> { status, message, httpStatus, pointsCount, format, cameras, outliers? }
+        // status: 'ok' | 'missing' | 'http' | 'network' | 'parse' | 'empty' | 'error'
+        this.loadReport = new Map();
+        // Placeholder box color and size (relative to the estimated region)
+        this.PLACEHOLDER_COLOR = new THREE.Color(0xff3333);
+        this.PLACEHOLDER_SCALE = 0.5;
+        this.PLACEHOLDER_POINTS_PER_EDGE = 24;
+        
+        // When each folder was computed (run-log.js), for the event order;
+        // null without a run log
+        this.runLog = null;
+        this.manifest = null;
+        // Event list to play instead of building one (timeline-file.js)
+        this.timeline = null;
     }
 
     async load() {
         // 1. Define Structure
-        const structure = this.getStructure();
+        const structure = await this.discoverStructure();
         const flatPaths = this.flattenStructure(structure);
+        this.runLog = await this.loadRunLog();
+        this.timeline = await this.loadTimeline();
 
         // 2. Load all Reconstructions
         let loaded = 0;
@@ -58,6 +227,7 @@ export class DataLoader {
             const cluster = new Cluster(item.path, item.type, item.children);
             this.clusters.set(item.path, cluster);
         }
+        this.assignRoles();
 
         // Link parents/children
         for (const [path, cluster] of this.clusters) {
@@ -69,59 +239,116 @@ export class DataLoader {
                 }
             }
         }
+        this.markPromotions();
+        this.root = findRootCluster(this.clusters);
 
         // Load geometry - KEEP ORIGINAL COORDINATES
         const promises = flatPaths.map(async (item) => {
             await this.loadPointCloud(item.path);
+            await this.loadCameras(item.path);
+            if (this.orientationEstimator && !this.orientationEstimate) this.reorientProvisional(this.clusters.get(item.path));
             loaded++;
             if (this.onProgress) this.onProgress(loaded, total);
         });
 
         await Promise.all(promises);
         
+        // Clusters that failed to load still take part, drawn as a placeholder box
+        this.createPlaceholders();
+        
         // After all clusters loaded, compute global bounds and normalize
         this.computeGlobalBoundsAndNormalize();
         
         return this.clusters;
     }
 
+    /**
+     * A local folder may hold another pipeline's results than the page's
+     * backend: pick the backend whose leaf folders it actually contains
+     */
+    matchLocalBackend(backend, source) {
+        if (source.hasFolderNamed(backend.leafType)) return backend;
+
+        const match = Object.keys(PIPELINE_BACKENDS).find(name => source.hasFolderNamed(PIPELINE_BACKENDS[name].leafType));
+        if (!match) return backend;
+        console.log(`Local folder holds ${PIPELINE_BACKENDS[match].label} results`);
+        return getBackend(match);
+    }
+
+    /**
+     * Role of each cluster from the backend's folder names. Runs after
+     * discovery, since the manifest may rename the leaf folder.
+     */
+    assignRoles() {
+        for (const cluster of this.clusters.values()) {
+            if (cluster.type === this.mergedType) cluster.role = 'merged';
+            else if (cluster.type === this.leafType) cluster.role = 'leaf';
+        }
+    }
+
+    /**
+     * With leaf promotion, a merged folder whose only input is its own
+     * cluster's leaf folder is that leaf result promoted, not a real merge
+     */
+    markPromotions() {
+        if (!this.backend.leafPromotion) return;
+
+        for (const cluster of this.clusters.values()) {
+            if (cluster.role !== 'merged' || cluster.children.length !== 1) continue;
+            const [child] = cluster.children;
+            cluster.promoted = child.role === 'leaf' && dirname(child.path) === dirname(cluster.path);
+        }
+    }
+
     async loadPointCloud(path) {
+        const cluster = this.clusters.get(path);
+        const report = { path, status: 'ok', message: '', httpStatus: null, pointsCount: 0, format: null, cameras: null };
+        this.loadReport.set(path, report);
         try {
-            const fullPath = `data/gerrard-hall/results/${path}`;
-            const response = await fetch(`${fullPath}/points3D.txt`);
-            if (!response.ok) throw new Error(`Failed to fetch ${fullPath}`);
-            const text = await response.text();
-
-            const positions = [];
-            const colors = [];
+            const fullPath = `${this.dataRoot}/${path}`;
             
-            const lines = text.split('\n');
-            for (let line of lines) {
-                if (line.startsWith('#') || line.trim() === '') continue;
-                
-                const parts = line.trim().split(/\s+/);
-                if (parts.length < 8) continue;
-                
-                const x = parseFloat(parts[1]);
-                const y = parseFloat(parts[2]);
-                const z = parseFloat(parts[3]);
-                const r = parseInt(parts[4]) / 255;
-                const g = parseInt(parts[5]) / 255;
-                const b = parseInt(parts[6]) / 255;
-                
-                positions.push(x, y, z);
-                colors.push(r, g, b);
+            // Text or binary model, detected per folder. Partial chunks are
+            // drawn while the rest of the file is still being parsed.
+            let points = await this.colmapReader.readPoints(
+                fullPath,
+                cluster ? (chunk) => this.addPointsChunk(cluster, chunk) : null,
+                this.CHUNK_SIZE
+            );
+            if (cluster) cluster.format = points.format;
+            report.format = points.format;
+
+            let dropped = null;
+            if (this.outlierFilter.enabled && points.count > 0) {
+                ({ kept: points, dropped } = await this.removeOutliers(fullPath, points));
+                report.outliers = dropped.count;
             }
+            report.pointsCount = points.count;
 
-            if (positions.length > 0) {
+            if (points.count === 0) {
+                report.status = 'empty';
+                report.message = `points3D.${points.format === 'binary' ? 'bin' : 'txt'} has no points`;
+                if (cluster) this.removeStreamingCloud(cluster);
+            } else {
                 const geometry = new THREE.BufferGeometry();
-                geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+                geometry.setAttribute('position', new THREE.BufferAttribute(points.positions, 3));
                 
                 // Create color attribute with proper color space handling
-                const colorAttr = new THREE.Float32BufferAttribute(colors, 3);
+                const colorAttr = new THREE.BufferAttribute(points.colors, 3);
                 geometry.setAttribute('color', colorAttr);
+
+                // Per-point quality: reprojection error (px) and track length,
+                // plus where each point's observing image ids start in the flat list
+                geometry.setAttribute('reprojectionError', new THREE.BufferAttribute(points.errors, 1));
+                geometry.setAttribute('trackLength', new THREE.BufferAttribute(points.trackLengths, 1));
+                geometry.setAttribute('trackOffset', new THREE.BufferAttribute(points.trackOffsets, 1));
+                geometry.userData.trackImageIds = points.trackImageIds;
+                // POINT3D_ID per point, for matching ba_input/ba_gt points
+                geometry.userData.pointIds = points.pointIds;
+                // Points are in octree-level order; level k starts at levelOffsets[k]
+                geometry.userData.levelOffsets = points.levelOffsets;
                 
-                // Compute bounding sphere for radius
+                // Compute bounding box/sphere in the original coordinates
+                geometry.computeBoundingBox();
                 geometry.computeBoundingSphere();
                 const originalRadius = geometry.boundingSphere.radius;
                 
@@ -140,143 +367,419 @@ export class DataLoader {
                     sumZ / posAttr.count
                 );
 
-                // Point material with vertex colors from the RGB data
-                const material = new THREE.PointsMaterial({
-                    size: 3.0,  // Point size in pixels
-                    vertexColors: true,  // Use colors from geometry
-                    sizeAttenuation: false,  // Fixed pixel size regardless of distance
-                    transparent: true,  // Enable for fade animations
-                    opacity: 1.0
-                });
-
-                const cluster = this.clusters.get(path);
                 if (cluster) {
-                    cluster.setPointCloud(geometry, material);
+                    this.removeStreamingCloud(cluster);
+                    cluster.rawBounds = geometry.boundingBox.clone();
+                    cluster.rawCentroid.copy(originalCenter);
+                    cluster.rawRadius = originalRadius;
+
+                    cluster.setPointCloud(geometry, this.createPointMaterial());
+                    if (dropped && dropped.count > 0) cluster.setOutliers(this.createOutlierCloud(dropped));
                     // Store the original center for puzzle assembly effect
                     cluster.originalCenter.copy(originalCenter);
                     cluster.centroid.copy(originalCenter);
                     cluster.radius = originalRadius;
+
+                    // Bring it into the current (provisional) scene coordinates
+                    this.normalizeCluster(cluster, this.normalization);
+                    this.loadedBounds.union(cluster.rawBounds);
+                    this.refineProvisionalNormalization();
+                    this.notifyClusterAdded(cluster);
                 }
             }
         } catch (e) {
             console.warn(`Error loading ${path}:`, e);
+            report.status = e.code || 'error';
+            report.message = e.message;
+            report.httpStatus = e.status ?? null;
+            if (cluster) this.removeStreamingCloud(cluster);
+        }
+    }
+
+    /**
+     * Run the outlier filter on freshly read points
+     * @returns {Promise<{kept: Object, dropped: Object}>}
+     */
+    async removeOutliers(fullPath, points) {
+        const outliers = await this.workerReader.findOutliers(points.positions, points.count, this.outlierFilter.options);
+        const split = splitOutliers(points, outliers);
+        if (split.dropped.count > 0) {
+            console.log(`Outliers: dropped ${split.dropped.count}/${points.count} points of ${fullPath}`);
+        }
+        return split;
+    }
+
+    // Dropped points in one highlight color, hidden unless showOutliers
+    createOutlierCloud(dropped) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(dropped.positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(dropped.colors, 3));
+        const cloud = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: this.OUTLIER_COLOR,
+            size: this.POINT_SIZE * 1.5,
+            sizeAttenuation: false,
+            transparent: true
+        }));
+        cloud.visible = this.showOutliers;
+        return cloud;
+    }
+
+    /**
+     * Show or hide the dropped points of every cluster
+     */
+    setOutliersVisible(visible) {
+        this.showOutliers = visible;
+        for (const cluster of this.clusters.values()) {
+            if (cluster.outlierCloud) cluster.outlierCloud.visible = visible;
+        }
+    }
+
+    // Point material with vertex colors from the RGB data
+    createPointMaterial() {
+        return new THREE.PointsMaterial({
+            size: this.POINT_SIZE,  // Point size in pixels
+            vertexColors: true,  // Use colors from geometry
+            sizeAttenuation: false,  // Fixed pixel size regardless of distance
+            transparent: true,  // Enable for fade animations
+            opacity: 1.0
+        });
+    }
+
+    /**
+     * Append a streamed chunk of points to the cluster's partial cloud.
+     * Only possible when the file announced its total point count.
+     */
+    addPointsChunk(cluster, chunk) {
+        if (!chunk.total || chunk.offset + chunk.count > chunk.total) return;
+
+        if (!cluster.streamingCloud) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(chunk.total * 3), 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(chunk.total * 3), 3));
+            geometry.setDrawRange(0, 0);
+            cluster.streamingCloud = new THREE.Points(geometry, this.createPointMaterial());
+            cluster.group.add(cluster.streamingCloud);
+        }
+
+        const geometry = cluster.streamingCloud.geometry;
+        const positions = geometry.attributes.position;
+        const colors = geometry.attributes.color;
+
+        const chunkBounds = new THREE.Box3().setFromArray(chunk.positions);
+        positions.array.set(chunk.positions, chunk.offset * 3);
+        colors.array.set(chunk.colors, chunk.offset * 3);
+
+        // Chunk arrives in original coordinates
+        const point = new THREE.Vector3();
+        for (let i = chunk.offset; i < chunk.offset + chunk.count; i++) {
+            point.fromBufferAttribute(positions, i).applyMatrix4(this.normalization);
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        geometry.setDrawRange(0, chunk.offset + chunk.count);
+        geometry.computeBoundingSphere();
+
+        this.loadedBounds.union(chunkBounds);
+        this.refineProvisionalNormalization();
+        this.notifyClusterAdded(cluster);
+    }
+
+    /**
+     * Give every cluster whose points failed to load a placeholder: a dotted
+     * box where the cluster is expected, so the views show and animate it
+     * like any other cluster instead of silently dropping it
+     */
+    createPlaceholders() {
+        for (const cluster of this.clusters.values()) {
+            if (cluster.pointCloud) continue;
+
+            const box = this.estimatePlaceholderBounds(cluster);
+            cluster.placeholder = true;
+            cluster.setPointCloud(this.buildPlaceholderGeometry(box), this.createPointMaterial());
+            box.getCenter(cluster.rawCentroid);
+            cluster.rawRadius = cluster.radius;
+            cluster.originalCenter.copy(cluster.rawCentroid);
+            cluster.centroid.copy(cluster.rawCentroid);
+
+            this.normalizeCluster(cluster, this.normalization);
+            this.notifyClusterAdded(cluster);
+            console.warn(`Placeholder for ${cluster.path} (${this.loadReport.get(cluster.path)?.status})`);
+        }
+    }
+
+    /**
+     * Where a failed cluster should be, in original coordinates: around its
+     * children if they loaded; otherwise a smaller box inside the clusters of
+     * the same folder, its nearest loaded ancestor, or everything loaded
+     */
+    estimatePlaceholderBounds(cluster) {
+        const union = (clusters) => {
+            const box = new THREE.Box3();
+            for (const c of clusters) {
+                if (c.rawBounds) box.union(c.rawBounds);
+            }
+            return box;
+        };
+
+        const children = union(cluster.children);
+        if (!children.isEmpty()) return children;
+
+        const dir = dirname(cluster.path);
+        let estimate = union(Array.from(this.clusters.values()).filter(c => c !== cluster && dirname(c.path) === dir));
+        for (let ancestor = cluster.parent; estimate.isEmpty() && ancestor; ancestor = ancestor.parent) {
+            estimate = union([ancestor]);
         }
+        if (estimate.isEmpty()) estimate = this.loadedBounds.clone();
+        if (estimate.isEmpty()) return new THREE.Box3(new THREE.Vector3(-1, -1, -1), new THREE.Vector3(1, 1, 1));
+
+        const center = estimate.getCenter(new THREE.Vector3());
+        const size = estimate.getSize(new THREE.Vector3()).multiplyScalar(this.PLACEHOLDER_SCALE);
+        return estimate.setFromCenterAndSize(center, size);
+    }
+
+    // Points along the 12 edges of a box
+    buildPlaceholderGeometry(box) {
+        const n = this.PLACEHOLDER_POINTS_PER_EDGE;
+        const { min, max } = box;
+        const corners = [];
+        for (let i = 0; i < 8; i++) {
+            corners.push(new THREE.Vector3(i & 1 ? max.x : min.x, i & 2 ? max.y : min.y, i & 4 ? max.z : min.z));
+        }
+        // Corner pairs differing in exactly one axis bit
+        const edges = [];
+        for (let a = 0; a < 8; a++) {
+            for (const bit of [1, 2, 4]) {
+                if (!(a & bit)) edges.push([a, a | bit]);
+            }
+        }
+
+        const positions = new Float32Array(edges.length * n * 3);
+        const colors = new Float32Array(edges.length * n * 3);
+        const point = new THREE.Vector3();
+        let index = 0;
+        for (const [a, b] of edges) {
+            for (let i = 0; i < n; i++) {
+                point.lerpVectors(corners[a], corners[b], i / (n - 1));
+                point.toArray(positions, index * 3);
+                this.PLACEHOLDER_COLOR.toArray(colors, index * 3);
+                index++;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        return geometry;
+    }
+
+    removeStreamingCloud(cluster) {
+        if (!cluster.streamingCloud) return;
+        cluster.group.remove(cluster.streamingCloud);
+        cluster.streamingCloud.geometry.dispose();
+        cluster.streamingCloud.material.dispose();
+        cluster.streamingCloud = null;
+    }
+
+    notifyClusterAdded(cluster) {
+        if (this.addedClusters.has(cluster)) return;
+        this.addedClusters.add(cluster);
+        if (this.onClusterAdded) this.onClusterAdded(cluster);
+    }
+    
+    /**
+     * Load camera poses and intrinsics for a cluster and build its frustums.
+     * Uses the same format (text/binary) as the cluster's points3D file.
+     * Clusters without images/cameras files simply have no cameras.
+     */
+    async loadCameras(path) {
+        const cluster = this.clusters.get(path);
+        if (!cluster || !cluster.pointCloud) return;
+
+        try {
+            const report = this.loadReport.get(path);
+            const model = await this.colmapReader.readCameras(`${this.dataRoot}/${path}`, cluster.format);
+            if (!model) {
+                if (report) report.cameras = { status: 'none', message: 'No images/cameras files' };
+                return;
+            }
+
+            const { images, cameras } = model;
+            cluster.setCameras(images, cameras);
+            if (report) report.cameras = { status: 'ok', message: `${images.length} images` };
+
+            // Built in original coordinates, then moved into the current scene coordinates
+            const frustums = this.frustumBuilder.build(images, cameras, cluster.rawRadius * this.FRUSTUM_SCALE);
+            if (frustums) {
+                frustums.geometry.applyMatrix4(this.normalization);
+                cluster.setFrustums(frustums);
+            }
+        } catch (e) {
+            console.warn(`Error loading cameras for ${path}:`, e);
+            const report = this.loadReport.get(path);
+            if (report) report.cameras = { status: e.code || 'error', message: e.message };
+        }
+    }
+
+    /**
+     * First orientation guess from one loaded cluster, so the preview
+     * streams in upright; re-normalizes everything loaded so far
+     */
+    reorientProvisional(cluster) {
+        if (!this.normalizationBounds || !this.estimateOrientation([cluster])) return;
+        const sphere = this.normalizationBounds.getBoundingSphere(new THREE.Sphere());
+        this.applyNormalization(this.buildNormalization(sphere.center, sphere.radius));
+    }
+
+    /**
+     * Estimate which way is up from some clusters' points and cameras
+     * @returns {boolean} True if this.orientation was updated
+     */
+    estimateOrientation(clusters) {
+        const loaded = clusters.filter(c => c && c.pointCloud && !c.placeholder);
+        if (loaded.length === 0) return false;
+
+        // Points are octree-ordered, so each cluster's first points are an even sample
+        const toOriginal = this.normalization.clone().invert();
+        const perCluster = Math.ceil(this.ORIENTATION_SAMPLES / loaded.length);
+        const points = [];
+        for (const cluster of loaded) {
+            const positions = cluster.pointCloud.geometry.attributes.position;
+            for (let i = 0; i < Math.min(perCluster, positions.count); i++) {
+                points.push(new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(toOriginal));
+            }
+        }
+        // Merged clusters repeat their children's cameras; keep one pose per image
+        const images = new Map();
+        for (const cluster of loaded) {
+            for (const image of cluster.images) images.set(image.name, image);
+        }
+
+        const estimate = this.orientationEstimator.estimate(points, Array.from(images.values()), this.dataset.up);
+        if (!estimate) return false;
+        this.orientationEstimate = estimate;
+        this.orientation = headingMatrix(this.dataset).multiply(estimate.matrix);
+
+        const up = estimate.up.toArray().map(v => v.toFixed(3)).join(', ');
+        console.log(`Orientation from ${estimate.method} (${loaded.length} clusters, ${images.size} images): up = (${up})`);
+        return true;
+    }
+
+    /**
+     * Normalization from original COLMAP coordinates to the scene:
+     * 1. Center around (0,0,0)
+     * 2. Scale uniformly to TARGET_SIZE
+     * 3. Rotate the dataset's up axis onto +Y, then turn by its heading
+     */
+    buildNormalization(center, radius) {
+        const scale = radius > 0 ? this.TARGET_SIZE / radius : 1.0;
+        return this.orientation.clone()
+            .multiply(new THREE.Matrix4().makeScale(scale, scale, scale))
+            .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+    }
+
+    /**
+     * Switch every loaded cluster from the current normalization to a new one
+     */
+    applyNormalization(matrix) {
+        const delta = matrix.clone().multiply(this.normalization.clone().invert());
+        this.normalization.copy(matrix);
+
+        for (const cluster of this.clusters.values()) {
+            this.normalizeCluster(cluster, delta);
+        }
+    }
+
+    /**
+     * Apply a transform to everything a cluster draws: points, camera
+     * frustums, a partially streamed cloud, and its original center
+     */
+    normalizeCluster(cluster, matrix) {
+        if (cluster.streamingCloud) {
+            cluster.streamingCloud.geometry.applyMatrix4(matrix);
+        }
+        if (!cluster.pointCloud || !cluster.pointCloud.geometry) return;
+
+        const geometry = cluster.pointCloud.geometry;
+        geometry.applyMatrix4(matrix);
+        geometry.computeBoundingSphere();
+
+        // Camera frustums and dropped outliers get exactly the same transform as the points
+        for (const layer of [cluster.frustums, cluster.outlierCloud]) {
+            if (!layer) continue;
+            layer.geometry.applyMatrix4(matrix);
+            layer.geometry.computeBoundingSphere();
+        }
+
+        cluster.originalCenter.applyMatrix4(matrix);
+        cluster.radius = geometry.boundingSphere.radius;
+
+        cluster.pointCloud.material.size = this.POINT_SIZE;
+        cluster.pointCloud.material.needsUpdate = true;
+    }
+
+    /**
+     * While loading, re-normalize only when the data seen so far outgrows the
+     * bounds the current normalization was built from
+     */
+    refineProvisionalNormalization() {
+        if (this.loadedBounds.isEmpty()) return;
+
+        const loaded = this.loadedBounds.getBoundingSphere(new THREE.Sphere());
+        if (this.normalizationBounds) {
+            const current = this.normalizationBounds.getBoundingSphere(new THREE.Sphere());
+            const tolerance = this.REFINE_TOLERANCE * current.radius;
+            const grew = loaded.radius > current.radius + tolerance;
+            const moved = loaded.center.distanceTo(current.center) > tolerance;
+            if (!grew && !moved) return;
+        }
+
+        this.normalizationBounds = this.loadedBounds.clone();
+        this.applyNormalization(this.buildNormalization(loaded.center, loaded.radius));
     }
     
     computeGlobalBoundsAndNormalize() {
         // Find the global bounding box of ALL clusters
-        let minX = Infinity, maxX = -Infinity;
-        let minY = Infinity, maxY = -Infinity;
-        let minZ = Infinity, maxZ = -Infinity;
-        
-        for (const [path, cluster] of this.clusters) {
-            if (cluster.pointCloud && cluster.pointCloud.geometry) {
-                const pos = cluster.pointCloud.geometry.attributes.position;
-                for (let i = 0; i < pos.count; i++) {
-                    const x = pos.getX(i);
-                    const y = pos.getY(i);
-                    const z = pos.getZ(i);
-                    minX = Math.min(minX, x); maxX = Math.max(maxX, x);
-                    minY = Math.min(minY, y); maxY = Math.max(maxY, y);
-                    minZ = Math.min(minZ, z); maxZ = Math.max(maxZ, z);
-                }
+        const bounds = new THREE.Box3();
+        for (const cluster of this.clusters.values()) {
+            if (cluster.pointCloud && cluster.rawBounds) {
+                bounds.union(cluster.rawBounds);
             }
         }
         
-        // Use the MERGED cluster's CENTROID (center of mass) as the global center
+        // Use the root MERGED cluster's CENTROID (center of mass) as the global center
         // This ensures the final building is visually centered at (0,0,0)
-        const mergedCluster = this.clusters.get('merged');
-        if (mergedCluster && mergedCluster.pointCloud && mergedCluster.pointCloud.geometry) {
-            const geom = mergedCluster.pointCloud.geometry;
-            const pos = geom.attributes.position;
-            let sumX = 0, sumY = 0, sumZ = 0;
-            for (let i = 0; i < pos.count; i++) {
-                sumX += pos.getX(i);
-                sumY += pos.getY(i);
-                sumZ += pos.getZ(i);
-            }
-            this.globalCenter.set(
-                sumX / pos.count,
-                sumY / pos.count,
-                sumZ / pos.count
-            );
+        const mergedCluster = this.root;
+        if (mergedCluster && mergedCluster.pointCloud && !mergedCluster.placeholder) {
+            this.globalCenter.copy(mergedCluster.rawCentroid);
             console.log("Using merged cluster CENTROID for global centering");
         } else {
             // Fallback to bounding box center
-            this.globalCenter.set(
-                (minX + maxX) / 2,
-                (minY + maxY) / 2,
-                (minZ + maxZ) / 2
-            );
+            bounds.getCenter(this.globalCenter);
             console.log("Using bounding box center for global centering");
         }
         
-        const sizeX = maxX - minX;
-        const sizeY = maxY - minY;
-        const sizeZ = maxZ - minZ;
-        this.globalRadius = Math.sqrt(sizeX*sizeX + sizeY*sizeY + sizeZ*sizeZ) / 2;
+        const size = bounds.getSize(new THREE.Vector3());
+        this.globalRadius = size.length() / 2;
         
         console.log("=== GLOBAL BOUNDS ===");
         console.log(`Center: (${this.globalCenter.x.toFixed(2)}, ${this.globalCenter.y.toFixed(2)}, ${this.globalCenter.z.toFixed(2)})`);
-        console.log(`Size: ${sizeX.toFixed(2)} x ${sizeY.toFixed(2)} x ${sizeZ.toFixed(2)}`);
+        console.log(`Size: ${size.x.toFixed(2)} x ${size.y.toFixed(2)} x ${size.z.toFixed(2)}`);
         console.log(`Radius: ${this.globalRadius.toFixed(2)}`);
         
-        // Scale factor to make the building fit well on screen
-        // Smaller target size for better initial view
-        const TARGET_SIZE = 300;  // Even larger size for better visibility (80% of screen)
-        this.scaleFactor = this.globalRadius > 0 ? TARGET_SIZE / this.globalRadius : 1.0;
-        
+        this.scaleFactor = this.globalRadius > 0 ? this.TARGET_SIZE / this.globalRadius : 1.0;
         console.log(`Scale factor: ${this.scaleFactor.toFixed(2)}`);
         
-        // Now normalize all clusters:
-        // 1. Center them around (0,0,0)
-        // 2. Scale them uniformly
-        // 3. Rotate to show front view of Gerrard Hall
-        for (const [path, cluster] of this.clusters) {
-            if (cluster.pointCloud && cluster.pointCloud.geometry) {
-                const geometry = cluster.pointCloud.geometry;
-                
-                // Translate to center around global origin
-                geometry.translate(
-                    -this.globalCenter.x,
-                    -this.globalCenter.y,
-                    -this.globalCenter.z
-                );
-                
-                // Scale uniformly
-                geometry.scale(this.scaleFactor, this.scaleFactor, this.scaleFactor);
-                
-                // Rotate to show front view of Gerrard Hall right-side up
-                // 1. Rotate 180 degrees around X-axis to flip upright
-                geometry.rotateX(Math.PI);
-                // 2. Rotate 180 degrees around Y-axis to face front
-                geometry.rotateY(Math.PI);
-                
-                // Update bounding sphere
-                geometry.computeBoundingSphere();
-                
-                // Update cluster's original center (also needs to be transformed)
-                cluster.originalCenter.sub(this.globalCenter);
-                cluster.originalCenter.multiplyScalar(this.scaleFactor);
-                // Also rotate the original center (X rotation flips Y and Z, Y rotation flips X and Z)
-                const x = cluster.originalCenter.x;
-                const y = cluster.originalCenter.y;
-                const z = cluster.originalCenter.z;
-                // After X rotation by PI: y -> -y, z -> -z
-                // After Y rotation by PI: x -> -x, z -> -z (but z already flipped, so back to z)
-                cluster.originalCenter.x = -x;
-                cluster.originalCenter.y = -y;
-                cluster.originalCenter.z = z;
-                
-                // Update radius
-                cluster.radius = geometry.boundingSphere.radius;
-                
-                // Update point size - larger for visibility when camera is close
-                cluster.pointCloud.material.size = 2.0;  // Larger point size for better visibility
-                cluster.pointCloud.material.needsUpdate = true;
-            }
+        // Final orientation from the complete reconstruction
+        if (this.orientationEstimator) {
+            const complete = mergedCluster && !mergedCluster.placeholder ? [mergedCluster] : Array.from(this.clusters.values());
+            this.estimateOrientation(complete);
         }
         
+        // Replace the provisional normalization with the final one
+        this.normalizationBounds = bounds;
+        this.applyNormalization(this.buildNormalization(this.globalCenter, this.globalRadius));
+        
         console.log("\nCluster original centers (normalized):");
         for (const [path, cluster] of this.clusters) {
             if (cluster.originalCenter) {
@@ -290,7 +793,7 @@ export class DataLoader {
         
         const traverse = (obj, prefix = '') => {
             for (const [key, value] of Object.entries(obj)) {
-                // If value has a 'type', it is a concrete node (e.g. ba_output or merged)
+                // If value has a 'type', it is a concrete node (leaf or merged folder)
                 if (value && typeof value === 'object' && value.type) {
                     const path = prefix ? `${prefix}/${key}` : key;
                     flatPaths.push({
@@ -315,96 +818,66 @@ export class DataLoader {
         return flatPaths;
     }
 
+    /**
+     * Build the merge tree from results/manifest.json or the directory listing.
+     * Falls back to the backend's built-in tree when neither is available.
+     */
+    async discoverStructure() {
+        const discovery = new TreeDiscovery(this.dataRoot, this.leafType, this.mergedType, this.source);
+        const structure = await discovery.discover();
+        this.manifest = discovery.manifest;
+        if (structure && Object.keys(structure).length > 0) {
+            // The manifest may name a different leaf folder
+            this.leafType = discovery.leafType;
+            return structure;
+        }
+
+        // The built-in tree describes the server's data, not a local folder
+        if (this.source) {
+            console.warn(`TreeDiscovery: no ${this.leafType}/${this.mergedType} folders in ${this.source.name}`);
+            return {};
+        }
+
+        console.warn("TreeDiscovery: no manifest or directory listing, using built-in structure");
+        return this.getStructure();
+    }
+
+    /**
+     * The dataset's run log file, else the timings the manifest tool
+     * gathered from file mtimes; 'none' turns both off
+     */
+    async loadRunLog() {
+        const name = this.dataset.runLog;
+        if (name === 'none') return null;
+        if (name) {
+            const fetchFile = this.source ? this.source.fetch : (url) => fetch(url);
+            return RunLog.load(`${this.dataRoot}/${name}`, fetchFile);
+        }
+        if (this.manifest?.timings) {
+            try {
+                return RunLog.fromJson(this.manifest.timings, 'manifest timings');
+            } catch (e) {
+                console.warn(`RunLog: unusable manifest timings (${e.message})`);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The dataset's timeline file, if it names one
+     */
+    async loadTimeline() {
+        const name = this.dataset.timeline;
+        if (!name) return null;
+        const fetchFile = this.source ? this.source.fetch : (url) => fetch(url);
+        return TimelineFile.load(`${this.dataRoot}/${name}`, fetchFile);
+    }
+
+    /**
+     * Fallback only - the backend's built-in tree, used when the tree cannot
+     * be discovered from the results folder
+     */
     getStructure() {
-        // Complete GTSfM output structure with all 19 ba_output + 19 merged = 38 folders
-        return {
-            // Root level ba_output
-            'ba_output': { type: 'ba_output', children: [] },
-            
-            // C_1 branch (simple - 2 children)
-            'C_1': {
-                'ba_output': { type: 'ba_output', children: [] },
-                'C_1_1': {
-                    'ba_output': { type: 'ba_output', children: [] },
-                    'merged': { type: 'merged', children: ['C_1/C_1_1/ba_output'] }
-                },
-                'C_1_2': {
-                    'ba_output': { type: 'ba_output', children: [] },
-                    'merged': { type: 'merged', children: ['C_1/C_1_2/ba_output'] }
-                },
-                'merged': { type: 'merged', children: ['C_1/ba_output', 'C_1/C_1_1/merged', 'C_1/C_1_2/merged'] }
-            },
-            
-            // C_2 branch (leaf)
-            'C_2': {
-                'ba_output': { type: 'ba_output', children: [] },
-                'merged': { type: 'merged', children: ['C_2/ba_output'] }
-            },
-            
-            // C_3 branch (leaf)
-            'C_3': {
-                'ba_output': { type: 'ba_output', children: [] },
-                'merged': { type: 'merged', children: ['C_3/ba_output'] }
-            },
-            
-            // C_4 branch (deep hierarchy)
-            'C_4': {
-                'ba_output': { type: 'ba_output', children: [] },
-                'C_4_1': {
-                    'ba_output': { type: 'ba_output', children: [] },
-                    'C_4_1_1': {
-                        'ba_output': { type: 'ba_output', children: [] },
-                        // C_4_1_1_1 sub-branch
-                        'C_4_1_1_1': {
-                            'ba_output': { type: 'ba_output', children: [] },
-                            'C_4_1_1_1_1': {
-                                'ba_output': { type: 'ba_output', children: [] },
-                                'merged': { type: 'merged', children: ['C_4/C_4_1/C_4_1_1/C_4_1_1_1/C_4_1_1_1_1/ba_output'] }
-                            },
-                            'C_4_1_1_1_2': {
-                                'ba_output': { type: 'ba_output', children: [] },
-                                'merged': { type: 'merged', children: ['C_4/C_4_1/C_4_1_1/C_4_1_1_1/C_4_1_1_1_2/ba_output'] }
-                            },
-                            'merged': { type: 'merged', children: ['C_4/C_4_1/C_4_1_1/C_4_1_1_1/ba_output', 'C_4/C_4_1/C_4_1_1/C_4_1_1_1/C_4_1_1_1_1/merged', 'C_4/C_4_1/C_4_1_1/C_4_1_1_1/C_4_1_1_1_2/merged'] }
-                        },
-                        // C_4_1_1_2 sub-branch
-                        'C_4_1_1_2': {
-                            'ba_output': { type: 'ba_output', children: [] },
-                            'C_4_1_1_2_1': {
-                                'ba_output': { type: 'ba_output', children: [] },
-                                'merged': { type: 'merged', children: ['C_4/C_4_1/C_4_1_1/C_4_1_1_2/C_4_1_1_2_1/ba_output'] }
-                            },
-                            'C_4_1_1_2_2': {
-                                'ba_output': { type: 'ba_output', children: [] },
-                                'merged': { type: 'merged', children: ['C_4/C_4_1/C_4_1_1/C_4_1_1_2/C_4_1_1_2_2/ba_output'] }
-                            },
-                            'merged': { type: 'merged', children: ['C_4/C_4_1/C_4_1_1/C_4_1_1_2/ba_output', 'C_4/C_4_1/C_4_1_1/C_4_1_1_2/C_4_1_1_2_1/merged', 'C_4/C_4_1/C_4_1_1/C_4_1_1_2/C_4_1_1_2_2/merged'] }
-                        },
-                        'merged': { type: 'merged', children: ['C_4/C_4_1/C_4_1_1/ba_output', 'C_4/C_4_1/C_4_1_1/C_4_1_1_1/merged', 'C_4/C_4_1/C_4_1_1/C_4_1_1_2/merged'] }
-                    },
-                    'C_4_1_2': {
-                        'ba_output': { type: 'ba_output', children: [] },
-                        'merged': { type: 'merged', children: ['C_4/C_4_1/C_4_1_2/ba_output'] }
-                    },
-                    'merged': { type: 'merged', children: ['C_4/C_4_1/ba_output', 'C_4/C_4_1/C_4_1_1/merged', 'C_4/C_4_1/C_4_1_2/merged'] }
-                },
-                'C_4_2': {
-                    'ba_output': { type: 'ba_output', children: [] },
-                    'C_4_2_1': {
-                        'ba_output': { type: 'ba_output', children: [] },
-                        'merged': { type: 'merged', children: ['C_4/C_4_2/C_4_2_1/ba_output'] }
-                    },
-                    'C_4_2_2': {
-                        'ba_output': { type: 'ba_output', children: [] },
-                        'merged': { type: 'merged', children: ['C_4/C_4_2/C_4_2_2/ba_output'] }
-                    },
-                    'merged': { type: 'merged', children: ['C_4/C_4_2/ba_output', 'C_4/C_4_2/C_4_2_1/merged', 'C_4/C_4_2/C_4_2_2/merged'] }
-                },
-                'merged': { type: 'merged', children: ['C_4/ba_output', 'C_4/C_4_1/merged', 'C_4/C_4_2/merged'] }
-            },
-            
-            // Root merged (final)
-            'merged': { type: 'merged', children: ['ba_output', 'C_1/merged', 'C_2/merged', 'C_3/merged', 'C_4/merged'] }
-        };
+        return this.backend.fallbackStructure || {};
     }
 }
@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+import { DEFAULT_BACKEND } from './pipeline-backends.js?v=4';
+
+/**
+ * Dataset Config
+ * Per-scene settings, so the viewers can show reconstructions other than
+ * Gerrard Hall without code changes. One JSON file per dataset lives in
+ * datasets/<id>.json; the viewer pages pick one with ?dataset=<id>.
+ *
+ * Config fields (all optional, missing ones fall back to DATASET_DEFAULTS):
+ *   name       - Display name, used in the page title and subtitle
+ *   backend    - Pipeline backend (see pipeline-backends.js); ?backend= still wins
+ *   dataRoot   - Results folder relative to the page; null uses the backend's
+ *   up         - How to find which way is up: 'auto' (camera poses, else
+ *                the points), 'cameras', 'points' (see orientation-estimator.js),
+ *                or a fixed axis of the original COLMAP frame:
+ *                '+x' | '-x' | '+y' | '-y' | '+z' | '-z'
+ *   heading    - Degrees to turn the scene around its up axis afterwards,
+ *                on top of the estimated front
+ *   targetSize - Scene size (radius) the whole reconstruction is scaled to
+ *   pointSize  - Default point size in pixels
+ *   outliers   - Outlier filter options (see outlier-filter.js), e.g.
+ *                { "mode": "statistical", "k": 8, "stdRatio": 2.0 };
+ *                null keeps every point
+ *   runLog     - JSON or CSV of per-folder run times, relative to the data
+ *                root (see run-log.js); orders the timeline events. null uses
+ *                the manifest's timings if it has any
+ *   timeline   - Timeline JSON relative to the data root (see
+ *                timeline-file.js); the timeline views play its events
+ *                instead of building them
+ *
+ * The outlier options can also be set per page load with ?outliers=<mode>
+ * plus outlierK, outlierStd, outlierRadius and outlierNeighbors, and the
+ * run log with ?runLog=<file> (?runLog=none ignores every run log) and the
+ * timeline with ?timeline=<file>.
+ */
+
+export const DEFAULT_DATASET = 'gerrard-hall';
+
+export const DATASET_DEFAULTS = {
+    name: 'Gerrard Hall',
+    backend: DEFAULT_BACKEND,
+    dataRoot: null,
+    up: 'auto',
+    heading: 0,
+    targetSize: 300,
+    pointSize: 2.0,
+    outliers: null,
+    runLog: null,
+    timeline: null
+};
+
+// URL parameter -> outlier option
+const OUTLIER_PARAMS = {
+    outlierK: 'k',
+    outlierStd: 'stdRatio',
+    outlierRadius: 'radius',
+    outlierNeighbors: 'minNeighbors'
+};
+
+// up values estimated at load time instead of naming an axis
+export const ESTIMATED_UP = ['auto', 'cameras', 'points'];
+
+const AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+/**
+ * A complete config: the given fields over DATASET_DEFAULTS
+ */
+export function getDataset(config = {}) {
+    return { ...DATASET_DEFAULTS, ...config };
+}
+
+/**
+ * Fetch datasets/<id>.json; a missing or broken file falls back to the defaults
+ * @returns {Promise<Object>} Dataset config with its id
+ */
+export async function loadDataset(id = DEFAULT_DATASET) {
+    try {
+        const response = await fetch(`datasets/${id}.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const dataset = getDataset({ ...(await response.json()), id });
+        console.log(`Dataset: ${dataset.name} (datasets/${id}.json)`);
+        return dataset;
+    } catch (e) {
+        console.warn(`Could not load dataset config datasets/${id}.json (${e.message}), using defaults`);
+        return getDataset({ id });
+    }
+}
+
+/**
+ * The dataset named by ?dataset=<id>, or defaultId, with any outlier
+ * options, run log and timeline from the URL on top of its own
+ */
+export async function getDatasetFromUrl(defaultId = DEFAULT_DATASET) {
+    const params = new URLSearchParams(window.location.search);
+    const dataset = await loadDataset(params.get('dataset') || defaultId);
+    return {
+        ...dataset,
+        outliers: outliersFromParams(params, dataset.outliers),
+        runLog: params.get('runLog') || dataset.runLog,
+        timeline: params.get('timeline') || dataset.timeline
+    };
+}
+
+/**
+ * Outlier options from URL parameters over the given ones
+ */
+export function outliersFromParams(params, outliers = null) {
+    const options = { ...(outliers || {}) };
+    if (params.has('outliers')) options.mode = params.get('outliers');
+    for (const [param, option] of Object.entries(OUTLIER_PARAMS)) {
+        const value = parseFloat(params.get(param));
+        if (Number.isFinite(value)) options[option] = value;
+    }
+    return Object.keys(options).length > 0 ? options : null;
+}
+
+/**
+ * Write outlier options into URL parameters (the inverse of outliersFromParams)
+ */
+export function outliersToParams(params, options) {
+    params.set('outliers', options.mode);
+    for (const [param, option] of Object.entries(OUTLIER_PARAMS)) {
+        if (options[option] !== undefined) params.set(param, options[option]);
+    }
+    return params;
+}
+
+/**
+ * True when the dataset's up axis is estimated rather than configured
+ */
+export function isEstimatedUp(dataset) {
+    return ESTIMATED_UP.includes(dataset.up);
+}
+
+/**
+ * Rotation by the dataset's heading around +Y
+ */
+export function headingMatrix(dataset) {
+    return new THREE.Matrix4().makeRotationY(THREE.MathUtils.degToRad(dataset.heading || 0));
+}
+
+/**
+ * Rotation taking the dataset's original frame to the scene: its up axis
+ * onto +Y, then `heading` degrees around +Y. For an estimated up axis only
+ * the heading, until the estimate replaces it.
+ */
+export function orientationMatrix(dataset) {
+    if (isEstimatedUp(dataset)) return headingMatrix(dataset);
+
+    const match = /^([+-]?)([xyz])$/.exec(String(dataset.up).toLowerCase());
+    if (!match) {
+        console.warn(`Dataset: unknown up axis "${dataset.up}", keeping +y`);
+    }
+    const up = match ? AXES[match[2]].clone() : AXES.y.clone();
+    if (match && match[1] === '-') up.negate();
+
+    const upright = new THREE.Quaternion();
+    if (up.dot(AXES.y) < -0.5) {
+        // Upside down: a half turn around X (setFromUnitVectors would pick any axis)
+        upright.setFromAxisAngle(AXES.x, Math.PI);
+    } else {
+        upright.setFromUnitVectors(up, AXES.y);
+    }
+    return headingMatrix(dataset).multiply(new THREE.Matrix4().makeRotationFromQuaternion(upright));
+}
+
+/**
+ * Put the dataset's display name in the page title and subtitle, which are
+ * written for the default dataset
+ */
+export function applyDatasetTitle(dataset) {
+    if (dataset.name === DATASET_DEFAULTS.name) return;
+    const rename = text => text.split(DATASET_DEFAULTS.name).join(dataset.name);
+    document.title = rename(document.title);
+    document.querySelectorAll('.title-block .subtitle').forEach(el => {
+        el.textContent = rename(el.textContent);
+    });
+}
@@ -0,0 +1,78 @@
+import { OverlayPanel } from './overlay-panel.js?v=1';
+
+/**
+ * Diagnostics Panel
+ * On-screen version of DataLoader.loadReport: which clusters failed to load
+ * and why, instead of warnings that only show up in the console.
+ */
+
+const STATUS_LABELS = {
+    ok: 'Loaded',
+    missing: 'Missing file',
+    http: 'HTTP error',
+    network: 'Network error',
+    parse: 'Parse error',
+    empty: 'Zero points',
+    error: 'Error'
+};
+
+export class DiagnosticsPanel {
+    /**
+     * @param {Map} loadReport - DataLoader.loadReport (path -> report)
+     * @param {Object} options - OverlayPanel options (position, theme)
+     */
+    constructor(loadReport, options = {}) {
+        this.loadReport = loadReport;
+        this.panel = new OverlayPanel('Load diagnostics', { position: 'bottom-left', ...options });
+        this.render();
+    }
+
+    render() {
+        const reports = Array.from(this.loadReport.values());
+        const failed = reports.filter(r => r.status !== 'ok');
+        const cameraIssues = reports.filter(r => r.status === 'ok' && r.cameras && !['ok', 'none'].includes(r.cameras.status));
+
+        this.panel.setTitle(failed.length > 0 ? `Load diagnostics (${failed.length} failed)` : 'Load diagnostics');
+        // Only open by default when there is something to look at
+        this.panel.toggleCollapsed(failed.length === 0 && cameraIssues.length === 0);
+
+        const content = document.createElement('div');
+        const summary = document.createElement('div');
+        summary.style.marginBottom = '6px';
+        summary.textContent = `${reports.length - failed.length}/${reports.length} clusters loaded`
+            + (failed.length > 0 ? ' · failed ones are shown as red boxes' : '');
+        content.appendChild(summary);
+
+        for (const report of failed) {
+            const detail = report.httpStatus ? `${STATUS_LABELS[report.status]} (${report.httpStatus})` : STATUS_LABELS[report.status];
+            content.appendChild(this.createRow(report.path, detail ?? report.status, report.message, '#e53935'));
+        }
+        for (const report of cameraIssues) {
+            content.appendChild(this.createRow(report.path, 'Cameras not loaded', report.cameras.message, '#fb8c00'));
+        }
+
+        this.panel.setContent(content);
+    }
+
+    createRow(path, label, message, color) {
+        const row = document.createElement('div');
+        row.style.cssText = 'margin: 4px 0; line-height: 1.4;';
+        row.title = message;
+
+        const title = document.createElement('div');
+        title.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+        const swatch = document.createElement('span');
+        swatch.style.cssText = `width: 8px; height: 8px; border-radius: 50%; flex-shrink: 0; background: ${color};`;
+        const name = document.createElement('span');
+        name.style.fontWeight = '600';
+        name.textContent = path;
+        title.append(swatch, name);
+
+        const text = document.createElement('div');
+        text.style.cssText = 'opacity: 0.75; word-break: break-word;';
+        text.textContent = `${label}: ${message}`;
+
+        row.append(title, text);
+        return row;
+    }
+}
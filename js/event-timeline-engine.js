@@ -1,19 +1,92 @@
+import { findRootCluster } from './pipeline-backends.js?v=4';
+
+/**
+ * Named event orders. Every timeline view builds its events here, so the
+ * same order (and seed) gives the same event list in all of them.
+ */
+export const EVENT_ORDERS = {
+    random: { label: 'Random (seeded)', description: 'Leaves in a seeded shuffle, then every ready merge round by round' },
+    depth: { label: 'Depth-first by branch', description: 'One branch at a time, finished with its merge before the next starts' },
+    level: { label: 'Breadth-first by level', description: 'Level by level from the deepest folders up to the final merge' },
+    size: { label: 'Largest cluster first', description: 'The ready folder with the most points goes next' },
+    time: { label: 'Real timestamps', description: 'Finish times from the run log' }
+};
+
+export const DEFAULT_ORDER_SEED = 12345;
+
+/**
+ * Event order chosen with ?order=<name> (and ?seed=<n> for random);
+ * name is null when not given, which lets the engine pick
+ * @returns {{name: string|null, seed: number}}
+ */
+export function getEventOrderFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const name = params.get('order');
+    const seed = Number.parseInt(params.get('seed'), 10);
+    if (name && !EVENT_ORDERS[name]) {
+        console.warn(`Unknown event order "${name}", expected one of: ${Object.keys(EVENT_ORDERS).join(', ')}`);
+    }
+    return {
+        name: EVENT_ORDERS[name] ? name : null,
+        seed: Number.isFinite(seed) ? seed : DEFAULT_ORDER_SEED
+    };
+}
+
 /**
  * Event Timeline Engine
  * Generates and manages the 38-event timeline for GTSfM visualization
  * 
  * Events 1-19:  ba_output folders appear (random order)
  * Events 20-38: merged folders appear (dependency-respecting order)
+ * 
+ * That is the 'random' order; the others in EVENT_ORDERS interleave leaves
+ * and merges differently, but a merge never comes before its inputs.
+ * 
+ * Leaf/merged folders are told apart by cluster.role, so the same events
+ * come out for any pipeline backend (e.g. 'vggt' leaves instead of 'ba_output').
+ * 
+ * With a RunLog (see run-log.js) the 'time' order follows the real run, and
+ * is the default when the log covers any folder:
+ * every folder becomes an event at its finish time, leaves and merges
+ * interleaved, and each event carries `time` (seconds since the run
+ * started) for getStepDelay(). A merge still never comes before its inputs;
+ * folders missing from the log fall back to the seeded order.
+ * 
+ * A timeline file (see timeline-file.js) can replace the built events
+ * altogether with loadTimeline().
+ * 
+ * Wherever they come from, the events are also grouped into waves of
+ * concurrent work (buildWaves), which the animation engines can play at
+ * once (WavePlayer in wave-player.js).
  */
 export class EventTimelineEngine {
-    constructor(clusters) {
+    /**
+     * @param {Map<string, Cluster>} clusters
+     * @param {RunLog|null} runLog
+     * @param {{name: string|null, seed: number}} order - see getEventOrderFromUrl()
+     */
+    constructor(clusters, runLog = null, order = {}) {
         this.clusters = clusters;
+        this.runLog = runLog;
+        // Requested EVENT_ORDERS name (null: 'time' with a usable run log, else 'random')
+        // and the one in use ('file' for an imported timeline, see loadTimeline)
+        this.requestedOrder = order.name ?? null;
+        this.order = null;
+        this.timeline = null;
         this.events = [];
+        // Consecutive events that run concurrently: { number, events: [index], first, last, description }
+        this.waves = [];
         this.baOutputPaths = [];
         this.mergedPaths = [];
+        // True when the events come from the run log
+        this.timed = false;
+        // Playback delays from the log stay within these multiples of the view's pace
+        this.MIN_DELAY_FACTOR = 0.25;
+        this.MAX_DELAY_FACTOR = 3;
         
         // Seeded random for reproducible order
-        this.seed = 12345;
+        this.orderSeed = order.seed ?? DEFAULT_ORDER_SEED;
+        this.seed = this.orderSeed;
     }
     
     /**
@@ -37,87 +110,125 @@ export class EventTimelineEngine {
     }
 
     /**
-     * Build the complete 38-event timeline
+     * Build the complete 38-event timeline in the requested order.
+     * Can be called again (see setOrder) and starts over each time.
      */
     buildEvents() {
         console.log("=== EVENT TIMELINE ENGINE ===");
+        this.events = [];
+        this.timed = false;
+        this.seed = this.orderSeed;
+        this.collectPaths();
         
-        // Separate clusters into ba_output and merged
+        console.log(`Found ${this.baOutputPaths.length} ba_output clusters`);
+        console.log(`Found ${this.mergedPaths.length} merged clusters`);
+        
+        this.order = this.resolveOrder();
+        let order;
+        switch (this.order) {
+            case 'time': order = this.orderByTime(); break;
+            case 'depth': order = this.orderDepthFirst(); break;
+            case 'level': order = this.orderByLevel(); break;
+            case 'size': order = this.orderBySize(); break;
+            default: order = this.orderRandom();
+        }
+        this.createEvents(order);
+        
+        this.buildWaves();
+        const source = this.timed ? ` from ${this.runLog.source}` : this.order === 'random' ? `, seed ${this.orderSeed}` : '';
+        console.log(`Total events generated: ${this.events.length} (${EVENT_ORDERS[this.order].label}${source}), ${this.waves.length} waves`);
+        
+        return this.events;
+    }
+    
+    /**
+     * Separate clusters into leaf (ba_output) and merged
+     */
+    collectPaths() {
+        this.baOutputPaths = [];
+        this.mergedPaths = [];
         for (const [path, cluster] of this.clusters) {
-            if (cluster.type === 'ba_output') {
+            if (cluster.role === 'leaf') {
                 this.baOutputPaths.push(path);
-            } else if (cluster.type === 'merged') {
+            } else if (cluster.role === 'merged') {
                 this.mergedPaths.push(path);
             }
         }
+    }
+    
+    /**
+     * Play the events of an imported TimelineFile instead of building them.
+     * Events for folders that are not loaded are skipped; the rest keep
+     * their order, durations and captions and are numbered again.
+     */
+    loadTimeline(timeline) {
+        console.log("=== EVENT TIMELINE ENGINE ===");
+        this.collectPaths();
+        this.timeline = timeline;
+        this.order = 'file';
         
-        console.log(`Found ${this.baOutputPaths.length} ba_output clusters`);
-        console.log(`Found ${this.mergedPaths.length} merged clusters`);
-        
-        // Phase 1: Generate ba_output events (random order)
-        this.generateBaOutputEvents();
-        
-        // Phase 2: Generate merged events (dependency order)
-        this.generateMergedEvents();
+        const events = timeline.events.filter(event => this.clusters.has(event.path));
+        const skipped = timeline.events.length - events.length;
+        if (skipped > 0) console.warn(`EventTimelineEngine: ${skipped} events in ${timeline.source} are for folders that are not loaded, skipped`);
         
-        console.log(`Total events generated: ${this.events.length}`);
+        this.events = events.map((event, i) => ({ ...event, inputs: [...event.inputs], number: i + 1 }));
+        this.timed = this.events.some(event => event.time != null);
+        this.buildWaves();
+        console.log(`Total events loaded: ${this.events.length} (from ${timeline.source}), ${this.waves.length} waves`);
         
         return this.events;
     }
     
     /**
-     * Phase 1: Generate events for ba_output clusters
-     * Order is random (simulating async compute cluster)
+     * Switch to another EVENT_ORDERS entry (and seed) and rebuild the events;
+     * 'file' goes back to the last imported timeline
      */
-    generateBaOutputEvents() {
-        const shuffled = this.shuffleArray(this.baOutputPaths);
-        
-        for (let i = 0; i < shuffled.length; i++) {
-            const path = shuffled[i];
-            this.events.push({
-                number: i + 1,
-                type: 'fade_in',
-                path: path,
-                inputs: [],
-                description: `${path} appears`
-            });
+    setOrder(name, seed = this.orderSeed) {
+        if (name === 'file' && this.timeline) return this.loadTimeline(this.timeline);
+        this.requestedOrder = name;
+        this.orderSeed = seed;
+        return this.buildEvents();
+    }
+    
+    /**
+     * True when the run log has a time for any folder, i.e. 'time' can be used
+     */
+    hasTimes() {
+        return Boolean(this.runLog) && [...this.baOutputPaths, ...this.mergedPaths].some(path => this.runLog.get(path));
+    }
+    
+    resolveOrder() {
+        const name = this.requestedOrder;
+        if (name === 'time' || name === null) {
+            if (this.hasTimes()) return 'time';
+            if (name === 'time') console.warn("EventTimelineEngine: no run log times, using the 'random' order");
+            return 'random';
         }
-        
-        console.log(`Generated ${shuffled.length} ba_output events (1-${shuffled.length})`);
+        return EVENT_ORDERS[name] ? name : 'random';
+    }
+    
+    /**
+     * 'random': leaves in a seeded shuffle (simulating the async compute
+     * cluster), then the merges in dependency order
+     */
+    orderRandom() {
+        const leaves = this.shuffleArray(this.baOutputPaths);
+        console.log(`Ordered ${leaves.length} ba_output events (1-${leaves.length})`);
+        return [...leaves, ...this.orderMerged()];
     }
     
     /**
-     * Phase 2: Generate events for merged clusters
-     * Order respects dependencies: children must complete before parents
+     * Merged folders in dependency order: children must complete before parents
      */
-    generateMergedEvents() {
+    orderMerged() {
         // Build dependency map: which merged paths does each merged path depend on?
         const dependencies = new Map();
         
         for (const path of this.mergedPaths) {
             const cluster = this.clusters.get(path);
-            const childMergedPaths = [];
             
-            // Find child merged paths from childrenPaths
-            for (const childPath of cluster.childrenPaths) {
-                // If child is a merged folder, add it as dependency
-                if (childPath.endsWith('/merged') || childPath === 'merged') {
-                    childMergedPaths.push(childPath);
-                } else {
-                    // Check if there's a sibling merged folder
-                    // e.g., for C_1/ba_output, look for C_1_1/merged, C_1_2/merged etc.
-                    const childCluster = this.clusters.get(childPath);
-                    if (childCluster) {
-                        for (const cp of cluster.childrenPaths) {
-                            if (cp.endsWith('/merged') && this.clusters.has(cp)) {
-                                if (!childMergedPaths.includes(cp)) {
-                                    childMergedPaths.push(cp);
-                                }
-                            }
-                        }
-                    }
-                }
-            }
+            // Every child merged folder has to complete first
+            const childMergedPaths = cluster.childrenPaths.filter(p => this.isMerged(p));
             
             dependencies.set(path, childMergedPaths);
         }
@@ -125,7 +236,6 @@ export class EventTimelineEngine {
         // Topological sort with random selection among ready nodes
         const completed = new Set();
         const mergedOrder = [];
-        const startEventNumber = this.baOutputPaths.length + 1;
         
         while (completed.size < this.mergedPaths.length) {
             // Find all "ready" paths (all dependencies satisfied)
@@ -136,7 +246,7 @@ export class EventTimelineEngine {
             });
             
             if (ready.length === 0) {
-                console.error("Dependency cycle detected or missing dependencies!");
+                console.error("Dependency cycle detected or missing dependencies! See the Timeline check panel");
                 break;
             }
             
@@ -148,50 +258,272 @@ export class EventTimelineEngine {
             mergedOrder.push(chosen);
         }
         
-        // Generate events for merged paths
-        for (let i = 0; i < mergedOrder.length; i++) {
-            const path = mergedOrder[i];
-            const cluster = this.clusters.get(path);
-            const eventNumber = startEventNumber + i;
-            
-            // Determine event type
-            const type = this.determineMergeEventType(path, eventNumber, mergedOrder.length + startEventNumber - 1);
-            
-            // Get inputs (what clusters merge to create this)
-            const inputs = cluster.childrenPaths || [];
-            
-            // Create description
-            const description = this.createDescription(path, inputs, type);
-            
-            this.events.push({
+        console.log(`Ordered ${mergedOrder.length} merged events`);
+        return mergedOrder;
+    }
+    
+    /**
+     * 'depth': post-order through the merge tree, so each branch (its leaves
+     * and merges) completes before the next one starts
+     */
+    orderDepthFirst() {
+        const paths = new Set([...this.baOutputPaths, ...this.mergedPaths]);
+        const order = [];
+        const visit = (path) => {
+            if (!paths.has(path) || order.includes(path)) return;
+            for (const child of this.clusters.get(path).childrenPaths) visit(child);
+            order.push(path);
+        };
+        
+        // The merge tree first, then anything not connected to it
+        const root = findRootCluster(this.clusters);
+        if (root) visit(root.path);
+        for (const path of paths) visit(path);
+        return order;
+    }
+    
+    /**
+     * 'level': every folder of the deepest tree level, then the level above,
+     * up to the root; by path within a level. A merge is always one level
+     * above its inputs, so they are done by then.
+     */
+    orderByLevel() {
+        const level = (path) => {
+            let depth = 0;
+            for (let c = this.clusters.get(path); c.parent; c = c.parent) depth++;
+            return depth;
+        };
+        return [...this.baOutputPaths, ...this.mergedPaths]
+            .map(path => ({ path, depth: level(path) }))
+            .sort((a, b) => b.depth - a.depth || a.path.localeCompare(b.path))
+            .map(entry => entry.path);
+    }
+    
+    /**
+     * 'size': among the folders whose inputs are done, the one with the
+     * most points goes next
+     */
+    orderBySize() {
+        const points = (path) => this.clusters.get(path).pointsCount;
+        return this.topologicalOrder(ready =>
+            ready.reduce((a, b) => points(b) > points(a) || (points(b) === points(a) && b < a) ? b : a));
+    }
+    
+    /**
+     * Every leaf and merged folder, one at a time: pick(ready) chooses among
+     * the folders whose inputs all came earlier
+     */
+    topologicalOrder(pick) {
+        const paths = [...this.baOutputPaths, ...this.mergedPaths];
+        const known = new Set(paths);
+        const dependencies = new Map(paths.map(path => [
+            path,
+            this.isMerged(path) ? this.clusters.get(path).childrenPaths.filter(p => known.has(p)) : []
+        ]));
+        
+        const completed = new Set();
+        const order = [];
+        while (order.length < paths.length) {
+            const ready = paths.filter(path => !completed.has(path) && dependencies.get(path).every(d => completed.has(d)));
+            if (ready.length === 0) {
+                console.error("Dependency cycle detected or missing dependencies! See the Timeline check panel");
+                break;
+            }
+            const chosen = pick(ready);
+            completed.add(chosen);
+            order.push(chosen);
+        }
+        return order;
+    }
+    
+    /**
+     * One event per path, numbered in order; timed events carry their run
+     * log times
+     */
+    createEvents(order) {
+        const last = order.length;
+        for (let i = 0; i < order.length; i++) {
+            const path = order[i];
+            const eventNumber = i + 1;
+            const type = this.isLeaf(path) ? 'fade_in' : this.determineMergeEventType(path, eventNumber, last);
+            const inputs = this.isLeaf(path) ? [] : (this.clusters.get(path).childrenPaths || []);
+            const event = {
                 number: eventNumber,
                 type: type,
                 path: path,
                 inputs: inputs,
-                description: description
-            });
+                description: this.createDescription(path, inputs, type)
+            };
+            if (this.timed) {
+                const time = this.runLog.get(path);
+                event.time = time ? time.finish : null;
+                event.start = time ? time.start : null;
+            }
+            this.events.push(event);
+        }
+    }
+    
+    /**
+     * 'time': every folder in order of its finish time in the run log.
+     * A folder is only ready once all its inputs (leaf and merged) have an
+     * event; among ready folders the earliest finish goes first, and folders
+     * without a logged time come after every timed ready one.
+     */
+    orderByTime() {
+        const times = new Map([...this.baOutputPaths, ...this.mergedPaths].map(path => [path, this.runLog.get(path)]));
+        const order = this.topologicalOrder(ready => {
+            const timed = ready.filter(path => times.get(path));
+            return timed.length > 0
+                ? timed.reduce((a, b) => times.get(b).finish < times.get(a).finish ? b : a)
+                : ready[Math.floor(this.seededRandom() * ready.length)];
+        });
+        this.timed = true;
+        
+        let untimed = 0;
+        let reordered = 0;
+        let latest = -Infinity;
+        for (const path of order) {
+            const time = times.get(path);
+            if (!time) untimed++;
+            // Logged before an input it had to wait for (clock skew, a bad log)
+            else if (time.finish < latest) reordered++;
+            if (time) latest = Math.max(latest, time.finish);
+        }
+        
+        if (untimed > 0) console.warn(`RunLog: ${untimed} folders not in ${this.runLog.source}, placed by dependency order`);
+        if (reordered > 0) console.warn(`RunLog: ${reordered} folders logged before one of their inputs; played after them`);
+        return order;
+    }
+    
+    /**
+     * Group the events into waves of work that ran side by side: a wave
+     * grows until an event needs the output of an event already in it.
+     * With the 'random' order that is all leaves, then runs of merges that
+     * do not need each other; with 'time', runs of events that did not wait
+     * on each other. The event order itself is unchanged, so a wave is a range
+     * of event indices and every view can keep stepping by event index.
+     */
+    buildWaves() {
+        this.waves = [];
+        let wave = null;
+        let produced = new Set();
+        
+        this.events.forEach((event, index) => {
+            if (!wave || event.inputs.some(path => produced.has(path))) {
+                wave = { number: this.waves.length + 1, events: [], first: index, last: index, description: '' };
+                this.waves.push(wave);
+                produced = new Set();
+            }
+            wave.events.push(index);
+            wave.last = index;
+            produced.add(event.path);
+        });
+        
+        for (const w of this.waves) w.description = this.describeWave(w);
+    }
+    
+    /**
+     * One event's own description, else counts per type, e.g.
+     * "11 leaf promotions + 2 merges"
+     */
+    describeWave(wave) {
+        if (wave.events.length === 1) return this.events[wave.first].description;
+        
+        const labels = {
+            fade_in: ['cluster appears', 'clusters appear'],
+            leaf_promotion: ['leaf promotion', 'leaf promotions'],
+            parent_merge: ['merge', 'merges'],
+            final_merge: ['final merge', 'final merges']
+        };
+        const counts = new Map();
+        for (const index of wave.events) {
+            const type = this.events[index].type;
+            counts.set(type, (counts.get(type) || 0) + 1);
+        }
+        return Array.from(counts, ([type, n]) => `${n} ${labels[type][n === 1 ? 0 : 1]}`).join(' + ');
+    }
+    
+    getWave(waveIndex) {
+        return this.waves[waveIndex];
+    }
+    
+    /**
+     * Index of the wave holding an event; -1 before the first event
+     */
+    getWaveIndex(eventIndex) {
+        if (eventIndex < 0) return -1;
+        return this.waves.findIndex(wave => eventIndex >= wave.first && eventIndex <= wave.last);
+    }
+    
+    /**
+     * The event index a wave step lands on: forward, the last event of the
+     * wave after eventIndex; backward, the event before the wave holding
+     * eventIndex. Out of range (events.length or -2) when there is none.
+     */
+    getWaveStepTarget(eventIndex, direction) {
+        if (direction > 0) {
+            const next = this.waves[this.getWaveIndex(eventIndex + 1)];
+            return next ? next.last : this.events.length;
         }
+        const current = this.waves[this.getWaveIndex(eventIndex)];
+        return current ? current.first - 1 : -2;
+    }
+    
+    /**
+     * Seconds to wait after event `index` during playback. Imported events
+     * bring their own duration. Without a run log that is the view's own
+     * pace (fallback); with one the real gap to the next event, scaled so
+     * the average gap plays at that pace.
+     */
+    getStepDelay(index, fallback) {
+        const duration = this.events[index]?.duration;
+        if (duration != null) return duration;
+        
+        const current = this.events[index]?.time;
+        const next = this.events[index + 1]?.time;
+        if (!this.timed || current == null || next == null) return fallback;
+        
+        const timed = this.events.filter(e => e.time !== null);
+        const meanGap = (timed[timed.length - 1].time - timed[0].time) / Math.max(1, timed.length - 1);
+        if (meanGap <= 0) return fallback;
         
-        console.log(`Generated ${mergedOrder.length} merged events (${startEventNumber}-${this.events.length})`);
+        const delay = fallback * Math.max(0, next - current) / meanGap;
+        return Math.min(fallback * this.MAX_DELAY_FACTOR, Math.max(fallback * this.MIN_DELAY_FACTOR, delay));
+    }
+    
+    /**
+     * " (t+1h 02m 05s)" after an event's description when the run log timed
+     * it, relative to the start of the run; '' otherwise
+     */
+    formatTime(event) {
+        if (event?.time == null) return '';
+        const total = Math.round(event.time);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor(total / 60) % 60;
+        const s = String(total % 60).padStart(2, '0');
+        const text = h > 0 ? `${h}h ${String(m).padStart(2, '0')}m ${s}s` : m > 0 ? `${m}m ${s}s` : `${total}s`;
+        return ` (t+${text})`;
+    }
+    
+    isMerged(path) {
+        return this.clusters.get(path)?.role === 'merged';
+    }
+    
+    isLeaf(path) {
+        return this.clusters.get(path)?.role === 'leaf';
     }
     
     /**
      * Determine the type of merge event
      */
     determineMergeEventType(path, eventNumber, lastEventNumber) {
-        // Final merge is always the root 'merged' folder
-        if (path === 'merged') {
+        // Final merge is always the root merged folder
+        if (path === findRootCluster(this.clusters)?.path) {
             return 'final_merge';
         }
         
-        const cluster = this.clusters.get(path);
-        const inputs = cluster.childrenPaths || [];
-        
-        // Count how many inputs are merged folders (not ba_output)
-        const mergedInputs = inputs.filter(p => p.endsWith('/merged') || p === 'merged');
-        
-        // If only ba_output as input (no child merged), it's a leaf promotion
-        if (mergedInputs.length === 0) {
+        // Only its own ba_output as input (set by the loader for backends with leaf promotion)
+        if (this.clusters.get(path).promoted) {
             return 'leaf_promotion';
         }
         
@@ -204,24 +536,30 @@ export class EventTimelineEngine {
      */
     createDescription(path, inputs, type) {
         const shortPath = path.replace(/\//g, '/');
+        const folderName = (p) => p.split('/').pop();
         
         switch (type) {
             case 'fade_in':
                 return `${shortPath} appears`;
                 
             case 'leaf_promotion':
-                return `${shortPath} = ba_output (leaf promotion)`;
+                return `${shortPath} = ${folderName(inputs[0])} (leaf promotion)`;
                 
             case 'parent_merge': {
+                // The cluster's own leaf by folder name, child clusters with their cluster name
+                const dir = path.slice(0, Math.max(0, path.lastIndexOf('/')));
                 const inputNames = inputs.map(p => {
                     const parts = p.split('/');
-                    return parts[parts.length - 1] === 'ba_output' ? 'ba_output' : parts.slice(-2).join('/');
+                    return parts.slice(0, -1).join('/') === dir ? parts[parts.length - 1] : parts.slice(-2).join('/');
                 });
                 return `${shortPath} = ${inputNames.join(' + ')}`;
             }
                 
-            case 'final_merge':
-                return `FINAL: merged = ba_output + C_1 + C_2 + C_3 + C_4`;
+            case 'final_merge': {
+                // Own leaf folder by name, child clusters by cluster name
+                const inputNames = inputs.map(p => p.split('/')[0]);
+                return `FINAL: ${folderName(path)} = ${inputNames.join(' + ')}`;
+            }
                 
             default:
                 return path;
@@ -276,7 +614,7 @@ export class EventTimelineEngine {
                 case 'leaf_promotion':
                     // ba_output hidden, merged visible
                     for (const input of event.inputs) {
-                        if (input.endsWith('ba_output') || input === 'ba_output') {
+                        if (this.isLeaf(input)) {
                             visible.delete(input);
                             hidden.add(input);
                         }
@@ -305,7 +643,11 @@ export class EventTimelineEngine {
     printEvents() {
         console.log("\n=== ALL EVENTS ===");
         for (const event of this.events) {
-            console.log(`Event ${event.number} [${event.type}]: ${event.description}`);
+            console.log(`Event ${event.number} [${event.type}]: ${event.description}${this.formatTime(event)}${event.caption ? ` - ${event.caption}` : ''}`);
+        }
+        console.log("\n=== WAVES ===");
+        for (const wave of this.waves) {
+            console.log(`Wave ${wave.number} (events ${wave.first + 1}-${wave.last + 1}): ${wave.description}`);
         }
     }
 }
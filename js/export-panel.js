@@ -0,0 +1,98 @@
+import { OverlayPanel } from './overlay-panel.js?v=1';
+import { PlyExporter, PLY_FORMATS } from './ply-exporter.js?v=2';
+import { GltfAnimationExporter } from './gltf-animation-exporter.js?v=2';
+
+/**
+ * Export Panel
+ * Saves the reconstruction as it looks at the current timeline event as a
+ * PLY file. The view supplies what is visible through getState().
+ *
+ * Views whose animation engine describes its motion (slab, squareness)
+ * can also export the whole merge sequence as an animated GLB.
+ */
+export class ExportPanel {
+    /**
+     * @param {Function} getState - () => { clusters: Cluster[], eventIndex: number }
+     * @param {Object} options - OverlayPanel options (position, theme), plus
+     *                           name: file name prefix,
+     *                           animation: { clusters, engine, eventCount } for the GLB export
+     */
+    constructor(getState, options = {}) {
+        this.getState = getState;
+        this.name = options.name ?? 'reconstruction';
+        this.animation = options.animation ?? null;
+        this.panel = new OverlayPanel('Export', options);
+        this.panel.toggleCollapsed();
+
+        this.formatSelect = document.createElement('select');
+        this.formatSelect.style.width = '100%';
+        for (const [value, label] of Object.entries(PLY_FORMATS)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `PLY (${label})`;
+            this.formatSelect.appendChild(option);
+        }
+
+        const idToggle = document.createElement('label');
+        idToggle.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 3px 0;';
+        this.clusterIdsCheckbox = document.createElement('input');
+        this.clusterIdsCheckbox.type = 'checkbox';
+        idToggle.append(this.clusterIdsCheckbox, 'Tag points with cluster id');
+
+        this.plyButton = document.createElement('button');
+        this.plyButton.textContent = 'Export current event';
+        this.plyButton.addEventListener('click', () => this.exportPly());
+
+        this.status = document.createElement('div');
+        this.status.style.marginTop = '6px';
+
+        const content = document.createElement('div');
+        content.append(this.formatSelect, idToggle, this.plyButton);
+
+        if (this.animation) {
+            this.gltfButton = document.createElement('button');
+            this.gltfButton.textContent = 'Export animation (GLB)';
+            this.gltfButton.title = 'Every cluster with the merge sequence as glTF animation tracks';
+            this.gltfButton.addEventListener('click', () => this.exportAnimation());
+            content.append(document.createElement('br'), this.gltfButton);
+        }
+
+        content.append(this.status);
+        this.panel.setContent(content);
+    }
+
+    async exportAnimation() {
+        const { clusters, engine, eventCount } = this.animation;
+        this.gltfButton.disabled = true;
+        this.status.textContent = 'Exporting animation...';
+        try {
+            const exporter = new GltfAnimationExporter();
+            const result = await exporter.export(clusters, engine, eventCount);
+            const filename = `${this.name}-merge.glb`;
+            exporter.download(result.data, filename);
+            this.status.textContent = `${filename}: ${result.nodes} clusters, ${result.duration.toFixed(1)}s`;
+        } catch (e) {
+            console.error('GLB export failed:', e);
+            this.status.textContent = `Export failed: ${e.message}`;
+        } finally {
+            this.gltfButton.disabled = false;
+        }
+    }
+
+    exportPly() {
+        const { clusters, eventIndex } = this.getState();
+        if (clusters.length === 0) {
+            this.status.textContent = 'Nothing visible to export yet';
+            return;
+        }
+
+        const exporter = new PlyExporter({
+            format: this.formatSelect.value,
+            clusterIds: this.clusterIdsCheckbox.checked
+        });
+        const result = exporter.export(clusters);
+        const filename = `${this.name}-event-${eventIndex + 1}.ply`;
+        exporter.download(result.data, filename);
+        this.status.textContent = `${filename}: ${result.points} points from ${result.clusters} clusters`;
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * File Download
+ * Saves a Blob as a file through the browser; shared by the exporters
+ * (PLY, glTF animation, timeline files), which only build the Blob.
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoked after the click has started the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
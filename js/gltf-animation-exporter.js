@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { downloadBlob } from './file-download.js?v=2';
+
+/**
+ * glTF Animation Exporter
+ * Writes the whole merge sequence of an animation engine to one glTF/GLB
+ * file, so it replays in Blender or any glTF viewer:
+ *   - every cluster is a node holding a point primitive (positions + colors)
+ *   - one animation clip moves and scales the nodes event after event
+ *
+ * The engine has to provide applyEventInstant(index) (the state after an
+ * event) and getEventMotion(index) (what happens in between):
+ *   { duration, moves: [{ cluster, position, scale, start, end }], appearAt }
+ * Slab and squareness engines do. Clusters hiding after a move slide to
+ * its position first; clusters that appear show up at appearAt.
+ *
+ * glTF has no visibility or opacity channels, so a hidden cluster is
+ * scaled to 0 and fades become cuts.
+ */
+
+// Seconds between two keys that stand for an instant change
+const CUT = 0.001;
+// Pause after each event
+const HOLD = 0.5;
+
+export class GltfAnimationExporter {
+    /**
+     * @param {Object} options
+     *   binary              - GLB (default) or JSON glTF with embedded buffers
+     *   maxPointsPerCluster - keep the first N points of each cluster (they are in
+     *                         octree order, so a prefix is an even subsample); null = all
+     */
+    constructor(options = {}) {
+        this.binary = options.binary ?? true;
+        this.maxPointsPerCluster = options.maxPointsPerCluster ?? null;
+    }
+
+    /**
+     * @param {Map<string, Cluster>} clusters
+     * @param {Object} engine - Animation engine (see above)
+     * @param {number} eventCount
+     * @returns {Promise<{data: ArrayBuffer|Object, duration: number, nodes: number}>}
+     */
+    async export(clusters, engine, eventCount) {
+        const exported = Array.from(clusters.values()).filter(cluster => cluster.pointCloud && !cluster.placeholder);
+        const saved = this.snapshot(exported);
+        const camera = engine.camera
+            ? { position: engine.camera.position.clone(), target: engine.orbitControls?.target.clone() }
+            : null;
+
+        let keys;
+        try {
+            keys = this.sampleKeys(exported, engine, eventCount);
+        } finally {
+            // Sampling replays the engine's instant states; put the view back
+            this.restore(exported, saved);
+            if (camera) {
+                engine.camera.position.copy(camera.position);
+                if (camera.target) {
+                    engine.orbitControls.target.copy(camera.target);
+                    engine.orbitControls.update();
+                }
+            }
+        }
+
+        const scene = new THREE.Scene();
+        const root = new THREE.Group();
+        root.name = 'merge-sequence';
+        scene.add(root);
+        const tracks = [];
+        let duration = 0;
+
+        for (const cluster of exported) {
+            const node = this.createNode(cluster);
+            root.add(node);
+
+            const clusterKeys = keys.get(cluster);
+            const times = clusterKeys.map(key => key.time);
+            duration = Math.max(duration, times[times.length - 1]);
+            tracks.push(
+                new THREE.VectorKeyframeTrack(`${node.name}.position`, times,
+                    clusterKeys.flatMap(key => key.position.toArray())),
+                new THREE.VectorKeyframeTrack(`${node.name}.scale`, times,
+                    clusterKeys.flatMap(key => [key.scale, key.scale, key.scale]))
+            );
+        }
+
+        // The scene's own parent transform (e.g. a world group), baked into the root
+        const parent = exported[0]?.group.parent;
+        if (parent) {
+            parent.updateWorldMatrix(true, false);
+            parent.matrixWorld.decompose(root.position, root.quaternion, root.scale);
+        }
+
+        const clip = new THREE.AnimationClip('merge', duration, tracks);
+        const data = await new GLTFExporter().parseAsync(scene, {
+            binary: this.binary,
+            animations: [clip],
+            onlyVisible: false
+        });
+
+        console.log(`GltfAnimationExporter: ${exported.length} clusters, ${eventCount} events, ${duration.toFixed(1)}s`);
+        return { data, duration, nodes: exported.length };
+    }
+
+    /**
+     * Keys per cluster: { time, position, scale } with strictly increasing times
+     */
+    sampleKeys(clusters, engine, eventCount) {
+        const keys = new Map(clusters.map(cluster => [cluster, []]));
+        const add = (cluster, time, pose) => {
+            const list = keys.get(cluster);
+            const last = list[list.length - 1];
+            const key = { time, position: pose.position.clone(), scale: pose.visible ? pose.scale : 0 };
+            if (last && time <= last.time) list[list.length - 1] = { ...key, time: last.time };
+            else list.push(key);
+        };
+
+        engine.applyEventInstant(-1);
+        let before = this.snapshot(clusters);
+        let time = 0;
+        for (const cluster of clusters) add(cluster, time, before.get(cluster));
+
+        for (let index = 0; index < eventCount; index++) {
+            engine.applyEventInstant(index);
+            const after = this.snapshot(clusters);
+            const motion = engine.getEventMotion(index);
+            const end = time + motion.duration;
+            const moved = new Set();
+
+            for (const move of motion.moves) {
+                const from = before.get(move.cluster);
+                if (!from || !from.visible) continue;
+                moved.add(move.cluster);
+                const moveEnd = time + move.end * motion.duration;
+                add(move.cluster, time + move.start * motion.duration, from);
+                add(move.cluster, moveEnd, { position: move.position, scale: from.scale * (move.scale ?? 1), visible: true });
+                add(move.cluster, moveEnd + CUT, after.get(move.cluster));
+            }
+
+            for (const cluster of clusters) {
+                if (moved.has(cluster)) continue;
+                const from = before.get(cluster);
+                const to = after.get(cluster);
+                if (!from.visible && to.visible) {
+                    // Appears: hidden until appearAt, then in place
+                    const appear = time + motion.appearAt * motion.duration;
+                    add(cluster, appear, { ...to, visible: false });
+                    add(cluster, appear + CUT, to);
+                } else if (from.visible && !to.visible) {
+                    add(cluster, end - CUT, from);
+                }
+                add(cluster, end, to);
+            }
+
+            for (const cluster of clusters) add(cluster, end + HOLD, after.get(cluster));
+            time = end + HOLD;
+            before = after;
+        }
+        return keys;
+    }
+
+    snapshot(clusters) {
+        return new Map(clusters.map(cluster => [cluster, {
+            position: cluster.group.position.clone(),
+            quaternion: cluster.group.quaternion.clone(),
+            scale: cluster.group.scale.x,
+            visible: cluster.pointCloud.visible,
+            opacity: cluster.pointCloud.material.opacity,
+            transparent: cluster.pointCloud.material.transparent
+        }]));
+    }
+
+    restore(clusters, saved) {
+        for (const cluster of clusters) {
+            const state = saved.get(cluster);
+            cluster.group.position.copy(state.position);
+            cluster.group.quaternion.copy(state.quaternion);
+            cluster.group.scale.setScalar(state.scale);
+            cluster.pointCloud.visible = state.visible;
+            cluster.pointCloud.material.opacity = state.opacity;
+            cluster.pointCloud.material.transparent = state.transparent;
+        }
+    }
+
+    /**
+     * A node with the cluster's rotation and a plain copy of its points
+     */
+    createNode(cluster) {
+        const source = cluster.pointCloud.geometry;
+        const count = Math.min(source.attributes.position.count, this.maxPointsPerCluster ?? Infinity);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(source.attributes.position.array.slice(0, count * 3), 3));
+        if (source.attributes.color) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(source.attributes.color.array.slice(0, count * 3), 3));
+        }
+
+        const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+            size: cluster.pointCloud.material.size,
+            vertexColors: !!source.attributes.color,
+            sizeAttenuation: false
+        }));
+        points.name = `${this.nodeName(cluster)}-points`;
+        points.position.copy(cluster.pointCloud.position);
+        points.quaternion.copy(cluster.pointCloud.quaternion);
+        points.scale.copy(cluster.pointCloud.scale);
+
+        const node = new THREE.Group();
+        node.name = this.nodeName(cluster);
+        node.userData.path = cluster.path;
+        node.quaternion.copy(cluster.group.quaternion);
+        node.add(points);
+        return node;
+    }
+
+    // Track names address nodes by name, and '/' is reserved there
+    nodeName(cluster) {
+        return cluster.path.replaceAll('/', '-');
+    }
+
+    /**
+     * Save an export as a file through the browser
+     */
+    download(data, filename) {
+        const blob = this.binary
+            ? new Blob([data], { type: 'model/gltf-binary' })
+            : new Blob([JSON.stringify(data)], { type: 'model/gltf+json' });
+        downloadBlob(blob, filename);
+    }
+}
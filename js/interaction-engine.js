@@ -1,11 +1,12 @@
 import * as THREE from 'three';
 
 export class InteractionEngine {
-    constructor(camera, domElement, clusters, globalControls) {
+    constructor(camera, domElement, clusters, globalControls, provenance = null) {
         this.camera = camera;
         this.domElement = domElement;
         this.clusters = clusters; // Map<path, Cluster>
         this.globalControls = globalControls; // OrbitControls instance
+        this.provenance = provenance; // MergeProvenance, for a clicked point's lineage
 
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
@@ -60,6 +61,7 @@ export class InteractionEngine {
             
             if (cluster) {
                 this.selectCluster(cluster);
+                this.showPointInfo(cluster, hit.index);
                 this.isDragging = true;
                 this.previousMousePosition = { x: event.clientX, y: event.clientY };
                 
@@ -139,6 +141,29 @@ export class InteractionEngine {
         if (label) label.textContent = `Selected: ${cluster.path}`;
     }
 
+    showPointInfo(cluster, index) {
+        const info = cluster.getPointInfo ? cluster.getPointInfo(index) : null;
+        if (!info) return;
+
+        console.log(`Point ${index} of ${cluster.path}:`, info);
+
+        let text = `Selected: ${cluster.path} | point #${index}: ` +
+            `error ${info.error.toFixed(2)}px, seen in ${info.trackLength} images`;
+
+        // Merges the point went through, from its source leaf up to the clicked cluster
+        const lineage = this.provenance ? this.provenance.lineage(cluster, index) : [];
+        if (lineage.length > 1) {
+            console.log('Lineage:', lineage.map(step => `${step.cluster.path} #${step.index}` +
+                (step.method ? ` (matched by ${step.method})` : '')));
+            const leaf = lineage[lineage.length - 1].cluster;
+            text += ` | from ${leaf.role === 'leaf' ? leaf.path : `${leaf.path} (not traced further)`}: ` +
+                lineage.map(step => step.cluster.path).reverse().join(' → ');
+        }
+
+        const label = document.getElementById('event-label');
+        if (label) label.textContent = text;
+    }
+
     deselectCluster() {
         if (this.selectedCluster) {
             // Restore material
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { findRootCluster } from './pipeline-backends.js?v=4';
 
 /**
  * Hierarchy Layout Engine
@@ -8,7 +9,7 @@ import * as THREE from 'three';
 export class HierarchyLayoutEngine {
     constructor(clusters) {
         this.clusters = clusters;
-        this.rootCluster = clusters.get('merged');
+        this.rootCluster = findRootCluster(clusters);
         this.bounds = null;
         
         // Layout parameters - VERY COMPACT spacing for maximum visibility
@@ -109,9 +110,6 @@ export class HierarchyLayoutEngine {
             // Set initial position
             cluster.group.position.copy(cluster.hierarchyPosition);
             
-            // Rotate cluster 180 degrees around X-axis to flip right-side up
-            cluster.group.rotation.x = Math.PI;
-            
             // Track bounds
             minX = Math.min(minX, node.x);
             maxX = Math.max(maxX, node.x);
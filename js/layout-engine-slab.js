@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { findRootCluster } from './pipeline-backends.js?v=4';
 
 /**
  * Slab Layout Engine
@@ -9,7 +10,7 @@ import * as THREE from 'three';
 export class SlabLayoutEngine {
     constructor(clusters) {
         this.clusters = clusters;
-        this.rootCluster = clusters.get('merged');
+        this.rootCluster = findRootCluster(clusters);
         this.bounds = null;
         
         // Layout parameters
@@ -170,12 +171,6 @@ export class SlabLayoutEngine {
             // Set initial position
             cluster.group.position.copy(cluster.slabPosition);
             
-            // Rotate cluster for correct orientation:
-            // - 180 degrees around X-axis to flip right-side up
-            // - 180 degrees around Y-axis to show front view (columned entrance)
-            cluster.group.rotation.x = Math.PI;
-            cluster.group.rotation.y = Math.PI;
-            
             // Track bounds
             minX = Math.min(minX, node.x);
             maxX = Math.max(maxX, node.x);
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { findRootCluster } from './pipeline-backends.js?v=4';
 
 /**
  * Squareness-Based Recursive Rectangle Layout Engine
@@ -14,7 +15,7 @@ import * as THREE from 'three';
 export class SquarenessLayoutEngine {
     constructor(clusters) {
         this.clusters = clusters;
-        this.rootCluster = clusters.get('merged');
+        this.rootCluster = findRootCluster(clusters);
         this.bounds = null;
         this.treeNodes = [];
 
@@ -177,7 +178,6 @@ export class SquarenessLayoutEngine {
                 const cy = c.rect.y + c.rect.h / 2;
                 c.hierarchyPosition = new THREE.Vector3(cx, cy, 0);
                 c.group.position.copy(c.hierarchyPosition);
-                c.group.rotation.x = Math.PI;
 
                 // Scale so the point cloud fits within the tile
                 if (c.radius > 0) {
@@ -200,7 +200,6 @@ export class SquarenessLayoutEngine {
                 if (pos) {
                     c.hierarchyPosition = pos.clone();
                     c.group.position.copy(c.hierarchyPosition);
-                    c.group.rotation.x = Math.PI;
 
                     // Scale so the merged point cloud fits the region that held all its children
                     if (c.radius > 0 && reg) {
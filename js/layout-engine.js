@@ -1,9 +1,10 @@
 import * as THREE from 'three';
+import { findRootCluster } from './pipeline-backends.js?v=4';
 
 export class LayoutEngine {
     constructor(clusters) {
         this.clusters = clusters; // Map<path, Cluster>
-        this.root = this.clusters.get('merged');
+        this.root = findRootCluster(this.clusters);
         
         // Explode factor - how much to spread clusters apart initially
         this.EXPLODE_FACTOR = 2.5;  // Multiplier for spreading clusters apart
@@ -0,0 +1,44 @@
+/**
+ * Loading Preview
+ * Puts clusters into the scene as soon as the loader has something to draw,
+ * so the building assembles on screen while the rest is still loading.
+ *
+ * The loader keeps the geometry in a provisional normalization while
+ * streaming; the app's own layout/animation setup takes over once load()
+ * resolves.
+ */
+export class LoadingPreview {
+    constructor(worldGroup, camera, orbitControls) {
+        this.worldGroup = worldGroup;
+        this.camera = camera;
+        this.orbitControls = orbitControls;
+        this.framed = false;
+    }
+
+    /**
+     * Hook into a DataLoader before calling load()
+     */
+    attach(dataLoader) {
+        dataLoader.onClusterAdded = (cluster) => this.add(cluster, dataLoader.TARGET_SIZE);
+    }
+
+    add(cluster, targetSize) {
+        if (!this.framed) {
+            this.frame(targetSize);
+            this.framed = true;
+        }
+        this.worldGroup.add(cluster.group);
+    }
+
+    // Back the camera off far enough to see the whole normalized building
+    frame(radius) {
+        const fov = this.camera.fov * Math.PI / 180;
+        const distance = radius / Math.tan(fov / 2) * 1.1;
+        this.camera.position.set(0, 0, distance);
+        this.camera.lookAt(0, 0, 0);
+        if (this.orbitControls) {
+            this.orbitControls.target.set(0, 0, 0);
+            this.orbitControls.update();
+        }
+    }
+}
@@ -0,0 +1,147 @@
+import { LocalFolderSource } from './local-folder-source.js?v=1';
+
+/**
+ * Local Folder Picker
+ * Full-window drop zone plus a directory picker for loading a results tree
+ * from disk. Shown when the page is opened with ?source=local, e.g.
+ * timeline.html?source=local - the view then waits for a folder instead of
+ * fetching data/.
+ */
+
+const STYLE_ID = 'local-folder-picker-style';
+
+const STYLES = `
+.local-folder-picker {
+    position: fixed;
+    inset: 0;
+    z-index: 200;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: rgba(255, 255, 255, 0.6);
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+}
+.local-folder-picker.dark { background: rgba(10, 10, 20, 0.6); }
+.local-folder-picker-card {
+    width: 360px;
+    padding: 36px 40px;
+    border-radius: 16px;
+    border: 2px dashed #ccc;
+    background: rgba(255, 255, 255, 0.95);
+    color: #333;
+    text-align: center;
+    box-shadow: 0 4px 20px rgba(0,0,0,0.1);
+}
+.local-folder-picker.dark .local-folder-picker-card {
+    background: rgba(20, 20, 30, 0.95);
+    border-color: rgba(255, 255, 255, 0.2);
+    color: #ddd;
+}
+.local-folder-picker.dragging .local-folder-picker-card { border-color: #ffa500; }
+.local-folder-picker-title { font-size: 16px; font-weight: 600; margin-bottom: 10px; }
+.local-folder-picker-hint { font-size: 12px; opacity: 0.7; margin-bottom: 18px; line-height: 1.5; }
+.local-folder-picker button {
+    font-size: 13px;
+    padding: 8px 18px;
+    border-radius: 8px;
+    border: 1px solid #ffa500;
+    background: #ffa500;
+    color: #fff;
+    cursor: pointer;
+}
+.local-folder-picker-status { font-size: 12px; margin-top: 14px; min-height: 16px; }
+`;
+
+export class LocalFolderPicker {
+    /**
+     * @param {Object} options - { theme: 'light' | 'dark' }
+     */
+    constructor(options = {}) {
+        this.theme = options.theme ?? 'light';
+        this.element = null;
+    }
+
+    /**
+     * Ask for a folder if the page was opened with ?source=local
+     * @returns {Promise<LocalFolderSource|null>} null when data should be fetched as usual
+     */
+    static requestIfAsked(options = {}) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('source') !== 'local') return Promise.resolve(null);
+        return new LocalFolderPicker(options).pick();
+    }
+
+    static injectStyles() {
+        if (document.getElementById(STYLE_ID)) return;
+        const style = document.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = STYLES;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Show the drop zone until a folder with a points3D file is dropped or picked
+     * @returns {Promise<LocalFolderSource>}
+     */
+    pick() {
+        LocalFolderPicker.injectStyles();
+
+        this.element = document.createElement('div');
+        this.element.className = `local-folder-picker ${this.theme}`;
+        this.element.innerHTML = `
+            <div class="local-folder-picker-card">
+                <div class="local-folder-picker-title">Open a local results folder</div>
+                <div class="local-folder-picker-hint">
+                    Drop a results folder (or the dataset folder containing it) anywhere on this page,
+                    or choose it from disk. Nothing is uploaded.
+                </div>
+                <button type="button">Choose folder…</button>
+                <input type="file" webkitdirectory multiple hidden>
+                <div class="local-folder-picker-status"></div>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        const input = this.element.querySelector('input');
+        this.status = this.element.querySelector('.local-folder-picker-status');
+        this.element.querySelector('button').addEventListener('click', () => input.click());
+
+        return new Promise((resolve) => {
+            const accept = (source) => {
+                if (source.modelFolders().length === 0) {
+                    this.status.textContent = `No points3D files found in ${source.name}`;
+                    return;
+                }
+                console.log(`LocalFolderPicker: ${source.files.size} files from ${source.name}`);
+                this.destroy();
+                resolve(source);
+            };
+
+            input.addEventListener('change', () => {
+                if (input.files.length > 0) accept(LocalFolderSource.fromFileList(input.files));
+            });
+
+            this.element.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                this.element.classList.add('dragging');
+            });
+            this.element.addEventListener('dragleave', () => this.element.classList.remove('dragging'));
+            this.element.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                this.element.classList.remove('dragging');
+                this.status.textContent = 'Reading folder…';
+                try {
+                    accept(await LocalFolderSource.fromDataTransfer(e.dataTransfer));
+                } catch (err) {
+                    console.warn('LocalFolderPicker: could not read dropped folder:', err);
+                    this.status.textContent = `Could not read the dropped folder: ${err.message}`;
+                }
+            });
+        });
+    }
+
+    destroy() {
+        if (this.element) this.element.remove();
+        this.element = null;
+    }
+}
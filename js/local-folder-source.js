@@ -0,0 +1,168 @@
+/**
+ * Local Folder Source
+ * A results tree read straight from disk (drag-and-drop or a directory
+ * picker) instead of fetched from the web root.
+ *
+ * Files are kept by their path relative to the dropped folder, and fetch()
+ * answers with a Response for them, so the COLMAP readers and the tree
+ * discovery treat local files exactly like fetched ones.
+ *
+ * Kept free of DOM access so fetchFromFiles() can also run inside a worker.
+ */
+
+const MODEL_FILE = /^points3D\.(txt|bin)$/;
+
+export class LocalFolderSource {
+    /**
+     * @param {Array<{path: string, file: File}>} entries - Every file of the dropped folder
+     */
+    constructor(entries) {
+        this.files = new Map(); // relative path -> File
+        for (const { path, file } of entries) {
+            this.files.set(this.normalize(path), file);
+        }
+
+        this.name = this.findName();
+        this.fetch = this.fetch.bind(this);
+    }
+
+    /**
+     * From an <input type="file" webkitdirectory> selection
+     */
+    static fromFileList(fileList) {
+        const entries = Array.from(fileList).map(file => ({
+            path: file.webkitRelativePath || file.name,
+            file
+        }));
+        return new LocalFolderSource(entries);
+    }
+
+    /**
+     * From a drop event's DataTransfer, walking dropped directories
+     */
+    static async fromDataTransfer(dataTransfer) {
+        const entries = [];
+        const roots = Array.from(dataTransfer.items)
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                entries.push({ path: entry.fullPath, file });
+                return;
+            }
+            const reader = entry.createReader();
+            // readEntries() hands out directory contents in batches
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) await walk(child);
+            } while (batch.length > 0);
+        };
+
+        for (const root of roots) await walk(root);
+        return new LocalFolderSource(entries);
+    }
+
+    /**
+     * fetch() stand-in: a Response for a file below the dropped folder
+     */
+    async fetch(url) {
+        const file = this.files.get(this.normalize(url));
+        return file ? new Response(file) : new Response(null, { status: 404, statusText: 'Not Found' });
+    }
+
+    /**
+     * Files directly inside a folder, by file name (what the workers receive)
+     */
+    folderFiles(folder) {
+        const prefix = `${this.normalize(folder)}/`;
+        const files = {};
+        for (const [path, file] of this.files) {
+            if (path.startsWith(prefix) && !path.slice(prefix.length).includes('/')) {
+                files[path.slice(prefix.length)] = file;
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Leaf/merged model folders below a data root, relative to it - the
+     * same list a manifest would give
+     */
+    listFolders(dataRoot, leafType, mergedType) {
+        const prefix = dataRoot ? `${dataRoot}/` : '';
+        return this.modelFolders(leafType, mergedType)
+            .filter(folder => folder.startsWith(prefix))
+            .map(folder => folder.slice(prefix.length));
+    }
+
+    /**
+     * True if any model folder has the given folder name
+     */
+    hasFolderNamed(name) {
+        return this.modelFolders(name).length > 0;
+    }
+
+    /**
+     * Folders holding a points3D file, optionally only those with one of
+     * the given folder names
+     */
+    modelFolders(...names) {
+        const folders = new Set();
+        for (const path of this.files.keys()) {
+            const idx = path.lastIndexOf('/');
+            if (idx === -1 || !MODEL_FILE.test(path.slice(idx + 1))) continue;
+            const folder = path.slice(0, idx);
+            if (names.length === 0 || names.includes(folder.split('/').pop())) folders.add(folder);
+        }
+        return Array.from(folders);
+    }
+
+    /**
+     * The results folder: the directory above the outermost C_x_y clusters
+     * holding most of the leaf/merged folders (e.g. "gerrard-hall/results"
+     * when the whole dataset folder was dropped)
+     */
+    findDataRoot(leafType, mergedType) {
+        const votes = new Map(); // candidate root -> model folders below it
+        for (const folder of this.modelFolders(leafType, mergedType)) {
+            const segments = folder.split('/').slice(0, -1);
+            while (segments.length > 0 && /^C(_\d+)+$/.test(segments[segments.length - 1])) {
+                segments.pop();
+            }
+            const candidate = segments.join('/');
+            votes.set(candidate, (votes.get(candidate) || 0) + 1);
+        }
+
+        let root = '';
+        let best = 0;
+        for (const [candidate, count] of votes) {
+            if (count > best) {
+                root = candidate;
+                best = count;
+            }
+        }
+        return root;
+    }
+
+    findName() {
+        const first = this.files.keys().next().value;
+        return first ? first.split('/')[0] : 'local folder';
+    }
+
+    normalize(path) {
+        return path.replace(/^\.?\/+/, '').replace(/\/+$/, '');
+    }
+}
+
+/**
+ * fetch() stand-in over one folder's { name: File } map, for the workers
+ */
+export function fetchFromFiles(files) {
+    return async (url) => {
+        const file = files[url.split('/').pop()];
+        return file ? new Response(file) : new Response(null, { status: 404, statusText: 'Not Found' });
+    };
+}
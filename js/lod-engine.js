@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+
+/**
+ * LOD Engine
+ * Chooses how many points of each visible cluster to draw, every frame.
+ *
+ * Points are stored in octree-level order (see point-octree.js), so drawing
+ * the first N points gives an even subsample and LOD is just a draw range.
+ * The point budget is shared between visible clusters by their on-screen
+ * size, and drops to a coarse budget while the camera or an animation is
+ * moving. Once everything has been still for STILL_DELAY seconds the full
+ * budget comes back.
+ */
+export class LODEngine {
+    constructor(camera, renderer, clusters) {
+        this.camera = camera;
+        this.renderer = renderer;
+        this.clusters = clusters; // Map<path, Cluster>
+
+        // Total points drawn while moving / when still
+        this.MOTION_BUDGET = 400000;
+        this.STILL_BUDGET = 4000000;
+        // Cap on points per screen pixel covered by a cluster
+        this.POINTS_PER_PIXEL = 4;
+        // Never thin a visible cluster below this many points
+        this.MIN_POINTS = 2000;
+        this.STILL_DELAY = 0.3;
+
+        this.enabled = true;
+        this.lastMotionTime = 0;
+        this.lastCameraMatrix = new THREE.Matrix4();
+        this.drawnPoints = 0;
+
+        this.sphere = new THREE.Sphere();
+    }
+
+    /**
+     * @param {boolean} animating - True while the app is playing/animating
+     */
+    update(animating = false) {
+        const now = performance.now() / 1000;
+
+        this.camera.updateMatrixWorld();
+        if (animating || !this.camera.matrixWorld.equals(this.lastCameraMatrix)) {
+            this.lastMotionTime = now;
+        }
+        this.lastCameraMatrix.copy(this.camera.matrixWorld);
+
+        const moving = now - this.lastMotionTime < this.STILL_DELAY;
+        this.apply(moving ? this.MOTION_BUDGET : this.STILL_BUDGET);
+    }
+
+    apply(budget) {
+        const visible = [];
+        for (const cluster of this.clusters.values()) {
+            const cloud = cluster.pointCloud;
+            if (!cloud || !cloud.visible) continue;
+            if (!this.enabled) {
+                cloud.geometry.setDrawRange(0, Infinity);
+                continue;
+            }
+            visible.push({ cluster, want: this.getScreenPoints(cloud) });
+        }
+        if (!this.enabled) return;
+
+        // Scale every cluster down evenly if the wishes exceed the budget
+        const wanted = visible.reduce((sum, v) => sum + v.want, 0);
+        const factor = wanted > budget ? budget / wanted : 1;
+
+        this.drawnPoints = 0;
+        for (const { cluster, want } of visible) {
+            const count = cluster.pointsCount;
+            const drawCount = Math.min(count, Math.max(this.MIN_POINTS, Math.round(want * factor)));
+            cluster.pointCloud.geometry.setDrawRange(0, drawCount);
+            this.drawnPoints += drawCount;
+        }
+    }
+
+    /**
+     * Points worth drawing for a cloud: its projected area in pixels times
+     * POINTS_PER_PIXEL, capped by the points it has
+     */
+    getScreenPoints(cloud) {
+        const geometry = cloud.geometry;
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+
+        this.sphere.copy(geometry.boundingSphere).applyMatrix4(cloud.matrixWorld);
+        const distance = this.sphere.center.distanceTo(this.camera.position);
+        const count = geometry.attributes.position.count;
+        if (distance <= this.sphere.radius) return count;
+
+        // Projected radius in pixels
+        const height = this.renderer.domElement.clientHeight || window.innerHeight;
+        const fov = this.camera.fov * Math.PI / 180;
+        const radius = this.sphere.radius / (distance * Math.tan(fov / 2)) * (height / 2);
+
+        return Math.min(count, Math.PI * radius * radius * this.POINTS_PER_PIXEL);
+    }
+}
@@ -1,15 +1,31 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { DataLoader } from './data-loader.js?v=405';
-import { HierarchyLayoutEngine } from './layout-engine-hierarchy.js?v=6';
-import { InteractionEngine } from './interaction-engine.js?v=305';
+import { DataLoader } from './data-loader.js?v=420';
+import { getBackendFromUrl } from './pipeline-backends.js?v=4';
+import { getDatasetFromUrl, applyDatasetTitle } from './dataset-config.js?v=8';
+import { LocalFolderPicker } from './local-folder-picker.js?v=1';
+import { HierarchyLayoutEngine } from './layout-engine-hierarchy.js?v=10';
+import { InteractionEngine } from './interaction-engine.js?v=307';
 import { HierarchyAnimationEngine } from './animation-engine-hierarchy.js?v=2';
 import { CameraEngine } from './camera-engine.js?v=305';
+import { ColorEngine } from './color-engine.js?v=3';
+import { MergeProvenance } from './merge-provenance.js?v=1';
+import { ColorPanel } from './color-panel.js?v=2';
+import { CachePanel } from './cache-panel.js?v=1';
+import { OutlierPanel } from './outlier-panel.js?v=6';
+import { BundleAdjustmentLayers } from './bundle-adjustment-layers.js?v=4';
+import { BundleAdjustmentPanel } from './bundle-adjustment-panel.js?v=3';
+import { PlyExporter } from './ply-exporter.js?v=2';
+import { ExportPanel } from './export-panel.js?v=2';
+import { DiagnosticsPanel } from './diagnostics-panel.js?v=1';
+import { TimelineValidator, fromMergeEvents } from './timeline-validator.js?v=4';
+import { ValidationPanel } from './validation-panel.js?v=4';
+import { LoadingPreview } from './loading-preview.js?v=1';
+import { setupViewResources, disposeViewResources } from './view-resources.js?v=4';
 
 class HierarchyApp {
     constructor() {
         this.initThree();
-        this.initEngines();
         this.initUI();
     }
 
@@ -56,10 +72,6 @@ class HierarchyApp {
         });
     }
 
-    initEngines() {
-        this.dataLoader = new DataLoader();
-    }
-
     initUI() {
         this.ui = {
             loading: document.getElementById('loading'),
@@ -88,17 +100,33 @@ class HierarchyApp {
         });
     }
 
-    async start() {
+    /**
+     * @param {LocalFolderSource|null} source - Local results folder, or null to fetch data/
+     */
+    async start(source = null) {
         try {
+            // Dataset config (?dataset=) and, optionally, a local results folder
+            const dataset = await getDatasetFromUrl();
+            applyDatasetTitle(dataset);
+            this.dataLoader = new DataLoader(await getBackendFromUrl(dataset.backend), source, dataset);
+
             this.dataLoader.onProgress = (loaded, total) => {
                 this.ui.loadingText.textContent = `Loading Clusters... ${loaded}/${total}`;
             };
 
+            // Draw clusters as they stream in; the engines take over after load()
+            new LoadingPreview(this.worldGroup, this.camera, this.orbitControls).attach(this.dataLoader);
+            this.animate();
+
             const clusters = await this.dataLoader.load();
+
+            // Per-cluster load problems (missing files, HTTP/parse errors, empty clouds)
+            this.diagnosticsPanel = new DiagnosticsPanel(this.dataLoader.loadReport);
             
             if (clusters.size === 0) {
                 throw new Error("No clusters loaded. Check console/network.");
             }
+
         
             // Add all cluster groups to world
             for (const cluster of clusters.values()) {
@@ -116,13 +144,20 @@ class HierarchyApp {
             this.animationEngine = new HierarchyAnimationEngine(clusters, this.layoutEngine);
             this.events = this.animationEngine.initTimeline();
             this.currentEventIndex = 0;
+            // Cycles, missing inputs, folders shown twice and orphans, in the tree and in this view's events
+            this.validationPanel = new ValidationPanel(new TimelineValidator(clusters));
+            this.validationPanel.update(fromMergeEvents(this.events));
+
+            // Which leaf cluster each merged point came from (traced on first use)
+            this.provenance = new MergeProvenance(this.dataLoader);
 
             // 4. Interaction
             this.interactionEngine = new InteractionEngine(
                 this.camera, 
                 this.renderer.domElement, 
                 clusters, 
-                this.orbitControls
+                this.orbitControls,
+                this.provenance
             );
 
             // 5. Camera Engine
@@ -134,11 +169,26 @@ class HierarchyApp {
             }
             this.updateUI();
 
+            // Color modes (RGB / cluster / depth / branch / attribute / source leaf) + legend
+            this.colorEngine = new ColorEngine(clusters, this.provenance);
+            this.colorPanel = new ColorPanel(this.colorEngine);
+
+            // Parsed clusters cached in IndexedDB, with an invalidate control
+            this.cachePanel = new CachePanel(this.dataLoader.cache);
+            // Points dropped by the outlier filter: layer toggle and thresholds
+            this.outlierPanel = new OutlierPanel(this.dataLoader);
+            // GPU memory accounting and level of detail (resources, memoryPanel, lodEngine)
+            setupViewResources(this, clusters);
+            // ba_input -> ba_output motion and ba_gt overlay for a picked leaf cluster
+            this.baLayers = new BundleAdjustmentLayers(this.dataLoader, this.resources);
+            this.baPanel = new BundleAdjustmentPanel(this.baLayers);
+            // PLY export of the clusters shown at the current event
+            this.exportPanel = new ExportPanel(() => ({
+                clusters: PlyExporter.visibleInScene(clusters),
+                eventIndex: this.currentEventIndex
+            }), { name: this.dataLoader.dataset.id });
+
             this.ui.loading.style.display = 'none';
-            
-            // Start render loop
-            this.animate();
-            
         } catch (err) {
             console.error("App Start Error:", err);
             this.ui.loadingText.innerHTML = `<span style="color: #ff4444">Error starting app:<br>${err.message}</span>`;
@@ -249,7 +299,7 @@ class HierarchyApp {
     }
 
     animate() {
-        requestAnimationFrame(() => this.animate());
+        this.frame = requestAnimationFrame(() => this.animate());
         
         const time = performance.now() / 1000;
         const dt = 0.016;
@@ -271,13 +321,30 @@ class HierarchyApp {
         if (this.animationEngine) this.animationEngine.update(dt);
         if (this.cameraEngine) this.cameraEngine.update(time);
         
+        if (this.lodEngine) {
+            this.lodEngine.update(this.isPlaying || this.animationEngine?.activeAnimations?.length > 0);
+        }
+        if (this.resources) this.resources.update();
         this.orbitControls.update();
         this.renderer.render(this.scene, this.camera);
     }
+
+    /**
+     * Tear the view down: stop the frame loop and free everything on the GPU
+     */
+    dispose() {
+        cancelAnimationFrame(this.frame);
+        if (this.baLayers) this.baLayers.dispose();
+        disposeViewResources(this);
+        this.renderer.dispose();
+    }
 }
 
 // Start App
 const app = new HierarchyApp();
 window.app = app;
-app.start();
+// Closing the page (not just parking it in the back/forward cache) frees the view
+window.addEventListener('pagehide', (event) => { if (!event.persisted) app.dispose(); });
+// ?source=local waits for a folder from disk; otherwise this resolves to null at once
+LocalFolderPicker.requestIfAsked().then(source => app.start(source));
 
@@ -1,15 +1,31 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { DataLoader } from './data-loader.js?v=405';
-import { LayoutEngine } from './layout-engine.js?v=305';
-import { InteractionEngine } from './interaction-engine.js?v=305';
-import { AnimationEngine } from './animation-engine.js?v=305';
+import { DataLoader } from './data-loader.js?v=420';
+import { getBackendFromUrl } from './pipeline-backends.js?v=4';
+import { getDatasetFromUrl, applyDatasetTitle } from './dataset-config.js?v=8';
+import { LocalFolderPicker } from './local-folder-picker.js?v=1';
+import { LayoutEngine } from './layout-engine.js?v=308';
+import { InteractionEngine } from './interaction-engine.js?v=307';
+import { AnimationEngine } from './animation-engine.js?v=308';
 import { CameraEngine } from './camera-engine.js?v=305';
+import { ColorEngine } from './color-engine.js?v=3';
+import { MergeProvenance } from './merge-provenance.js?v=1';
+import { ColorPanel } from './color-panel.js?v=2';
+import { CachePanel } from './cache-panel.js?v=1';
+import { OutlierPanel } from './outlier-panel.js?v=6';
+import { BundleAdjustmentLayers } from './bundle-adjustment-layers.js?v=4';
+import { BundleAdjustmentPanel } from './bundle-adjustment-panel.js?v=3';
+import { PlyExporter } from './ply-exporter.js?v=2';
+import { ExportPanel } from './export-panel.js?v=2';
+import { DiagnosticsPanel } from './diagnostics-panel.js?v=1';
+import { TimelineValidator, fromMergeEvents } from './timeline-validator.js?v=4';
+import { ValidationPanel } from './validation-panel.js?v=4';
+import { LoadingPreview } from './loading-preview.js?v=1';
+import { setupViewResources, disposeViewResources } from './view-resources.js?v=4';
 
 class PuzzleApp {
     constructor() {
         this.initThree();
-        this.initEngines();
         this.initUI();
     }
 
@@ -46,9 +62,8 @@ class PuzzleApp {
         this.scene.add(dirLight);
 
         // World Group
+        // The loader already turns the scene upright (estimated orientation)
         this.worldGroup = new THREE.Group();
-        // Rotate 180 degrees around X-axis to flip right-side up
-        this.worldGroup.rotation.x = Math.PI;
         this.scene.add(this.worldGroup);
 
         // Handle Resize
@@ -59,10 +74,6 @@ class PuzzleApp {
         });
     }
 
-    initEngines() {
-        this.dataLoader = new DataLoader();
-    }
-
     initUI() {
         this.ui = {
             loading: document.getElementById('loading'),
@@ -91,17 +102,33 @@ class PuzzleApp {
         });
     }
 
-    async start() {
+    /**
+     * @param {LocalFolderSource|null} source - Local results folder, or null to fetch data/
+     */
+    async start(source = null) {
         try {
+            // Dataset config (?dataset=) and, optionally, a local results folder
+            const dataset = await getDatasetFromUrl();
+            applyDatasetTitle(dataset);
+            this.dataLoader = new DataLoader(await getBackendFromUrl(dataset.backend), source, dataset);
+
             this.dataLoader.onProgress = (loaded, total) => {
                 this.ui.loadingText.textContent = `Loading Clusters... ${loaded}/${total}`;
             };
 
+            // Draw clusters as they stream in; the engines take over after load()
+            new LoadingPreview(this.worldGroup, this.camera, this.orbitControls).attach(this.dataLoader);
+            this.animate();
+
             const clusters = await this.dataLoader.load();
+
+            // Per-cluster load problems (missing files, HTTP/parse errors, empty clouds)
+            this.diagnosticsPanel = new DiagnosticsPanel(this.dataLoader.loadReport, { theme: 'dark' });
             
             if (clusters.size === 0) {
                 throw new Error("No clusters loaded. Check console/network.");
             }
+
         
             // Add all cluster groups to world
             for (const cluster of clusters.values()) {
@@ -119,13 +146,20 @@ class PuzzleApp {
             this.animationEngine = new AnimationEngine(clusters, this.layoutEngine);
             this.events = this.animationEngine.initTimeline();
             this.currentEventIndex = 0;
+            // Cycles, missing inputs, folders shown twice and orphans, in the tree and in this view's events
+            this.validationPanel = new ValidationPanel(new TimelineValidator(clusters), { theme: 'dark' });
+            this.validationPanel.update(fromMergeEvents(this.events));
+
+            // Which leaf cluster each merged point came from (traced on first use)
+            this.provenance = new MergeProvenance(this.dataLoader);
 
             // 4. Interaction
             this.interactionEngine = new InteractionEngine(
                 this.camera, 
                 this.renderer.domElement, 
                 clusters, 
-                this.orbitControls
+                this.orbitControls,
+                this.provenance
             );
 
             // 5. Camera Engine
@@ -137,11 +171,26 @@ class PuzzleApp {
             }
             this.updateUI();
 
+            // Color modes (RGB / cluster / depth / branch / attribute / source leaf) + legend
+            this.colorEngine = new ColorEngine(clusters, this.provenance);
+            this.colorPanel = new ColorPanel(this.colorEngine, { theme: 'dark' });
+
+            // Parsed clusters cached in IndexedDB, with an invalidate control
+            this.cachePanel = new CachePanel(this.dataLoader.cache, { theme: 'dark' });
+            // Points dropped by the outlier filter: layer toggle and thresholds
+            this.outlierPanel = new OutlierPanel(this.dataLoader, { theme: 'dark' });
+            // GPU memory accounting and level of detail (resources, memoryPanel, lodEngine)
+            setupViewResources(this, clusters, { theme: 'dark' });
+            // ba_input -> ba_output motion and ba_gt overlay for a picked leaf cluster
+            this.baLayers = new BundleAdjustmentLayers(this.dataLoader, this.resources);
+            this.baPanel = new BundleAdjustmentPanel(this.baLayers, { theme: 'dark' });
+            // PLY export of the clusters shown at the current event
+            this.exportPanel = new ExportPanel(() => ({
+                clusters: PlyExporter.visibleInScene(clusters),
+                eventIndex: this.currentEventIndex
+            }), { name: this.dataLoader.dataset.id, theme: 'dark' });
+
             this.ui.loading.style.display = 'none';
-            
-            // Start render loop
-            this.animate();
-            
         } catch (err) {
             console.error("App Start Error:", err);
             this.ui.loadingText.innerHTML = `<span style="color: #ff6b6b">Error starting app:<br>${err.message}</span>`;
@@ -151,7 +200,7 @@ class PuzzleApp {
     fitCameraToBuilding() {
         // For puzzle mode, fit camera to show the final building size
         // ZOOM IN VERY CLOSE for better visibility
-        const merged = this.dataLoader.clusters.get('merged');
+        const merged = this.dataLoader.root;
         if (!merged || !merged.pointCloud) {
             console.warn("No merged cluster for camera fit");
             return;
@@ -239,7 +288,7 @@ class PuzzleApp {
         if (this.currentEventIndex === this.events.length - 1) {
             console.log("Reached final merge! Zooming in VERY CLOSE...");
             
-            const merged = this.dataLoader.clusters.get('merged');
+            const merged = this.dataLoader.root;
             if (merged && merged.pointCloud && merged.pointCloud.geometry) {
                 const fov = this.camera.fov;
                 const geom = merged.pointCloud.geometry;
@@ -316,7 +365,7 @@ class PuzzleApp {
     }
 
     animate() {
-        requestAnimationFrame(() => this.animate());
+        this.frame = requestAnimationFrame(() => this.animate());
         
         const time = performance.now() / 1000;
         const dt = 0.016;
@@ -338,13 +387,30 @@ class PuzzleApp {
         if (this.animationEngine) this.animationEngine.update(dt);
         if (this.cameraEngine) this.cameraEngine.update(time);
         
+        if (this.lodEngine) {
+            this.lodEngine.update(this.isPlaying || this.animationEngine?.activeAnimations?.length > 0);
+        }
+        if (this.resources) this.resources.update();
         this.orbitControls.update();
         this.renderer.render(this.scene, this.camera);
     }
+
+    /**
+     * Tear the view down: stop the frame loop and free everything on the GPU
+     */
+    dispose() {
+        cancelAnimationFrame(this.frame);
+        if (this.baLayers) this.baLayers.dispose();
+        disposeViewResources(this);
+        this.renderer.dispose();
+    }
 }
 
 // Start App
 const app = new PuzzleApp();
 window.app = app;
-app.start();
+// Closing the page (not just parking it in the back/forward cache) frees the view
+window.addEventListener('pagehide', (event) => { if (!event.persisted) app.dispose(); });
+// ?source=local waits for a folder from disk; otherwise this resolves to null at once
+LocalFolderPicker.requestIfAsked({ theme: 'dark' }).then(source => app.start(source));
 
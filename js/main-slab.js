@@ -1,10 +1,27 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { DataLoader } from './data-loader.js?v=405';
-import { SlabLayoutEngine } from './layout-engine-slab.js?v=4';
-import { InteractionEngine } from './interaction-engine.js?v=305';
-import { SlabAnimationEngine } from './animation-engine-slab.js?v=7';
+import { DataLoader } from './data-loader.js?v=420';
+import { getBackendFromUrl } from './pipeline-backends.js?v=4';
+import { getDatasetFromUrl, applyDatasetTitle } from './dataset-config.js?v=8';
+import { LocalFolderPicker } from './local-folder-picker.js?v=1';
+import { SlabLayoutEngine } from './layout-engine-slab.js?v=8';
+import { InteractionEngine } from './interaction-engine.js?v=307';
+import { SlabAnimationEngine } from './animation-engine-slab.js?v=9';
 import { CameraEngine } from './camera-engine.js?v=305';
+import { ColorEngine } from './color-engine.js?v=3';
+import { MergeProvenance } from './merge-provenance.js?v=1';
+import { ColorPanel } from './color-panel.js?v=2';
+import { CachePanel } from './cache-panel.js?v=1';
+import { OutlierPanel } from './outlier-panel.js?v=6';
+import { BundleAdjustmentLayers } from './bundle-adjustment-layers.js?v=4';
+import { BundleAdjustmentPanel } from './bundle-adjustment-panel.js?v=3';
+import { PlyExporter } from './ply-exporter.js?v=2';
+import { ExportPanel } from './export-panel.js?v=3';
+import { DiagnosticsPanel } from './diagnostics-panel.js?v=1';
+import { TimelineValidator } from './timeline-validator.js?v=4';
+import { ValidationPanel } from './validation-panel.js?v=4';
+import { LoadingPreview } from './loading-preview.js?v=1';
+import { setupViewResources, disposeViewResources } from './view-resources.js?v=4';
 
 /**
  * Slab View Application
@@ -14,7 +31,6 @@ import { CameraEngine } from './camera-engine.js?v=305';
 class SlabApp {
     constructor() {
         this.initThree();
-        this.initEngines();
         this.initUI();
     }
 
@@ -65,10 +81,6 @@ class SlabApp {
         });
     }
 
-    initEngines() {
-        this.dataLoader = new DataLoader();
-    }
-
     initUI() {
         this.ui = {
             loading: document.getElementById('loading'),
@@ -97,17 +109,33 @@ class SlabApp {
         });
     }
 
-    async start() {
+    /**
+     * @param {LocalFolderSource|null} source - Local results folder, or null to fetch data/
+     */
+    async start(source = null) {
         try {
+            // Dataset config (?dataset=) and, optionally, a local results folder
+            const dataset = await getDatasetFromUrl();
+            applyDatasetTitle(dataset);
+            this.dataLoader = new DataLoader(await getBackendFromUrl(dataset.backend), source, dataset);
+
             this.dataLoader.onProgress = (loaded, total) => {
                 this.ui.loadingText.textContent = `Loading Clusters... ${loaded}/${total}`;
             };
 
+            // Draw clusters as they stream in; the engines take over after load()
+            new LoadingPreview(this.worldGroup, this.camera, this.orbitControls).attach(this.dataLoader);
+            this.animate();
+
             const clusters = await this.dataLoader.load();
+
+            // Per-cluster load problems (missing files, HTTP/parse errors, empty clouds)
+            this.diagnosticsPanel = new DiagnosticsPanel(this.dataLoader.loadReport);
             
             if (clusters.size === 0) {
                 throw new Error("No clusters loaded. Check console/network.");
             }
+
         
             // Add all cluster groups to world
             for (const cluster of clusters.values()) {
@@ -131,13 +159,20 @@ class SlabApp {
             this.animationEngine.setCamera(this.camera, this.orbitControls, this.cameraDistance);
             this.events = this.animationEngine.initTimeline();
             this.currentEventIndex = 0;
+            // Cycles, missing inputs, folders shown twice and orphans, in the tree and in this view's events
+            this.validationPanel = new ValidationPanel(new TimelineValidator(clusters));
+            this.validationPanel.update(this.animationEngine.getClusterEvents());
+
+            // Which leaf cluster each merged point came from (traced on first use)
+            this.provenance = new MergeProvenance(this.dataLoader);
 
             // 4. Interaction
             this.interactionEngine = new InteractionEngine(
                 this.camera, 
                 this.renderer.domElement, 
                 clusters, 
-                this.orbitControls
+                this.orbitControls,
+                this.provenance
             );
 
             // 5. Camera Engine
@@ -149,11 +184,30 @@ class SlabApp {
             }
             this.updateUI();
 
+            // Color modes (RGB / cluster / depth / branch / attribute / source leaf) + legend
+            this.colorEngine = new ColorEngine(clusters, this.provenance);
+            this.colorPanel = new ColorPanel(this.colorEngine);
+
+            // Parsed clusters cached in IndexedDB, with an invalidate control
+            this.cachePanel = new CachePanel(this.dataLoader.cache);
+            // Points dropped by the outlier filter: layer toggle and thresholds
+            this.outlierPanel = new OutlierPanel(this.dataLoader);
+            // GPU memory accounting and level of detail (resources, memoryPanel, lodEngine)
+            setupViewResources(this, clusters);
+            // ba_input -> ba_output motion and ba_gt overlay for a picked leaf cluster
+            this.baLayers = new BundleAdjustmentLayers(this.dataLoader, this.resources);
+            this.baPanel = new BundleAdjustmentPanel(this.baLayers);
+            // PLY export of the clusters shown at the current event
+            this.exportPanel = new ExportPanel(() => ({
+                clusters: PlyExporter.visibleInScene(clusters),
+                eventIndex: this.currentEventIndex
+            }), {
+                name: this.dataLoader.dataset.id,
+                // The whole merge sequence as an animated GLB
+                animation: { clusters, engine: this.animationEngine, eventCount: this.events.length }
+            });
+
             this.ui.loading.style.display = 'none';
-            
-            // Start render loop
-            this.animate();
-            
         } catch (err) {
             console.error("App Start Error:", err);
             this.ui.loadingText.innerHTML = `<span style="color: #ff4444">Error starting app:<br>${err.message}</span>`;
@@ -266,7 +320,7 @@ class SlabApp {
     }
 
     animate() {
-        requestAnimationFrame(() => this.animate());
+        this.frame = requestAnimationFrame(() => this.animate());
         
         const time = performance.now() / 1000;
         const dt = 0.016;
@@ -289,13 +343,30 @@ class SlabApp {
         if (this.animationEngine) this.animationEngine.update(dt);
         if (this.cameraEngine) this.cameraEngine.update(time);
         
+        if (this.lodEngine) {
+            this.lodEngine.update(this.isPlaying || this.animationEngine?.activeAnimations?.length > 0);
+        }
+        if (this.resources) this.resources.update();
         this.orbitControls.update();
         this.renderer.render(this.scene, this.camera);
     }
+
+    /**
+     * Tear the view down: stop the frame loop and free everything on the GPU
+     */
+    dispose() {
+        cancelAnimationFrame(this.frame);
+        if (this.baLayers) this.baLayers.dispose();
+        disposeViewResources(this);
+        this.renderer.dispose();
+    }
 }
 
 // Start App
 const app = new SlabApp();
 window.app = app;
-app.start();
+// Closing the page (not just parking it in the back/forward cache) frees the view
+window.addEventListener('pagehide', (event) => { if (!event.persisted) app.dispose(); });
+// ?source=local waits for a folder from disk; otherwise this resolves to null at once
+LocalFolderPicker.requestIfAsked().then(source => app.start(source));
 
@@ -1,9 +1,28 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { DataLoader } from './data-loader.js?v=412';
-import { EventTimelineEngine } from './event-timeline-engine.js?v=2';
-import { TimelineAnimationEngine } from './animation-engine-timeline.js?v=12';
-import { InteractionEngine } from './interaction-engine.js?v=305';
+import { DataLoader } from './data-loader.js?v=427';
+import { getBackendFromUrl } from './pipeline-backends.js?v=4';
+import { getDatasetFromUrl, applyDatasetTitle } from './dataset-config.js?v=8';
+import { LocalFolderPicker } from './local-folder-picker.js?v=1';
+import { EventTimelineEngine, EVENT_ORDERS, getEventOrderFromUrl } from './event-timeline-engine.js?v=13';
+import { TimelineAnimationEngine } from './animation-engine-timeline.js?v=17';
+import { InteractionEngine } from './interaction-engine.js?v=307';
+import { ColorEngine } from './color-engine.js?v=3';
+import { MergeProvenance } from './merge-provenance.js?v=1';
+import { ColorPanel } from './color-panel.js?v=2';
+import { CachePanel } from './cache-panel.js?v=1';
+import { OutlierPanel } from './outlier-panel.js?v=6';
+import { BundleAdjustmentLayers } from './bundle-adjustment-layers.js?v=4';
+import { BundleAdjustmentPanel } from './bundle-adjustment-panel.js?v=3';
+import { PlyExporter } from './ply-exporter.js?v=2';
+import { ExportPanel } from './export-panel.js?v=2';
+import { TimelineFile } from './timeline-file.js?v=2';
+import { TimelinePanel } from './timeline-panel.js?v=2';
+import { DiagnosticsPanel } from './diagnostics-panel.js?v=1';
+import { TimelineValidator } from './timeline-validator.js?v=4';
+import { ValidationPanel } from './validation-panel.js?v=4';
+import { LoadingPreview } from './loading-preview.js?v=1';
+import { setupViewResources, disposeViewResources } from './view-resources.js?v=4';
 
 /**
  * Timeline View Application
@@ -74,6 +93,8 @@ class TimelineApp {
             nextBtn: document.getElementById('btn-next'),
             playBtn: document.getElementById('btn-play'),
             resetBtn: document.getElementById('btn-reset'),
+            wavesBtn: document.getElementById('btn-waves'),
+            orderSelect: document.getElementById('order-select'),
             track: document.getElementById('timeline-track'),
             phaseIndicator: document.getElementById('phase-indicator')
         };
@@ -81,6 +102,13 @@ class TimelineApp {
         this.ui.prevBtn.addEventListener('click', () => this.step(-1));
         this.ui.nextBtn.addEventListener('click', () => this.step(1));
         this.ui.resetBtn.addEventListener('click', () => this.reset());
+        
+        // Waves: step through concurrent events together (?waves to start with them on)
+        this.useWaves = new URLSearchParams(window.location.search).has('waves');
+        this.ui.wavesBtn.addEventListener('click', () => this.setWaves(!this.useWaves));
+        this.setWaves(this.useWaves);
+        // Event order (?order=, ?seed=); the options are filled in once the run log is known
+        this.ui.orderSelect.addEventListener('change', () => this.setOrder(this.ui.orderSelect.value));
         this.ui.playBtn.addEventListener('click', () => this.togglePlay());
         
         this.ui.track.addEventListener('click', (e) => {
@@ -92,15 +120,28 @@ class TimelineApp {
         });
     }
 
-    async start() {
+    /**
+     * @param {LocalFolderSource|null} source - Local results folder, or null to fetch data/
+     */
+    async start(source = null) {
         try {
-            this.dataLoader = new DataLoader();
+            // Dataset config (?dataset=) and, optionally, a local results folder
+            const dataset = await getDatasetFromUrl();
+            applyDatasetTitle(dataset);
+            this.dataLoader = new DataLoader(await getBackendFromUrl(dataset.backend), source, dataset);
             
             this.dataLoader.onProgress = (loaded, total) => {
                 this.ui.loadingText.textContent = `Loading Clusters... ${loaded}/${total}`;
             };
 
+            // Draw clusters as they stream in; the engines take over after load()
+            new LoadingPreview(this.worldGroup, this.camera, this.orbitControls).attach(this.dataLoader);
+            this.animate();
+
             const clusters = await this.dataLoader.load();
+
+            // Per-cluster load problems (missing files, HTTP/parse errors, empty clouds)
+            this.diagnosticsPanel = new DiagnosticsPanel(this.dataLoader.loadReport);
             
             if (clusters.size === 0) {
                 throw new Error("No clusters loaded. Check console/network.");
@@ -116,9 +157,16 @@ class TimelineApp {
             }
 
             // 1. Event Timeline Engine - generates 38 events
-            this.eventEngine = new EventTimelineEngine(clusters);
-            this.events = this.eventEngine.buildEvents();
+            this.eventEngine = new EventTimelineEngine(clusters, this.dataLoader.runLog, getEventOrderFromUrl());
+            // A timeline file from the dataset config (?timeline=) replaces the built events
+            this.events = this.dataLoader.timeline
+                ? this.eventEngine.loadTimeline(this.dataLoader.timeline)
+                : this.eventEngine.buildEvents();
             this.eventEngine.printEvents();
+            this.fillOrderSelect();
+            // Cycles, missing inputs, folders shown twice and orphans, before anything plays
+            this.validationPanel = new ValidationPanel(new TimelineValidator(clusters));
+            this.validationPanel.update(this.events);
             
             // 2. Animation Engine - handles 4 animation types
             this.animationEngine = new TimelineAnimationEngine(clusters, this.eventEngine);
@@ -128,23 +176,48 @@ class TimelineApp {
             this.fitCamera();
             this.animationEngine.setCamera(this.camera, this.orbitControls, this.cameraDistance);
 
+            // Which leaf cluster each merged point came from (traced on first use)
+            this.provenance = new MergeProvenance(this.dataLoader);
+
             // 4. Interaction
             this.interactionEngine = new InteractionEngine(
                 this.camera, 
                 this.renderer.domElement, 
                 clusters, 
-                this.orbitControls
+                this.orbitControls,
+                this.provenance
             );
 
             // Initial state - before any events
             this.currentEventIndex = -1;
             this.updateUI();
 
+            // Color modes (RGB / cluster / depth / branch / attribute / source leaf) + legend
+            this.colorEngine = new ColorEngine(clusters, this.provenance);
+            this.colorPanel = new ColorPanel(this.colorEngine);
+
+            // Parsed clusters cached in IndexedDB, with an invalidate control
+            this.cachePanel = new CachePanel(this.dataLoader.cache);
+            // Points dropped by the outlier filter: layer toggle and thresholds
+            this.outlierPanel = new OutlierPanel(this.dataLoader);
+            // GPU memory accounting and level of detail (resources, memoryPanel, lodEngine)
+            setupViewResources(this, clusters);
+            // ba_input -> ba_output motion and ba_gt overlay for a picked leaf cluster
+            this.baLayers = new BundleAdjustmentLayers(this.dataLoader, this.resources);
+            this.baPanel = new BundleAdjustmentPanel(this.baLayers);
+            // PLY export of what the event timeline shows at the current event
+            this.exportPanel = new ExportPanel(() => ({
+                clusters: PlyExporter.visibleAfterEvent(this.eventEngine, this.currentEventIndex, clusters),
+                eventIndex: this.currentEventIndex
+            }), { name: this.dataLoader.dataset.id });
+            // The event list as JSON/Markdown/CSV, and JSON timelines to play instead
+            this.timelinePanel = new TimelinePanel(
+                () => TimelineFile.fromEngine(this.eventEngine, (index) => this.getEventDuration(index), { dataset: this.dataLoader.dataset.id }),
+                (timeline) => this.importTimeline(timeline),
+                { name: this.dataLoader.dataset.id }
+            );
+
             this.ui.loading.style.display = 'none';
-            
-            // Start render loop
-            this.animate();
-            
         } catch (err) {
             console.error("App Start Error:", err);
             this.ui.loadingText.innerHTML = `<span style="color: #ff4444">Error starting app:<br>${err.message}</span>`;
@@ -166,12 +239,75 @@ class TimelineApp {
         console.log(`Camera positioned at (0, 0, ${this.cameraDistance}), looking at center`);
     }
 
+    fillOrderSelect() {
+        this.ui.orderSelect.innerHTML = '';
+        for (const [name, order] of Object.entries(EVENT_ORDERS)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = order.label;
+            option.title = order.description;
+            // Real timestamps need a run log
+            option.disabled = name === 'time' && !this.eventEngine.hasTimes();
+            this.ui.orderSelect.appendChild(option);
+        }
+        // An imported timeline stays selectable after switching away from it
+        if (this.eventEngine.timeline) {
+            const option = document.createElement('option');
+            option.value = 'file';
+            option.textContent = `File: ${this.eventEngine.timeline.source.split('/').pop()}`;
+            this.ui.orderSelect.appendChild(option);
+        }
+        this.ui.orderSelect.value = this.eventEngine.order;
+    }
+
+    /**
+     * Play the events of an imported timeline file
+     * @returns {number} Events in use (those for loaded folders)
+     */
+    importTimeline(timeline) {
+        this.events = this.eventEngine.loadTimeline(timeline);
+        this.eventEngine.printEvents();
+        this.fillOrderSelect();
+        this.validationPanel.update(this.events);
+        this.reset();
+        return this.events.length;
+    }
+
+    setOrder(name) {
+        this.events = this.eventEngine.setOrder(name);
+        this.eventEngine.printEvents();
+        this.validationPanel.update(this.events);
+        // Keep it in the URL, so a reload or another timeline view with the
+        // same query shows the same events (an imported file is not in the URL)
+        if (name !== 'file') {
+            const url = new URL(window.location.href);
+            url.searchParams.set('order', name);
+            window.history.replaceState(null, '', url);
+        }
+        this.reset();
+    }
+
+    setWaves(enabled) {
+        this.useWaves = enabled;
+        this.ui.wavesBtn.textContent = enabled ? 'Waves: on' : 'Waves: off';
+        this.ui.wavesBtn.classList.toggle('primary', enabled);
+        if (this.events) this.updateUI();
+    }
+
     step(direction) {
-        const newIndex = this.currentEventIndex + direction;
+        // A wave step plays every event of the next wave at once
+        const newIndex = this.useWaves
+            ? this.eventEngine.getWaveStepTarget(this.currentEventIndex, direction)
+            : this.currentEventIndex + direction;
         
         if (direction > 0 && newIndex < this.events.length) {
+            const previousIndex = this.currentEventIndex;
             this.currentEventIndex = newIndex;
-            this.animationEngine.playEvent(this.currentEventIndex, 1);
+            if (this.useWaves) {
+                this.animationEngine.wavePlayer.play(this.eventEngine.getWaveIndex(newIndex), previousIndex);
+            } else {
+                this.animationEngine.playEvent(this.currentEventIndex, 1);
+            }
         } else if (direction < 0 && newIndex >= -1) {
             this.currentEventIndex = newIndex;
             if (newIndex >= 0) {
@@ -233,7 +369,11 @@ class TimelineApp {
             this.ui.eventLabel.textContent = 'Ready to begin - Press Next or Play';
         } else {
             const event = this.events[this.currentEventIndex];
-            this.ui.eventLabel.textContent = `Event ${event.number}/${count}: ${event.description}`;
+            const waveIndex = this.eventEngine.getWaveIndex(this.currentEventIndex);
+            const wave = this.eventEngine.getWave(waveIndex);
+            this.ui.eventLabel.textContent = this.useWaves
+                ? `Wave ${wave.number}/${this.eventEngine.waves.length}: ${wave.description}${this.eventEngine.formatTime(this.events[wave.first])}`
+                : `Event ${event.number}/${count}: ${event.description}${this.eventEngine.formatTime(event)}${event.caption ? ` - ${event.caption}` : ''}`;
         }
         
         // Phase indicator
@@ -276,8 +416,20 @@ class TimelineApp {
         this.ui.stats.textContent = `Clusters: ${visibleClusters} | Points: ${visiblePoints.toLocaleString()}`;
     }
 
+    /**
+     * Seconds autoplay stays on an event (the duration in exported timelines)
+     */
+    getEventDuration(index) {
+        // Slower pace for timeline view to see each event clearly
+        const type = this.events[index]?.type ?? 'fade_in';
+        const pace = type === 'fade_in' ? 0.8 : 1.5; // Faster for ba_output, slower for merges
+        // Spread by the real gaps between events when there is a run log;
+        // imported events bring their own
+        return this.eventEngine.getStepDelay(index, pace);
+    }
+
     animate() {
-        requestAnimationFrame(() => this.animate());
+        this.frame = requestAnimationFrame(() => this.animate());
         
         const time = performance.now() / 1000;
         const dt = 0.016;
@@ -286,8 +438,7 @@ class TimelineApp {
         if (this.isPlaying) {
             if (!this.lastStepTime) this.lastStepTime = time;
             
-            // Slower pace for timeline view to see each event clearly
-            const stepDelay = this.currentEventIndex < 19 ? 0.8 : 1.5; // Faster for ba_output, slower for merges
+            const stepDelay = this.getEventDuration(this.currentEventIndex);
             
             if (time - this.lastStepTime > stepDelay) {
                 if (this.currentEventIndex < this.events.length - 1) {
@@ -303,13 +454,30 @@ class TimelineApp {
 
         if (this.animationEngine) this.animationEngine.update(dt);
         
+        if (this.lodEngine) {
+            this.lodEngine.update(this.isPlaying || this.animationEngine?.activeAnimations?.length > 0);
+        }
+        if (this.resources) this.resources.update();
         this.orbitControls.update();
         this.renderer.render(this.scene, this.camera);
     }
+
+    /**
+     * Tear the view down: stop the frame loop and free everything on the GPU
+     */
+    dispose() {
+        cancelAnimationFrame(this.frame);
+        if (this.baLayers) this.baLayers.dispose();
+        disposeViewResources(this);
+        this.renderer.dispose();
+    }
 }
 
 // Start App
 const app = new TimelineApp();
 window.app = app;
-app.start();
+// Closing the page (not just parking it in the back/forward cache) frees the view
+window.addEventListener('pagehide', (event) => { if (!event.persisted) app.dispose(); });
+// ?source=local waits for a folder from disk; otherwise this resolves to null at once
+LocalFolderPicker.requestIfAsked().then(source => app.start(source));
 
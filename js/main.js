@@ -1,15 +1,15 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { DataLoader } from './data-loader.js?v=405';
-import { LayoutEngine } from './layout-engine.js?v=302';
+import { DataLoader } from './data-loader.js?v=408';
+import { getBackendFromUrl } from './pipeline-backends.js?v=4';
+import { LayoutEngine } from './layout-engine.js?v=304';
 import { InteractionEngine } from './interaction-engine.js?v=302';
-import { AnimationEngine } from './animation-engine.js?v=302';
+import { AnimationEngine } from './animation-engine.js?v=304';
 import { CameraEngine } from './camera-engine.js?v=302';
 
 class App {
     constructor() {
         this.initThree();
-        this.initEngines();
         this.initUI();
     }
 
@@ -62,10 +62,6 @@ class App {
         });
     }
 
-    initEngines() {
-        this.dataLoader = new DataLoader();
-    }
-
     initUI() {
         this.ui = {
             loading: document.getElementById('loading'),
@@ -96,6 +92,8 @@ class App {
 
     async start() {
         try {
+        // The backend descriptors are JSON files, fetched before the loader can use them
+        this.dataLoader = new DataLoader(await getBackendFromUrl());
         this.dataLoader.onProgress = (loaded, total) => {
             this.ui.loadingText.textContent = `Loading Clusters... ${loaded}/${total}`;
         };
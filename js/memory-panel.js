@@ -0,0 +1,82 @@
+import { OverlayPanel } from './overlay-panel.js?v=1';
+
+// Largest owners listed in the panel
+const TOP_OWNERS = 5;
+
+/**
+ * Memory Panel
+ * GPU memory estimates from the ResourceManager, refreshed every second:
+ * what is uploaded now, the largest clusters, and the renderer's own
+ * geometry/texture counts. Hidden clusters can be freed on demand or
+ * automatically.
+ */
+export class MemoryPanel {
+    /**
+     * @param {ResourceManager} resources
+     * @param {Object} options - OverlayPanel options (position, theme)
+     */
+    constructor(resources, options = {}) {
+        this.resources = resources;
+        this.panel = new OverlayPanel('GPU memory', options);
+        this.panel.toggleCollapsed();
+
+        this.summary = document.createElement('div');
+        this.owners = document.createElement('div');
+        this.owners.style.cssText = 'margin: 6px 0; font-family: monospace; font-size: 11px; white-space: pre;';
+
+        this.freeButton = document.createElement('button');
+        this.freeButton.textContent = 'Free hidden clusters';
+        this.freeButton.title = 'Release the GPU buffers of clusters not on screen; they are uploaded again when shown';
+        this.freeButton.addEventListener('click', () => {
+            resources.unloadHidden();
+            this.update();
+        });
+
+        const autoToggle = document.createElement('label');
+        autoToggle.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 3px 0;';
+        const autoCheckbox = document.createElement('input');
+        autoCheckbox.type = 'checkbox';
+        autoCheckbox.checked = resources.autoUnload;
+        autoCheckbox.addEventListener('change', () => { resources.autoUnload = autoCheckbox.checked; });
+        autoToggle.append(autoCheckbox, `Free clusters hidden for ${resources.HIDDEN_DELAY}s`);
+
+        const content = document.createElement('div');
+        content.append(this.summary, this.owners, this.freeButton, autoToggle);
+        this.panel.setContent(content);
+
+        this.update();
+        this.interval = setInterval(() => this.update(), 1000);
+    }
+
+    update() {
+        const stats = this.resources.getStats();
+        // The total stays readable in the title while the panel is collapsed
+        this.panel.setTitle(`GPU memory · ${formatBytes(stats.residentBytes)}`);
+        if (this.panel.element.classList.contains('collapsed')) return;
+
+        const clusters = stats.owners.filter(entry => this.resources.clusters.has(entry.owner));
+        const resident = clusters.filter(entry => entry.resident).length;
+        const memory = this.resources.renderer.info.memory;
+        this.summary.innerHTML = [
+            `${formatBytes(stats.residentBytes)} uploaded of ${formatBytes(stats.totalBytes)}`,
+            `${resident}/${clusters.length} clusters on the GPU`,
+            `Renderer: ${memory.geometries} geometries, ${memory.textures} textures`
+        ].join('<br>');
+
+        this.owners.textContent = stats.owners.slice(0, TOP_OWNERS).map(entry => {
+            const state = entry.shown ? 'shown' : entry.resident ? 'hidden' : 'freed';
+            return `${formatBytes(entry.bytes).padStart(9)} ${state.padEnd(6)} ${entry.owner}`;
+        }).join('\n');
+    }
+
+    destroy() {
+        clearInterval(this.interval);
+        this.panel.destroy();
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
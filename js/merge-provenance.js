@@ -0,0 +1,228 @@
+import * as THREE from 'three';
+
+/**
+ * Merge Provenance
+ * Traces every point of a merged cluster back to the leaf cluster it came
+ * from. A merged cluster's points are matched to its children's points:
+ *   id      - a child point with the same POINT3D_ID at (nearly) the same position
+ *   nearest - otherwise the nearest child point within maxDistance
+ * Children are resolved first, so a point of the root merged cluster leads
+ * through every merge it took part in down to a leaf result.
+ *
+ * Computed lazily per cluster (a merge tree's worth of nearest-neighbour
+ * searches takes a moment) and stored on the cluster's geometry:
+ *   attributes.sourceLeaf - index into provenance.leaves, UNMATCHED if none
+ *   userData.provenance   - per point: child slot, index in that child, match method
+ *
+ * Positions are compared in the normalized scene frame every cluster's
+ * geometry shares, so layouts moving the cluster groups do not matter.
+ */
+
+export const UNMATCHED = 0xffff;
+
+export const MATCH_METHODS = { 1: 'id', 2: 'nearest' };
+
+// Match distance as a fraction of the scene size (TARGET_SIZE)
+const MAX_DISTANCE_RATIO = 0.005;
+
+export class MergeProvenance {
+    /**
+     * @param {DataLoader} dataLoader - Loaded; supplies the clusters and the scene size
+     */
+    constructor(dataLoader) {
+        this.clusters = dataLoader.clusters;
+        this.maxDistance = dataLoader.TARGET_SIZE * MAX_DISTANCE_RATIO;
+
+        this.leaves = Array.from(this.clusters.values())
+            .filter(cluster => cluster.role === 'leaf' && this.hasPoints(cluster))
+            .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+        this.leafIndex = new Map(this.leaves.map((cluster, i) => [cluster.path, i]));
+
+        this.stats = new Map(); // path -> { byId, nearest, unmatched }
+    }
+
+    hasPoints(cluster) {
+        return !!cluster.pointCloud && !cluster.placeholder;
+    }
+
+    /**
+     * Resolve every cluster (for coloring the whole scene)
+     */
+    computeAll() {
+        const start = performance.now();
+        for (const cluster of this.clusters.values()) this.compute(cluster);
+        console.log(`MergeProvenance: ${this.stats.size} merged clusters traced in ${(performance.now() - start).toFixed(0)}ms`);
+    }
+
+    /**
+     * Source leaf per point of a cluster, resolving its children first
+     * @returns {Uint16Array|null} Indices into this.leaves, null without points
+     */
+    compute(cluster) {
+        if (!this.hasPoints(cluster)) return null;
+        const geometry = cluster.pointCloud.geometry;
+        if (geometry.attributes.sourceLeaf) return geometry.attributes.sourceLeaf.array;
+
+        const count = geometry.attributes.position.count;
+        const sourceLeaf = new Uint16Array(count).fill(UNMATCHED);
+
+        if (cluster.role === 'leaf') {
+            sourceLeaf.fill(this.leafIndex.get(cluster.path));
+        } else {
+            const children = cluster.children.filter(child => this.hasPoints(child));
+            const childSources = children.map(child => this.compute(child));
+            const provenance = this.matchChildren(geometry, children);
+            for (let i = 0; i < count; i++) {
+                const slot = provenance.childSlot[i];
+                if (slot !== UNMATCHED) sourceLeaf[i] = childSources[slot][provenance.childIndex[i]];
+            }
+            geometry.userData.provenance = provenance;
+            this.stats.set(cluster.path, provenance.stats);
+        }
+
+        geometry.setAttribute('sourceLeaf', new THREE.BufferAttribute(sourceLeaf, 1));
+        return sourceLeaf;
+    }
+
+    /**
+     * Match each point of a merged geometry to a point of one of its children
+     * @returns {{children, childSlot: Uint16Array, childIndex: Uint32Array, method: Uint8Array}}
+     */
+    matchChildren(geometry, children) {
+        const positions = geometry.attributes.position.array;
+        const count = geometry.attributes.position.count;
+        const childSlot = new Uint16Array(count).fill(UNMATCHED);
+        const childIndex = new Uint32Array(count);
+        const method = new Uint8Array(count);
+        const stats = { byId: 0, nearest: 0, unmatched: 0 };
+
+        const maxDistanceSq = this.maxDistance * this.maxDistance;
+        const childPositions = children.map(child => child.pointCloud.geometry.attributes.position.array);
+        const distanceSq = (i, slot, j) => {
+            const p = childPositions[slot];
+            const dx = p[j * 3] - positions[i * 3];
+            const dy = p[j * 3 + 1] - positions[i * 3 + 1];
+            const dz = p[j * 3 + 2] - positions[i * 3 + 2];
+            return dx * dx + dy * dy + dz * dz;
+        };
+
+        // POINT3D_IDs are only trusted where the positions agree: a merge may renumber points
+        const byId = this.indexById(geometry, children);
+        const grid = this.buildGrid(childPositions);
+
+        for (let i = 0; i < count; i++) {
+            const candidate = byId?.get(geometry.userData.pointIds[i]);
+            if (candidate && distanceSq(i, candidate[0], candidate[1]) <= maxDistanceSq) {
+                childSlot[i] = candidate[0];
+                childIndex[i] = candidate[1];
+                method[i] = 1;
+                stats.byId++;
+                continue;
+            }
+
+            const nearest = this.findNearest(grid, positions, i, distanceSq, maxDistanceSq);
+            if (nearest) {
+                childSlot[i] = nearest[0];
+                childIndex[i] = nearest[1];
+                method[i] = 2;
+                stats.nearest++;
+            } else {
+                stats.unmatched++;
+            }
+        }
+
+        return { children, childSlot, childIndex, method, stats };
+    }
+
+    /**
+     * POINT3D_ID -> [child slot, index]; null unless the merged cluster and
+     * all its children carry ids
+     */
+    indexById(geometry, children) {
+        if (!geometry.userData.pointIds || children.some(child => !child.pointCloud.geometry.userData.pointIds)) {
+            return null;
+        }
+        const byId = new Map();
+        children.forEach((child, slot) => {
+            const ids = child.pointCloud.geometry.userData.pointIds;
+            for (let j = 0; j < ids.length; j++) {
+                if (!byId.has(ids[j])) byId.set(ids[j], [slot, j]);
+            }
+        });
+        return byId;
+    }
+
+    /**
+     * Children's points bucketed in cells of maxDistance, so a match is
+     * always in the 27 cells around a point
+     */
+    buildGrid(childPositions) {
+        const cells = new Map();
+        childPositions.forEach((positions, slot) => {
+            for (let j = 0; j < positions.length / 3; j++) {
+                const key = this.cellKey(positions, j);
+                let cell = cells.get(key);
+                if (!cell) cells.set(key, cell = []);
+                cell.push(slot, j);
+            }
+        });
+        return cells;
+    }
+
+    cellKey(positions, i, dx = 0, dy = 0, dz = 0) {
+        const x = Math.floor(positions[i * 3] / this.maxDistance) + dx;
+        const y = Math.floor(positions[i * 3 + 1] / this.maxDistance) + dy;
+        const z = Math.floor(positions[i * 3 + 2] / this.maxDistance) + dz;
+        return (x * 131072 + y) * 131072 + z;
+    }
+
+    findNearest(grid, positions, i, distanceSq, maxDistanceSq) {
+        let best = null;
+        let bestDistance = maxDistanceSq;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const cell = grid.get(this.cellKey(positions, i, dx, dy, dz));
+                    if (!cell) continue;
+                    for (let c = 0; c < cell.length; c += 2) {
+                        const d = distanceSq(i, cell[c], cell[c + 1]);
+                        if (d <= bestDistance) {
+                            bestDistance = d;
+                            best = [cell[c], cell[c + 1]];
+                        }
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * The clusters a point passed through, from the given cluster down to its leaf
+     * @returns {Array<{cluster, index, method}>} method: how the point was matched in that cluster
+     */
+    lineage(cluster, index) {
+        if (!this.compute(cluster)) return [];
+        const steps = [{ cluster, index, method: null }];
+        let current = cluster;
+        while (current.role !== 'leaf') {
+            const provenance = current.pointCloud.geometry.userData.provenance;
+            const slot = provenance?.childSlot[index];
+            if (slot === undefined || slot === UNMATCHED) break;
+            steps[steps.length - 1].method = MATCH_METHODS[provenance.method[index]];
+            current = provenance.children[slot];
+            index = provenance.childIndex[index];
+            steps.push({ cluster: current, index, method: null });
+        }
+        return steps;
+    }
+
+    /**
+     * The leaf cluster a point came from, or null if it could not be traced
+     */
+    sourceOf(cluster, index) {
+        const sourceLeaf = this.compute(cluster);
+        const leaf = sourceLeaf ? sourceLeaf[index] : UNMATCHED;
+        return leaf === UNMATCHED ? null : this.leaves[leaf];
+    }
+}
@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+
+/**
+ * Orientation Estimator
+ * Finds which way is up (and which side is the front) in a reconstruction,
+ * whose COLMAP frame is arbitrary: usually the first camera's frame.
+ *
+ * From cameras (images.txt): photos are mostly taken level, so the average
+ * camera "up" - each camera's -Y axis in world coordinates - is the scene's
+ * up. The side the cameras stand on is the front and is turned towards the
+ * default viewer on +Z.
+ *
+ * From points (no camera poses, or cameras that disagree): RANSAC looks for
+ * the ground, the largest plane with nearly all points on one side of it;
+ * up points from it into the scene. Without such a plane the weakest PCA
+ * axis is used. The front then faces along the widest horizontal axis.
+ */
+export class OrientationEstimator {
+    constructor() {
+        // Mean camera up must be at least this long (1 = all cameras agree)
+        this.MIN_CAMERA_AGREEMENT = 0.5;
+        // Cameras closer than this (fraction of the radius) to the center give no front
+        this.MIN_FRONT_OFFSET = 0.05;
+
+        this.RANSAC_ITERATIONS = 200;
+        // RANSAC samples are seeded, so the same points always land the same way up
+        this.RANSAC_SEED = 12345;
+        // Inlier distance as a fraction of the sample radius
+        this.PLANE_TOLERANCE = 0.02;
+        // Fraction of the points that must lie on one side of a ground plane
+        this.GROUND_SIDE = 0.9;
+        // Fraction of the points a ground plane must hold
+        this.MIN_GROUND_INLIERS = 0.05;
+    }
+
+    /**
+     * @param {Array<THREE.Vector3>} points - Sample of the points, original coordinates
+     * @param {Array} images - Parsed images (world-to-camera poses), may be empty
+     * @param {string} method - 'auto' | 'cameras' | 'points'
+     * @returns {{matrix: THREE.Matrix4, up: THREE.Vector3, front: THREE.Vector3, method: string}|null}
+     */
+    estimate(points, images = [], method = 'auto') {
+        if (points.length < 3 && images.length === 0) return null;
+        const pca = this.pca(points);
+
+        let up = null;
+        let used = 'points';
+        if (method !== 'points') {
+            up = this.cameraUp(images);
+            if (up) used = 'cameras';
+            else if (method === 'cameras') console.warn('OrientationEstimator: camera poses give no clear up, using the points');
+        }
+        if (!up) up = this.groundUp(points, pca);
+        if (!up) return null;
+
+        const front = (used === 'cameras' && this.cameraFront(images, pca, up)) || this.widestFront(pca, up);
+        return { matrix: this.buildMatrix(up, front), up, front, method: used };
+    }
+
+    /**
+     * Average camera up vector in world coordinates, or null if the
+     * cameras disagree too much (e.g. many portrait/rolled shots)
+     */
+    cameraUp(images) {
+        if (!images || images.length === 0) return null;
+
+        const sum = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const up = new THREE.Vector3();
+        for (const image of images) {
+            // World-to-camera rotation; camera -Y (image up) back into world coordinates
+            quaternion.set(image.qx, image.qy, image.qz, image.qw).normalize().invert();
+            sum.add(up.set(0, -1, 0).applyQuaternion(quaternion));
+        }
+
+        const agreement = sum.length() / images.length;
+        if (agreement < this.MIN_CAMERA_AGREEMENT) return null;
+        return sum.normalize();
+    }
+
+    /**
+     * Horizontal direction from the scene center towards the cameras
+     */
+    cameraFront(images, pca, up) {
+        const mean = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const center = new THREE.Vector3();
+        for (const image of images) {
+            // Camera center: C = -R^T * t
+            quaternion.set(image.qx, image.qy, image.qz, image.qw).normalize().invert();
+            mean.add(center.set(image.tx, image.ty, image.tz).applyQuaternion(quaternion).negate());
+        }
+        mean.divideScalar(images.length).sub(pca.center);
+
+        const front = mean.projectOnPlane(up);
+        if (front.length() < this.MIN_FRONT_OFFSET * pca.radius) return null;
+        return front.normalize();
+    }
+
+    /**
+     * Front perpendicular to the widest horizontal axis, so the long side
+     * of the scene faces the viewer
+     */
+    widestFront(pca, up) {
+        for (const axis of pca.axes) {
+            const front = new THREE.Vector3().crossVectors(up, axis);
+            if (front.length() > 0.1) return front.normalize();
+        }
+        return new THREE.Vector3(0, 0, 1);
+    }
+
+    /**
+     * Up from the ground plane found with RANSAC, else the weakest PCA axis;
+     * either way pointing from the plane into the bulk of the points
+     */
+    groundUp(points, pca) {
+        if (points.length < 3) return null;
+
+        const tolerance = this.PLANE_TOLERANCE * pca.radius;
+        const normal = new THREE.Vector3();
+        const ab = new THREE.Vector3();
+        const ac = new THREE.Vector3();
+        let best = null;
+
+        let seed = this.RANSAC_SEED;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            return seed / 0x80000000;
+        };
+
+        for (let i = 0; i < this.RANSAC_ITERATIONS; i++) {
+            const a = points[Math.floor(random() * points.length)];
+            const b = points[Math.floor(random() * points.length)];
+            const c = points[Math.floor(random() * points.length)];
+            normal.crossVectors(ab.subVectors(b, a), ac.subVectors(c, a));
+            if (normal.lengthSq() === 0) continue;
+            normal.normalize();
+
+            let inliers = 0, above = 0, below = 0;
+            for (const p of points) {
+                const d = normal.x * (p.x - a.x) + normal.y * (p.y - a.y) + normal.z * (p.z - a.z);
+                if (Math.abs(d) <= tolerance) inliers++;
+                else if (d > 0) above++;
+                else below++;
+            }
+
+            // The ground has (nearly) everything above it
+            const side = Math.max(above, below) / points.length;
+            if (side + inliers / points.length < this.GROUND_SIDE) continue;
+            if (inliers < this.MIN_GROUND_INLIERS * points.length) continue;
+            if (!best || inliers > best.inliers) {
+                best = { inliers, normal: normal.clone().multiplyScalar(above >= below ? 1 : -1) };
+            }
+        }
+
+        if (best) return best.normal;
+
+        // No ground found: the weakest axis, towards the side with more points
+        const up = pca.axes[2].clone();
+        let above = 0;
+        for (const p of points) {
+            if (ab.subVectors(p, pca.center).dot(up) > 0) above++;
+        }
+        return above >= points.length / 2 ? up : up.negate();
+    }
+
+    /**
+     * Center, radius and principal axes (strongest first) of the points
+     */
+    pca(points) {
+        const center = new THREE.Vector3();
+        for (const p of points) center.add(p);
+        if (points.length > 0) center.divideScalar(points.length);
+
+        // Covariance, upper triangle
+        let xx = 0, xy = 0, xz = 0, yy = 0, yz = 0, zz = 0, radius = 0;
+        const d = new THREE.Vector3();
+        for (const p of points) {
+            d.subVectors(p, center);
+            xx += d.x * d.x; xy += d.x * d.y; xz += d.x * d.z;
+            yy += d.y * d.y; yz += d.y * d.z; zz += d.z * d.z;
+            radius = Math.max(radius, d.length());
+        }
+
+        const { values, vectors } = symmetricEigen([[xx, xy, xz], [xy, yy, yz], [xz, yz, zz]]);
+        const order = [0, 1, 2].sort((i, j) => values[j] - values[i]);
+        const axes = order.map(i => new THREE.Vector3(vectors[0][i], vectors[1][i], vectors[2][i]).normalize());
+        return { center, radius, axes };
+    }
+
+    /**
+     * Rotation taking up to +Y and front to +Z
+     */
+    buildMatrix(up, front) {
+        const y = up.clone().normalize();
+        const z = front.clone().projectOnPlane(y).normalize();
+        const x = new THREE.Vector3().crossVectors(y, z);
+        // makeBasis maps the axes onto x/y/z; its transpose maps x/y/z onto the axes
+        return new THREE.Matrix4().makeBasis(x, y, z).transpose();
+    }
+}
+
+/**
+ * Eigenvalues and eigenvectors (columns) of a symmetric 3x3 matrix, by
+ * cyclic Jacobi rotations
+ */
+function symmetricEigen(matrix) {
+    const a = matrix.map(row => row.slice());
+    const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const off = a[0][1] * a[0][1] + a[0][2] * a[0][2] + a[1][2] * a[1][2];
+        if (off < 1e-20) break;
+
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            if (Math.abs(a[p][q]) < 1e-30) continue;
+            const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+            const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+
+            for (let k = 0; k < 3; k++) {
+                const akp = a[k][p], akq = a[k][q];
+                a[k][p] = c * akp - s * akq;
+                a[k][q] = s * akp + c * akq;
+            }
+            for (let k = 0; k < 3; k++) {
+                const apk = a[p][k], aqk = a[q][k];
+                a[p][k] = c * apk - s * aqk;
+                a[q][k] = s * apk + c * aqk;
+            }
+            for (let k = 0; k < 3; k++) {
+                const vkp = v[k][p], vkq = v[k][q];
+                v[k][p] = c * vkp - s * vkq;
+                v[k][q] = s * vkp + c * vkq;
+            }
+        }
+    }
+
+    return { values: [a[0][0], a[1][1], a[2][2]], vectors: v };
+}
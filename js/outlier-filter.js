@@ -0,0 +1,324 @@
+/**
+ * Outlier Filter
+ * Finds stray points in a cluster from k-nearest-neighbour distances, so a
+ * few far-away specks neither inflate the global bounds nor float around
+ * during merges.
+ *
+ * Modes:
+ *   statistical - mean distance to the k nearest neighbours; points more
+ *                 than stdRatio standard deviations above the cloud's
+ *                 average are outliers (like PCL's StatisticalOutlierRemoval)
+ *   radius      - points with fewer than minNeighbors others within
+ *                 radius (a fraction of the cloud's size) are outliers
+ *
+ * Neighbours are searched in a uniform grid. Kept free of THREE so it can
+ * run inside the COLMAP workers.
+ */
+
+export const OUTLIER_MODES = {
+    off: 'Off',
+    statistical: 'Statistical (kNN)',
+    radius: 'Radius'
+};
+
+export const OUTLIER_DEFAULTS = {
+    mode: 'off',
+    k: 8,
+    stdRatio: 2.0,
+    radius: 0.02,
+    minNeighbors: 4
+};
+
+// Per-point arrays (and their components) split along with the positions
+const POINT_ARRAYS = [
+    ['positions', 3],
+    ['colors', 3],
+    ['errors', 1],
+    ['pointIds', 1],
+    ['trackLengths', 1],
+    ['trackOffsets', 1]
+];
+
+// Grid rings searched around a point's cell before giving up on more neighbours
+const MAX_RING = 2;
+// Most cells along the cloud's diagonal; keeps cell keys unique
+const MAX_CELLS = 65536;
+// Points sampled to measure the bulk of the cloud
+const EXTENT_SAMPLES = 10000;
+// Cells holding more than CROWDED * k points on average get split, up to MAX_REFINE times
+const CROWDED = 8;
+const MAX_REFINE = 4;
+
+export class OutlierFilter {
+    /**
+     * @param {Object} options - See OUTLIER_DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...OUTLIER_DEFAULTS, ...options };
+    }
+
+    get enabled() {
+        return this.options.mode === 'statistical' || this.options.mode === 'radius';
+    }
+
+    /**
+     * @param {Float32Array} positions - xyz per point
+     * @param {number} count
+     * @returns {Uint8Array} 1 for every outlier
+     */
+    findOutliers(positions, count) {
+        const outliers = new Uint8Array(count);
+        if (!this.enabled || count <= this.options.k) return outliers;
+
+        const extent = this.extent(positions, count);
+        if (this.options.mode === 'radius') {
+            const radius = Math.max(this.options.radius * extent.bulkSize, extent.size / MAX_CELLS);
+            if (!(radius > 0)) return outliers;
+            const grid = this.buildGrid(positions, count, extent, radius);
+            for (let i = 0; i < count; i++) {
+                if (this.countNeighbors(grid, positions, i, radius, this.options.minNeighbors) < this.options.minNeighbors) {
+                    outliers[i] = 1;
+                }
+            }
+            return outliers;
+        }
+
+        // Cells sized so a cell holds about k points on average; halved while
+        // a query would still scan too many points (surfaces crowd few cells)
+        const k = this.options.k;
+        const minCell = extent.size / MAX_CELLS;
+        let cellSize = Math.max(Math.cbrt(extent.bulkVolume * k / count), minCell);
+        let grid = this.buildGrid(positions, count, extent, cellSize);
+        for (let i = 0; i < MAX_REFINE && this.scanCost(grid, count) > CROWDED * k && cellSize / 2 >= minCell; i++) {
+            cellSize /= 2;
+            grid = this.buildGrid(positions, count, extent, cellSize);
+        }
+
+        const meanDistances = new Float32Array(count);
+        let sum = 0, sumSq = 0;
+        for (let i = 0; i < count; i++) {
+            const d = this.meanNeighborDistance(grid, positions, i, k);
+            meanDistances[i] = d;
+            sum += d;
+            sumSq += d * d;
+        }
+        const mean = sum / count;
+        const std = Math.sqrt(Math.max(0, sumSq / count - mean * mean));
+        const threshold = mean + this.options.stdRatio * std;
+
+        for (let i = 0; i < count; i++) {
+            if (meanDistances[i] > threshold) outliers[i] = 1;
+        }
+        return outliers;
+    }
+
+    /**
+     * Full bounds (for the grid origin) and the size of the bulk of the
+     * points, 2nd to 98th percentile per axis of a sample, so the outliers
+     * themselves do not set the scale
+     */
+    extent(positions, count) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < count; i++) {
+            for (let a = 0; a < 3; a++) {
+                const v = positions[i * 3 + a];
+                if (v < min[a]) min[a] = v;
+                if (v > max[a]) max[a] = v;
+            }
+        }
+
+        const stride = Math.max(1, Math.floor(count / EXTENT_SAMPLES));
+        const bulk = [0, 1, 2].map(a => {
+            const values = [];
+            for (let i = 0; i < count; i += stride) values.push(positions[i * 3 + a]);
+            values.sort((x, y) => x - y);
+            const lo = values[Math.floor(values.length * 0.02)];
+            const hi = values[Math.min(values.length - 1, Math.floor(values.length * 0.98))];
+            return Math.max(hi - lo, 1e-9);
+        });
+
+        const dims = [0, 1, 2].map(a => Math.max(max[a] - min[a], 1e-9));
+        return {
+            min,
+            size: Math.hypot(...dims),
+            bulkSize: Math.hypot(...bulk),
+            bulkVolume: bulk[0] * bulk[1] * bulk[2]
+        };
+    }
+
+    // Average number of points in a point's own cell
+    scanCost(grid, count) {
+        let sum = 0;
+        for (const [start, end] of grid.cells.values()) sum += (end - start) * (end - start);
+        return sum / count;
+    }
+
+    /**
+     * Point indices bucketed by grid cell: cells maps a cell key to the
+     * [start, end) range of its points in indices
+     */
+    buildGrid(positions, count, extent, cellSize) {
+        const keys = new Float64Array(count);
+        const cells = new Map();
+        for (let i = 0; i < count; i++) {
+            const key = this.cellKey(this.cellOf(positions, i, extent.min, cellSize));
+            keys[i] = key;
+            cells.set(key, (cells.get(key) || 0) + 1);
+        }
+
+        let start = 0;
+        for (const [key, n] of cells) {
+            cells.set(key, [start, start]);
+            start += n;
+        }
+        const indices = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            const range = cells.get(keys[i]);
+            indices[range[1]++] = i;
+        }
+
+        return { cells, indices, min: extent.min, cellSize };
+    }
+
+    cellOf(positions, i, min, cellSize) {
+        return [
+            Math.floor((positions[i * 3] - min[0]) / cellSize),
+            Math.floor((positions[i * 3 + 1] - min[1]) / cellSize),
+            Math.floor((positions[i * 3 + 2] - min[2]) / cellSize)
+        ];
+    }
+
+    // Unique while every coordinate stays within (-2^16, 2^16) cells
+    cellKey([x, y, z]) {
+        return (x * 131072 + y) * 131072 + z;
+    }
+
+    /**
+     * Mean distance to the k nearest other points. Rings of cells are added
+     * until the k-th distance is known to be final; points still short of k
+     * neighbours after MAX_RING count the missing ones as just out of reach.
+     */
+    meanNeighborDistance(grid, positions, i, k) {
+        const nearest = []; // ascending squared distances, at most k
+        const center = this.cellOf(positions, i, grid.min, grid.cellSize);
+        const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+
+        const visit = (cx, cy, cz) => {
+            const range = grid.cells.get(this.cellKey([cx, cy, cz]));
+            if (!range) return;
+            for (let r = range[0]; r < range[1]; r++) {
+                const j = grid.indices[r];
+                if (j === i) continue;
+                const dx = positions[j * 3] - x, dy = positions[j * 3 + 1] - y, dz = positions[j * 3 + 2] - z;
+                const d = dx * dx + dy * dy + dz * dz;
+                if (nearest.length === k && d >= nearest[k - 1]) continue;
+                let p = nearest.length === k ? k - 1 : nearest.length;
+                while (p > 0 && nearest[p - 1] > d) {
+                    nearest[p] = nearest[p - 1];
+                    p--;
+                }
+                nearest[p] = d;
+            }
+        };
+
+        for (let ring = 0; ring <= MAX_RING; ring++) {
+            this.forRing(center, ring, visit);
+            // Anything outside this ring is at least ring * cellSize away
+            const reach = ring * grid.cellSize;
+            if (nearest.length === k && nearest[k - 1] <= reach * reach) break;
+        }
+
+        let sum = 0;
+        for (const d of nearest) sum += Math.sqrt(d);
+        sum += (k - nearest.length) * (MAX_RING + 1) * grid.cellSize;
+        return sum / k;
+    }
+
+    /**
+     * Neighbours within radius, counting only up to enough
+     */
+    countNeighbors(grid, positions, i, radius, enough) {
+        const [cx, cy, cz] = this.cellOf(positions, i, grid.min, grid.cellSize);
+        const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+        const r2 = radius * radius;
+        let found = 0;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const range = grid.cells.get(this.cellKey([cx + dx, cy + dy, cz + dz]));
+                    if (!range) continue;
+                    for (let r = range[0]; r < range[1]; r++) {
+                        const j = grid.indices[r];
+                        if (j === i) continue;
+                        const ex = positions[j * 3] - x, ey = positions[j * 3 + 1] - y, ez = positions[j * 3 + 2] - z;
+                        if (ex * ex + ey * ey + ez * ez <= r2 && ++found >= enough) return found;
+                    }
+                }
+            }
+        }
+        return found;
+    }
+
+    // Calls visit(x, y, z) for every cell on the surface of the cube of the given ring
+    forRing([cx, cy, cz], ring, visit) {
+        for (let dx = -ring; dx <= ring; dx++) {
+            for (let dy = -ring; dy <= ring; dy++) {
+                for (let dz = -ring; dz <= ring; dz++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) !== ring) continue;
+                    visit(cx + dx, cy + dy, cz + dz);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Split parsed points (as returned by ColmapReader) by an outlier mask.
+ * Kept points stay in their octree order with levelOffsets recounted, so
+ * LOD draw ranges still work.
+ * @returns {{kept: Object, dropped: {count, positions, colors}}}
+ */
+export function splitOutliers(points, outliers) {
+    let droppedCount = 0;
+    for (let i = 0; i < points.count; i++) droppedCount += outliers[i];
+    const keptCount = points.count - droppedCount;
+
+    const kept = { ...points, count: keptCount };
+    const dropped = {
+        count: droppedCount,
+        positions: new Float32Array(droppedCount * 3),
+        colors: new Float32Array(droppedCount * 3)
+    };
+    for (const [name, size] of POINT_ARRAYS) {
+        if (points[name]) kept[name] = new points[name].constructor(keptCount * size);
+    }
+
+    let k = 0, d = 0;
+    for (let i = 0; i < points.count; i++) {
+        if (outliers[i]) {
+            dropped.positions.set(points.positions.subarray(i * 3, i * 3 + 3), d * 3);
+            dropped.colors.set(points.colors.subarray(i * 3, i * 3 + 3), d * 3);
+            d++;
+            continue;
+        }
+        for (const [name, size] of POINT_ARRAYS) {
+            if (points[name]) kept[name].set(points[name].subarray(i * size, i * size + size), k * size);
+        }
+        k++;
+    }
+
+    // Level k now starts after the kept points of the levels before it
+    if (points.levelOffsets) {
+        const offsets = points.levelOffsets;
+        kept.levelOffsets = new Uint32Array(offsets.length);
+        for (let level = 0; level < offsets.length - 1; level++) {
+            let keptInLevel = 0;
+            for (let i = offsets[level]; i < offsets[level + 1]; i++) keptInLevel += 1 - outliers[i];
+            kept.levelOffsets[level + 1] = kept.levelOffsets[level] + keptInLevel;
+        }
+    }
+
+    return { kept, dropped };
+}
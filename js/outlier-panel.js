@@ -0,0 +1,120 @@
+import { OverlayPanel } from './overlay-panel.js?v=1';
+import { OUTLIER_MODES } from './outlier-filter.js?v=2';
+import { outliersToParams } from './dataset-config.js?v=8';
+
+/**
+ * Outlier Panel
+ * Shows what the loader's outlier filter dropped, toggles the dropped
+ * points as a layer and edits the thresholds. The filter runs before the
+ * global bounds are computed, so new thresholds apply on reload (quick,
+ * since the parsed clusters come from the cache).
+ */
+
+// Option -> [label, step, modes it applies to]
+const FIELDS = {
+    k: ['Neighbours (k)', 1, ['statistical']],
+    stdRatio: ['Std ratio', 0.1, ['statistical']],
+    radius: ['Radius (× size)', 0.005, ['radius']],
+    minNeighbors: ['Min neighbours', 1, ['radius']]
+};
+
+export class OutlierPanel {
+    /**
+     * @param {DataLoader} dataLoader
+     * @param {Object} options - OverlayPanel options (position, theme)
+     */
+    constructor(dataLoader, options = {}) {
+        this.dataLoader = dataLoader;
+        this.panel = new OverlayPanel('Outliers', options);
+        this.panel.toggleCollapsed();
+
+        const filterOptions = dataLoader.outlierFilter.options;
+
+        this.summary = document.createElement('div');
+        this.summary.style.marginBottom = '6px';
+
+        const toggle = document.createElement('label');
+        toggle.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 8px;';
+        this.showCheckbox = document.createElement('input');
+        this.showCheckbox.type = 'checkbox';
+        this.showCheckbox.checked = dataLoader.showOutliers;
+        this.showCheckbox.addEventListener('change', () => dataLoader.setOutliersVisible(this.showCheckbox.checked));
+        toggle.append(this.showCheckbox, 'Show dropped points');
+
+        this.modeSelect = document.createElement('select');
+        this.modeSelect.style.width = '100%';
+        for (const [value, label] of Object.entries(OUTLIER_MODES)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === filterOptions.mode;
+            this.modeSelect.appendChild(option);
+        }
+        this.modeSelect.addEventListener('change', () => this.updateFields());
+
+        this.inputs = {};
+        this.rows = {};
+        const fields = document.createElement('div');
+        for (const [name, [label, step]] of Object.entries(FIELDS)) {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin: 3px 0;';
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = step;
+            input.min = 0;
+            input.value = filterOptions[name];
+            input.style.width = '70px';
+            row.append(label, input);
+            this.inputs[name] = input;
+            this.rows[name] = row;
+            fields.appendChild(row);
+        }
+
+        this.applyButton = document.createElement('button');
+        this.applyButton.textContent = 'Apply & reload';
+        this.applyButton.title = 'Reload the page with these thresholds (a local folder has to be picked again)';
+        this.applyButton.addEventListener('click', () => this.apply());
+
+        const content = document.createElement('div');
+        content.append(this.summary, toggle, this.modeSelect, fields, this.applyButton);
+        this.panel.setContent(content);
+
+        this.updateFields();
+        this.updateSummary();
+    }
+
+    updateFields() {
+        const mode = this.modeSelect.value;
+        for (const [name, [, , modes]] of Object.entries(FIELDS)) {
+            this.rows[name].style.display = modes.includes(mode) ? 'flex' : 'none';
+        }
+    }
+
+    updateSummary() {
+        if (!this.dataLoader.outlierFilter.enabled) {
+            this.summary.textContent = 'Filter off - every point is kept';
+            this.showCheckbox.disabled = true;
+            return;
+        }
+
+        let dropped = 0, clusters = 0;
+        for (const cluster of this.dataLoader.clusters.values()) {
+            if (cluster.outliersCount > 0) {
+                dropped += cluster.outliersCount;
+                clusters++;
+            }
+        }
+        this.summary.textContent = `${dropped} points dropped in ${clusters} clusters`;
+        this.showCheckbox.disabled = dropped === 0;
+    }
+
+    apply() {
+        const options = { mode: this.modeSelect.value };
+        for (const [name, input] of Object.entries(this.inputs)) {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) options[name] = value;
+        }
+        const params = outliersToParams(new URLSearchParams(window.location.search), options);
+        window.location.search = params.toString();
+    }
+}
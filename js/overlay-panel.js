@@ -0,0 +1,140 @@
+/**
+ * Overlay Panel
+ * Small floating card shared by the viewers' extra panels (legend, etc.).
+ *
+ * Panels are stacked in a dock per screen corner so several of them can be
+ * open at once without overlapping the page's own controls.
+ */
+
+const STYLE_ID = 'overlay-panel-style';
+
+const STYLES = `
+.overlay-dock {
+    position: fixed;
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    z-index: 50;
+    pointer-events: none;
+    max-height: calc(100vh - 40px);
+}
+.overlay-dock.top-right { top: 70px; right: 20px; }
+.overlay-dock.bottom-right { bottom: 20px; right: 20px; flex-direction: column-reverse; }
+.overlay-dock.top-left { top: 140px; left: 20px; }
+.overlay-dock.bottom-left { bottom: 80px; left: 20px; flex-direction: column-reverse; }
+.overlay-panel {
+    pointer-events: auto;
+    width: 240px;
+    padding: 12px 14px;
+    border-radius: 10px;
+    font-size: 12px;
+    backdrop-filter: blur(10px);
+    box-shadow: 0 2px 10px rgba(0,0,0,0.08);
+    background: rgba(255, 255, 255, 0.95);
+    border: 1px solid #e0e0e0;
+    color: #333;
+}
+.overlay-panel.dark {
+    background: rgba(20, 20, 30, 0.9);
+    border-color: rgba(255, 255, 255, 0.1);
+    color: #ddd;
+}
+.overlay-panel-title {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    font-weight: 600;
+    margin-bottom: 8px;
+    cursor: pointer;
+    user-select: none;
+}
+.overlay-panel.collapsed .overlay-panel-body { display: none; }
+.overlay-panel.collapsed .overlay-panel-title { margin-bottom: 0; }
+.overlay-panel-body { max-height: 320px; overflow-y: auto; }
+.overlay-panel select, .overlay-panel button {
+    font-size: 12px;
+    padding: 3px 6px;
+    margin: 2px 0;
+}
+`;
+
+export class OverlayPanel {
+    /**
+     * @param {string} title
+     * @param {Object} options - { position: 'bottom-right' | 'top-right' | 'bottom-left' | 'top-left', theme: 'light' | 'dark' }
+     */
+    constructor(title, options = {}) {
+        this.position = options.position ?? 'bottom-right';
+        this.theme = options.theme ?? 'light';
+
+        OverlayPanel.injectStyles();
+
+        this.element = document.createElement('div');
+        this.element.className = `overlay-panel ${this.theme}`;
+
+        this.titleElement = document.createElement('div');
+        this.titleElement.className = 'overlay-panel-title';
+        this.titleText = document.createElement('span');
+        this.titleText.textContent = title;
+        this.toggleMark = document.createElement('span');
+        this.toggleMark.textContent = '−';
+        this.titleElement.append(this.titleText, this.toggleMark);
+        this.titleElement.addEventListener('click', () => this.toggleCollapsed());
+
+        this.body = document.createElement('div');
+        this.body.className = 'overlay-panel-body';
+
+        this.element.append(this.titleElement, this.body);
+        OverlayPanel.getDock(this.position).appendChild(this.element);
+    }
+
+    static injectStyles() {
+        if (document.getElementById(STYLE_ID)) return;
+        const style = document.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = STYLES;
+        document.head.appendChild(style);
+    }
+
+    static getDock(position) {
+        let dock = document.querySelector(`.overlay-dock.${position}`);
+        if (!dock) {
+            dock = document.createElement('div');
+            dock.className = `overlay-dock ${position}`;
+            document.body.appendChild(dock);
+        }
+        return dock;
+    }
+
+    setTitle(title) {
+        this.titleText.textContent = title;
+    }
+
+    /**
+     * Replace the panel body with an HTML string or a DOM node
+     */
+    setContent(content) {
+        if (typeof content === 'string') {
+            this.body.innerHTML = content;
+        } else {
+            this.body.replaceChildren(content);
+        }
+    }
+
+    toggleCollapsed(collapsed = !this.element.classList.contains('collapsed')) {
+        this.element.classList.toggle('collapsed', collapsed);
+        this.toggleMark.textContent = collapsed ? '+' : '−';
+    }
+
+    show() {
+        this.element.style.display = '';
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
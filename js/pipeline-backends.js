@@ -0,0 +1,124 @@
+/**
+ * Pipeline Backends
+ * One descriptor per reconstruction pipeline whose results the viewers can
+ * show. DataLoader takes a descriptor, so every view runs on every backend.
+ * The descriptors live in backends/<name>.json, like the dataset configs
+ * (dataset-config.js), so adding a backend means adding a file there:
+ * ?backend=<name> fetches it by name. backends/index.json lists the
+ * backends a local folder's results are matched against (DataLoader).
+ *
+ * Descriptor fields:
+ *   label             - Name shown in the UI/logs
+ *   dataRoot          - Results folder, relative to the page
+ *   leafType          - Folder holding a cluster's own reconstruction
+ *   mergedType        - Folder holding a cluster merged with its children
+ *   leafPromotion     - true: every cluster has a merged folder, and for a
+ *                       cluster without children it is just its leaf result
+ *                       promoted (shown as a 'leaf_promotion' event).
+ *                       false: clusters without children have no merged
+ *                       folder; their leaf result is their final result.
+ *   companionTypes    - Optional folders stored next to a cluster's leaf
+ *                       result, shown by BundleAdjustmentLayers:
+ *                       { input: points before bundle adjustment,
+ *                         groundTruth: ground-truth points }
+ *   fallbackStructure - Optional tree used when neither results/manifest.json
+ *                       nor a directory listing is available (same shape as
+ *                       TreeDiscovery's output)
+ *
+ * The viewer pages pick a backend with ?backend=<name>.
+ */
+
+export const DEFAULT_BACKEND = 'gtsfm';
+
+// name -> descriptor, filled by loadBackends()
+export const PIPELINE_BACKENDS = {};
+let loading = null; // loadBackends() in flight or done
+
+/**
+ * Fetch backends/<name>.json
+ * @returns {Promise<Object>} Backend descriptor
+ */
+export async function loadBackend(name) {
+    const response = await fetch(`backends/${name}.json`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+/**
+ * Fetch backends/index.json, the list of backend names
+ * @returns {Promise<string[]>}
+ */
+async function loadBackendNames() {
+    try {
+        const response = await fetch('backends/index.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } catch (e) {
+        console.warn(`Could not load backends/index.json (${e.message}), using ${DEFAULT_BACKEND} only`);
+        return [DEFAULT_BACKEND];
+    }
+}
+
+/**
+ * Fetch every backend listed in backends/index.json once; a missing or
+ * broken file leaves that backend out
+ */
+export function loadBackends() {
+    if (!loading) {
+        loading = loadBackendNames().then(names => Promise.all(names.map(async (name) => {
+            try {
+                PIPELINE_BACKENDS[name] = await loadBackend(name);
+            } catch (e) {
+                console.warn(`Could not load pipeline backend backends/${name}.json (${e.message})`);
+            }
+        })));
+    }
+    return loading;
+}
+
+/**
+ * Look up a loaded backend by name, falling back to the default
+ */
+export function getBackend(name = DEFAULT_BACKEND) {
+    const backend = PIPELINE_BACKENDS[name];
+    if (backend) return { name, ...backend };
+    if (!PIPELINE_BACKENDS[DEFAULT_BACKEND]) {
+        throw new Error(`Pipeline backend "${name}" is not loaded (loadBackends() first)`);
+    }
+
+    console.warn(`Unknown pipeline backend "${name}", using ${DEFAULT_BACKEND}`);
+    return { name: DEFAULT_BACKEND, ...PIPELINE_BACKENDS[DEFAULT_BACKEND] };
+}
+
+/**
+ * Backend named by the page's ?backend= parameter, else the page's default
+ * @returns {Promise<Object>}
+ */
+export async function getBackendFromUrl(defaultName = DEFAULT_BACKEND) {
+    await loadBackends();
+    const params = new URLSearchParams(window.location.search);
+    const name = params.get('backend') || defaultName;
+    // A backend not (yet) in the index is fetched by name
+    if (!PIPELINE_BACKENDS[name]) {
+        try {
+            PIPELINE_BACKENDS[name] = await loadBackend(name);
+        } catch (e) {
+            console.warn(`Could not load pipeline backend backends/${name}.json (${e.message})`);
+        }
+    }
+    return getBackend(name);
+}
+
+/**
+ * Root of the merge tree: the merged cluster without a parent (any
+ * parentless cluster if the tree has no merged folders at all)
+ */
+export function findRootCluster(clusters) {
+    let fallback = null;
+    for (const cluster of clusters.values()) {
+        if (cluster.parent) continue;
+        if (cluster.role === 'merged') return cluster;
+        if (!fallback) fallback = cluster;
+    }
+    return fallback;
+}
@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+import { downloadBlob } from './file-download.js?v=2';
+
+/**
+ * PLY Exporter
+ * Writes the clusters visible at a timeline event to one PLY file, as they
+ * are placed in the scene: each cluster's world transform (layout position,
+ * rotation) is applied and the point colors are the displayed ones (so an
+ * export in 'By cluster' color mode keeps those colors).
+ *
+ * Which clusters are visible comes from either
+ *   visibleAfterEvent - EventTimelineEngine's event state (timeline views)
+ *   visibleInScene    - what the animation engine left visible (puzzle,
+ *                       slab, hierarchy/squareness views)
+ *
+ * Options:
+ *   format     - 'binary' (little endian) or 'ascii'
+ *   clusterIds - add an int cluster_id property per point; the header
+ *                lists the cluster path of every id as comments
+ */
+export const PLY_FORMATS = {
+    binary: 'Binary',
+    ascii: 'ASCII'
+};
+
+export class PlyExporter {
+    constructor(options = {}) {
+        this.format = options.format ?? 'binary';
+        this.clusterIds = options.clusterIds ?? false;
+    }
+
+    /**
+     * Clusters visible after an EventTimelineEngine event
+     */
+    static visibleAfterEvent(eventEngine, eventIndex, clusters) {
+        if (eventIndex < 0) return [];
+        return eventEngine.getVisibleClustersAfterEvent(eventIndex)
+            .map(path => clusters.get(path))
+            .filter(Boolean);
+    }
+
+    /**
+     * Clusters whose points are currently shown in the scene
+     */
+    static visibleInScene(clusters) {
+        return Array.from(clusters.values()).filter(cluster => {
+            const points = cluster.pointCloud;
+            if (!points || points.material.opacity <= 0) return false;
+            for (let object = points; object; object = object.parent) {
+                if (!object.visible) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * @param {Cluster[]} clusters
+     * @returns {{data: string|ArrayBuffer, points: number, clusters: number}}
+     */
+    export(clusters) {
+        // Placeholders for failed clusters are boxes, not points
+        const exported = clusters.filter(cluster => cluster.pointCloud && !cluster.placeholder);
+        const points = exported.reduce((sum, cluster) => sum + cluster.pointCloud.geometry.attributes.position.count, 0);
+        const header = this.header(exported, points);
+
+        const data = this.format === 'ascii'
+            ? this.writeAscii(header, exported)
+            : this.writeBinary(header, exported, points);
+
+        console.log(`PlyExporter: ${points} points from ${exported.length} clusters (${this.format})`);
+        return { data, points, clusters: exported.length };
+    }
+
+    header(clusters, points) {
+        const lines = [
+            'ply',
+            `format ${this.format === 'ascii' ? 'ascii' : 'binary_little_endian'} 1.0`,
+            'comment Exported from the cluster merge visualization'
+        ];
+        if (this.clusterIds) {
+            clusters.forEach((cluster, id) => lines.push(`comment cluster ${id} ${cluster.path}`));
+        }
+        lines.push(
+            `element vertex ${points}`,
+            'property float x',
+            'property float y',
+            'property float z',
+            'property uchar red',
+            'property uchar green',
+            'property uchar blue'
+        );
+        if (this.clusterIds) lines.push('property int cluster_id');
+        lines.push('end_header');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Calls visit(x, y, z, r, g, b, clusterId) per point, in world coordinates
+     */
+    forEachPoint(clusters, visit) {
+        const p = new THREE.Vector3();
+        clusters.forEach((cluster, id) => {
+            const geometry = cluster.pointCloud.geometry;
+            const positions = geometry.attributes.position.array;
+            const colors = geometry.attributes.color?.array;
+            cluster.pointCloud.updateWorldMatrix(true, false);
+            const matrix = cluster.pointCloud.matrixWorld;
+
+            for (let i = 0; i < geometry.attributes.position.count; i++) {
+                p.fromArray(positions, i * 3).applyMatrix4(matrix);
+                const r = colors ? toByte(colors[i * 3]) : 255;
+                const g = colors ? toByte(colors[i * 3 + 1]) : 255;
+                const b = colors ? toByte(colors[i * 3 + 2]) : 255;
+                visit(p.x, p.y, p.z, r, g, b, id);
+            }
+        });
+    }
+
+    writeAscii(header, clusters) {
+        const lines = [header];
+        this.forEachPoint(clusters, (x, y, z, r, g, b, id) => {
+            lines.push(`${x.toFixed(5)} ${y.toFixed(5)} ${z.toFixed(5)} ${r} ${g} ${b}${this.clusterIds ? ` ${id}` : ''}\n`);
+        });
+        return lines.join('');
+    }
+
+    writeBinary(header, clusters, points) {
+        const headerBytes = new TextEncoder().encode(header);
+        const stride = 15 + (this.clusterIds ? 4 : 0);
+        const buffer = new ArrayBuffer(headerBytes.length + points * stride);
+        new Uint8Array(buffer).set(headerBytes);
+
+        const view = new DataView(buffer);
+        let offset = headerBytes.length;
+        this.forEachPoint(clusters, (x, y, z, r, g, b, id) => {
+            view.setFloat32(offset, x, true);
+            view.setFloat32(offset + 4, y, true);
+            view.setFloat32(offset + 8, z, true);
+            view.setUint8(offset + 12, r);
+            view.setUint8(offset + 13, g);
+            view.setUint8(offset + 14, b);
+            if (this.clusterIds) view.setInt32(offset + 15, id, true);
+            offset += stride;
+        });
+        return buffer;
+    }
+
+    /**
+     * Save an export as a file through the browser
+     */
+    download(data, filename) {
+        downloadBlob(new Blob([data], { type: 'application/octet-stream' }), filename);
+    }
+}
+
+// Colors are floats in [0, 1]
+function toByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value * 255)));
+}
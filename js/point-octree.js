@@ -0,0 +1,163 @@
+/**
+ * Point Octree
+ * Reorders a parsed point cloud so that every prefix is an even spatial
+ * subsample, which turns level-of-detail into a plain draw range.
+ *
+ * Level 0 holds one point, level k one point per occupied octree cell of
+ * depth k, and the last level everything left over. Points inside a level
+ * are shuffled so a partial level is still spread over the whole cloud.
+ *
+ * Kept free of THREE so it can also run inside a worker.
+ */
+
+// 10 bits per axis -> 30-bit Morton codes
+const MAX_DEPTH = 10;
+
+// Per-point arrays (and their components) reordered along with the positions
+const POINT_ARRAYS = [
+    ['positions', 3],
+    ['colors', 3],
+    ['errors', 1],
+    ['pointIds', 1],
+    ['trackLengths', 1],
+    ['trackOffsets', 1]
+];
+
+export class PointOctree {
+    constructor(depth = MAX_DEPTH) {
+        this.depth = Math.min(depth, MAX_DEPTH);
+    }
+
+    /**
+     * Reorder points (as returned by the COLMAP parsers) by octree level
+     * @returns {Object} The same points, reordered, plus levelOffsets:
+     *   points of level k are [levelOffsets[k], levelOffsets[k + 1])
+     */
+    sortByLevel(points) {
+        const count = points.count;
+        const levelCount = this.depth + 2;
+        if (count === 0) {
+            return { ...points, levelOffsets: new Uint32Array(levelCount + 1) };
+        }
+
+        const levels = this.computeLevels(points.positions, count);
+
+        // Counting sort by level
+        const levelOffsets = new Uint32Array(levelCount + 1);
+        for (let i = 0; i < count; i++) levelOffsets[levels[i] + 1]++;
+        for (let k = 0; k < levelCount; k++) levelOffsets[k + 1] += levelOffsets[k];
+
+        const order = new Uint32Array(count);
+        const cursor = levelOffsets.slice(0, levelCount);
+        for (let i = 0; i < count; i++) order[cursor[levels[i]]++] = i;
+
+        // Shuffle inside each level (seeded, so the order is reproducible)
+        let seed = 12345;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            return seed / 0x7fffffff;
+        };
+        for (let k = 0; k < levelCount; k++) {
+            const start = levelOffsets[k];
+            for (let i = levelOffsets[k + 1] - 1; i > start; i--) {
+                const j = start + Math.floor(random() * (i - start + 1));
+                const tmp = order[i];
+                order[i] = order[j];
+                order[j] = tmp;
+            }
+        }
+
+        const sorted = { ...points, levelOffsets };
+        for (const [name, size] of POINT_ARRAYS) {
+            if (points[name]) sorted[name] = this.permute(points[name], order, size);
+        }
+        return sorted;
+    }
+
+    /**
+     * Level of each point: the shallowest depth at which it is the first
+     * point (in Morton order) of its cell
+     */
+    computeLevels(positions, count) {
+        const codes = this.mortonCodes(positions, count);
+
+        // Morton code in the high bits, point index in the low 23 bits, so a
+        // plain numeric sort orders by code and keeps the index
+        const INDEX_BITS = 0x800000;
+        const keys = new Float64Array(count);
+        for (let i = 0; i < count; i++) keys[i] = codes[i] * INDEX_BITS + i;
+        if (count > INDEX_BITS) {
+            // Too many points to pack the index - fall back to a comparator sort
+            const indices = Array.from({ length: count }, (_, i) => i);
+            indices.sort((a, b) => codes[a] - codes[b] || a - b);
+            indices.forEach((index, i) => { keys[i] = index; });
+        } else {
+            keys.sort();
+            for (let i = 0; i < count; i++) keys[i] = keys[i] % INDEX_BITS;
+        }
+
+        const levels = new Uint8Array(count);
+        let previous = -1;
+        for (let i = 0; i < count; i++) {
+            const index = keys[i];
+            const code = codes[index];
+            if (previous < 0) {
+                levels[index] = 0;
+            } else {
+                const diff = (code ^ previous) >>> 0;
+                // Highest differing bit decides the first depth where the cells differ
+                levels[index] = diff === 0
+                    ? this.depth + 1
+                    : this.depth - Math.floor((31 - Math.clz32(diff)) / 3);
+            }
+            previous = code;
+        }
+        return levels;
+    }
+
+    mortonCodes(positions, count) {
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < count; i++) {
+            const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+            if (x < minX) minX = x; if (x > maxX) maxX = x;
+            if (y < minY) minY = y; if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+        }
+
+        // Cubic cells, so every level splits space evenly
+        const cells = 1 << this.depth;
+        const extent = Math.max(maxX - minX, maxY - minY, maxZ - minZ) || 1;
+        const scale = (cells - 1) / extent;
+
+        const codes = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            const x = Math.floor((positions[i * 3] - minX) * scale);
+            const y = Math.floor((positions[i * 3 + 1] - minY) * scale);
+            const z = Math.floor((positions[i * 3 + 2] - minZ) * scale);
+            codes[i] = (this.spread(x) << 2 | this.spread(y) << 1 | this.spread(z)) >>> 0;
+        }
+        return codes;
+    }
+
+    // Insert two zero bits between each of the low 10 bits
+    spread(v) {
+        v &= 0x3ff;
+        v = (v | (v << 16)) & 0x030000ff;
+        v = (v | (v << 8)) & 0x0300f00f;
+        v = (v | (v << 4)) & 0x030c30c3;
+        v = (v | (v << 2)) & 0x09249249;
+        return v;
+    }
+
+    permute(array, order, size) {
+        const result = new array.constructor(array.length);
+        for (let i = 0; i < order.length; i++) {
+            const from = order[i] * size;
+            for (let c = 0; c < size; c++) {
+                result[i * size + c] = array[from + c];
+            }
+        }
+        return result;
+    }
+}
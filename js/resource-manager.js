@@ -0,0 +1,244 @@
+/**
+ * Resource Manager
+ * Accounts for the GPU memory of each cluster (and of extras like the
+ * alpha view's morph cloud) and frees what is not on screen.
+ *
+ * Resources are grouped by owner: a cluster path or a name. An owner's
+ * geometries, materials and textures are found by walking its root objects
+ * whenever they are needed, so layers added later (frustums, outliers,
+ * bundle adjustment layers) are included without registering them.
+ * Layers that are freed on their own (bundle adjustment layers) are also
+ * tracked explicitly, and untracked when they go. Render targets have no
+ * scene object and are registered explicitly.
+ *
+ * Unloading frees only the GPU copies (geometry.dispose()): the arrays stay
+ * in memory and three.js uploads them again the next time the cluster is
+ * drawn, so a freed cluster can be shown at any time. With autoUnload on,
+ * clusters hidden for HIDDEN_DELAY seconds are freed by update().
+ */
+export class ResourceManager {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.owners = new Map(); // owner -> { roots: Object3D[], renderTargets: WebGLRenderTarget[] }
+        this.clusters = new Map(); // owner -> Cluster, for the clusters tracked with trackClusters()
+
+        // Owners drawn since they were last freed, i.e. with their copies on the GPU
+        this.resident = new Set();
+        this.hiddenSince = new Map(); // owner -> seconds
+
+        this.autoUnload = false;
+        this.HIDDEN_DELAY = 10;
+
+        // Leaving the page (or going into the back/forward cache) frees the
+        // GPU copies right away instead of whenever the context is collected
+        window.addEventListener('pagehide', () => this.unloadAll());
+    }
+
+    /**
+     * Account an object tree (e.g. a morph cloud) under an owner name
+     */
+    track(owner, root) {
+        if (!root) return;
+        this.entry(owner).roots.push(root);
+    }
+
+    /**
+     * Stop accounting an object tree, e.g. once its owner freed it for good
+     */
+    untrack(owner, root) {
+        const entry = this.owners.get(owner);
+        if (!entry) return;
+        entry.roots = entry.roots.filter(r => r !== root);
+    }
+
+    trackRenderTarget(owner, renderTarget) {
+        this.entry(owner).renderTargets.push(renderTarget);
+        this.resident.add(owner);
+    }
+
+    /**
+     * Account every cluster's group under its path
+     */
+    trackClusters(clusters) {
+        for (const cluster of clusters.values()) {
+            this.track(cluster.path, cluster.group);
+            this.clusters.set(cluster.path, cluster);
+        }
+    }
+
+    entry(owner) {
+        if (!this.owners.has(owner)) this.owners.set(owner, { roots: [], renderTargets: [] });
+        return this.owners.get(owner);
+    }
+
+    /**
+     * Geometries, materials and textures under an owner's roots
+     */
+    collect(owner) {
+        const geometries = new Set();
+        const materials = new Set();
+        const textures = new Set();
+        const { roots, renderTargets } = this.owners.get(owner);
+
+        for (const root of roots) {
+            root.traverse(object => {
+                if (object.geometry) geometries.add(object.geometry);
+                const list = Array.isArray(object.material) ? object.material : [object.material];
+                for (const material of list) {
+                    if (!material) continue;
+                    materials.add(material);
+                    for (const value of Object.values(material)) {
+                        if (value && value.isTexture) textures.add(value);
+                    }
+                }
+            });
+        }
+        return { geometries, materials, textures, renderTargets };
+    }
+
+    /**
+     * Estimated bytes an owner takes on the GPU when uploaded
+     */
+    estimate(owner) {
+        const { geometries, textures, renderTargets } = this.collect(owner);
+        let bytes = 0;
+        for (const geometry of geometries) bytes += geometryBytes(geometry);
+        for (const texture of textures) bytes += textureBytes(texture.image, texture.generateMipmaps);
+        for (const target of renderTargets) {
+            // Color + depth, times the MSAA samples
+            bytes += target.width * target.height * (4 + (target.depthBuffer ? 4 : 0)) * Math.max(1, target.samples || 0);
+        }
+        return bytes;
+    }
+
+    /**
+     * Per owner: estimated bytes and whether it is on the GPU now
+     * @returns {{owners: Array<{owner, bytes, resident, shown}>, residentBytes, totalBytes}}
+     */
+    getStats() {
+        const owners = [];
+        let residentBytes = 0, totalBytes = 0;
+        for (const owner of this.owners.keys()) {
+            const bytes = this.estimate(owner);
+            const resident = this.resident.has(owner);
+            owners.push({ owner, bytes, resident, shown: this.isOwnerShown(owner) });
+            totalBytes += bytes;
+            if (resident) residentBytes += bytes;
+        }
+        owners.sort((a, b) => b.bytes - a.bytes);
+        return { owners, residentBytes, totalBytes };
+    }
+
+    /**
+     * Track what is drawn; with autoUnload, free clusters hidden for long enough.
+     * Called every frame.
+     */
+    update() {
+        const now = performance.now() / 1000;
+        for (const owner of this.owners.keys()) {
+            if (this.isOwnerShown(owner)) {
+                // Shown objects get (re)uploaded by the next render
+                this.resident.add(owner);
+                this.hiddenSince.delete(owner);
+            } else if (!this.hiddenSince.has(owner)) {
+                this.hiddenSince.set(owner, now);
+            }
+        }
+
+        if (!this.autoUnload) return;
+        for (const [owner, since] of this.hiddenSince) {
+            if (this.clusters.has(owner) && this.resident.has(owner) && now - since >= this.HIDDEN_DELAY) {
+                this.unload(owner);
+            }
+        }
+    }
+
+    isOwnerShown(owner) {
+        return this.owners.get(owner).roots.some(root => {
+            let shown = false;
+            root.traverseVisible(object => {
+                if (object.geometry && object.material && object.material.visible !== false && isInScene(object)) shown = true;
+            });
+            return shown;
+        });
+    }
+
+    /**
+     * Free an owner's GPU copies; they come back when it is drawn again
+     */
+    unload(owner) {
+        const { geometries, textures } = this.collect(owner);
+        for (const geometry of geometries) geometry.dispose();
+        for (const texture of textures) texture.dispose();
+        this.resident.delete(owner);
+    }
+
+    /**
+     * Free every cluster that is not on screen
+     * @returns {number} Clusters freed
+     */
+    unloadHidden() {
+        let freed = 0;
+        for (const owner of this.clusters.keys()) {
+            if (this.resident.has(owner) && !this.isOwnerShown(owner)) {
+                this.unload(owner);
+                freed++;
+            }
+        }
+        console.log(`ResourceManager: freed ${freed} hidden clusters`);
+        return freed;
+    }
+
+    unloadAll() {
+        for (const owner of this.owners.keys()) this.unload(owner);
+    }
+
+    /**
+     * Free an owner for good (materials and render targets too) and stop
+     * accounting for it
+     */
+    dispose(owner) {
+        if (!this.owners.has(owner)) return;
+        const { materials, renderTargets } = this.collect(owner);
+        this.unload(owner);
+        for (const material of materials) material.dispose();
+        for (const target of renderTargets) target.dispose();
+        this.owners.delete(owner);
+        this.clusters.delete(owner);
+        this.hiddenSince.delete(owner);
+    }
+
+    /**
+     * Free every owner for good, when the view is torn down
+     */
+    disposeAll() {
+        for (const owner of [...this.owners.keys()]) this.dispose(owner);
+    }
+}
+
+function geometryBytes(geometry) {
+    let bytes = geometry.index ? geometry.index.array.byteLength : 0;
+    const buffers = new Set();
+    for (const attribute of Object.values(geometry.attributes)) {
+        // Interleaved attributes share one buffer
+        buffers.add(attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array);
+    }
+    for (const array of buffers) bytes += array.byteLength;
+    return bytes;
+}
+
+function textureBytes(image, mipmaps) {
+    if (!image || !image.width || !image.height) return 0;
+    const bytes = image.width * image.height * 4;
+    return mipmaps ? Math.round(bytes * 4 / 3) : bytes;
+}
+
+// Part of a scene, i.e. not detached from it (traverseVisible already checked visibility on the way down)
+function isInScene(object) {
+    let top = object;
+    while (top.parent) {
+        if (!top.parent.visible) return false;
+        top = top.parent;
+    }
+    return top.isScene === true;
+}
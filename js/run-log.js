@@ -0,0 +1,107 @@
+/**
+ * Run Log
+ * When each leaf/merged folder of a reconstruction was actually computed,
+ * so the event timeline can replay the real order and spacing instead of a
+ * made-up one (see EventTimelineEngine).
+ *
+ * Accepted inputs:
+ *   JSON - { "clusters": { "<path>": { "start": t, "finish": t } } },
+ *          the same map at the top level, or [{ "path", "start", "finish" }]
+ *   CSV  - a header row naming at least `path` and `finish` (`start` optional)
+ *   manifest.json "timings" - written by `generate_manifest.py --timings`
+ *                             from file mtimes (finish only)
+ *
+ * Paths are the viewer's folder paths (C_1/C_1_2/ba_output, merged); a prefix
+ * such as the results directory is ignored. Times are epoch seconds or
+ * milliseconds, or ISO 8601 strings; only differences matter.
+ */
+export class RunLog {
+    /**
+     * @param {Map<string, {start: number|null, finish: number}>} entries - times in seconds
+     * @param {string} source - Where the log came from, for messages
+     */
+    constructor(entries, source = 'run log') {
+        this.entries = entries;
+        this.source = source;
+        this.origin = Math.min(...Array.from(entries.values(), entry => entry.start ?? entry.finish));
+    }
+
+    /**
+     * Fetch and parse a JSON or CSV run log; null when missing or unreadable
+     */
+    static async load(url, fetchFile = (u) => fetch(u)) {
+        try {
+            const response = await fetchFile(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const text = await response.text();
+            const log = /\.csv$/i.test(url) ? RunLog.fromCsv(text, url) : RunLog.fromJson(JSON.parse(text), url);
+            console.log(`RunLog: ${log.entries.size} timed folders from ${url}`);
+            return log;
+        } catch (e) {
+            console.warn(`RunLog: could not read ${url} (${e.message}), using the default event order`);
+            return null;
+        }
+    }
+
+    static fromJson(json, source) {
+        const records = Array.isArray(json)
+            ? json
+            : Object.entries(json.clusters ?? json.timings ?? json).map(([path, times]) => ({ path, ...times }));
+        return RunLog.fromRecords(records, source);
+    }
+
+    static fromCsv(text, source) {
+        const [header, ...rows] = text.trim().split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim()));
+        const columns = header.map(name => name.toLowerCase());
+        if (!columns.includes('path') || !columns.includes('finish')) {
+            throw new Error('CSV needs path and finish columns');
+        }
+        const records = rows.map(cells => Object.fromEntries(columns.map((name, i) => [name, cells[i]])));
+        return RunLog.fromRecords(records, source);
+    }
+
+    static fromRecords(records, source) {
+        const entries = new Map();
+        for (const record of records) {
+            const finish = parseTime(record.finish);
+            if (!record.path || finish === null) continue;
+            const path = String(record.path).replace(/^\.?\/+|\/+$/g, '');
+            entries.set(path, { start: parseTime(record.start), finish });
+        }
+        if (entries.size === 0) throw new Error('no timed folders');
+        return new RunLog(entries, source);
+    }
+
+    /**
+     * Times of a cluster path in seconds since the first logged time, or null
+     * @returns {{start: number|null, finish: number}|null}
+     */
+    get(path) {
+        let entry = this.entries.get(path);
+        if (!entry) {
+            // Logged with a prefix, e.g. results/C_1/ba_output; a prefix ending in a
+            // cluster folder belongs to a deeper path (C_1/merged is not merged)
+            for (const [key, value] of this.entries) {
+                const prefix = key.slice(0, -path.length - 1);
+                if (key.endsWith(`/${path}`) && !/(^|\/)C_[^/]*$/.test(prefix)) {
+                    entry = value;
+                    break;
+                }
+            }
+        }
+        if (!entry) return null;
+        return {
+            start: entry.start === null ? null : entry.start - this.origin,
+            finish: entry.finish - this.origin
+        };
+    }
+}
+
+// Seconds from epoch seconds/milliseconds or an ISO string; null if unparseable
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (Number.isFinite(number)) return number > 1e11 ? number / 1000 : number;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : date / 1000;
+}
@@ -0,0 +1,223 @@
+import { downloadBlob } from './file-download.js?v=1';
+
+/**
+ * Timeline File
+ * The event list of a timeline view as a file: versioned JSON that can be
+ * loaded back into any timeline view, plus Markdown and CSV tables like the
+ * ones in docs/EVENT-TIMELINE.md.
+ *
+ * JSON (see docs/timeline.schema.json):
+ *   {
+ *     "schema": "gtsfm-timeline", "version": 1,
+ *     "dataset": "gerrard-hall", "order": "random",
+ *     "events": [
+ *       { "number": 1, "type": "fade_in", "path": "C_2/ba_output", "inputs": [],
+ *         "description": "C_2/ba_output appears", "duration": 0.8,
+ *         "caption": "optional text shown with the event",
+ *         "time": 12.5 }
+ *     ]
+ *   }
+ *
+ * duration is how long autoplay stays on the event (seconds); time is the
+ * optional run log time (seconds since the run started).
+ */
+export const TIMELINE_SCHEMA = 'gtsfm-timeline';
+export const TIMELINE_VERSION = 1;
+
+export const EVENT_TYPES = ['fade_in', 'leaf_promotion', 'parent_merge', 'final_merge'];
+
+export class TimelineFile {
+    /**
+     * @param {Array<Object>} events - number, type, path, inputs, description, duration, caption?, time?, start?
+     * @param {Object} meta - dataset, order
+     * @param {string} source - Where the timeline came from, for messages
+     */
+    constructor(events, meta = {}, source = 'timeline') {
+        this.events = events;
+        this.dataset = meta.dataset ?? null;
+        this.order = meta.order ?? null;
+        this.source = source;
+    }
+
+    /**
+     * The events an EventTimelineEngine holds now
+     * @param {EventTimelineEngine} engine
+     * @param {Function} getDuration - (eventIndex) => seconds autoplay stays on it
+     */
+    static fromEngine(engine, getDuration, meta = {}) {
+        const events = engine.events.map((event, index) => {
+            const entry = {
+                number: event.number,
+                type: event.type,
+                path: event.path,
+                inputs: [...event.inputs],
+                description: event.description,
+                duration: round(getDuration(index))
+            };
+            if (event.caption) entry.caption = event.caption;
+            if (event.time != null) entry.time = round(event.time);
+            if (event.start != null) entry.start = round(event.start);
+            return entry;
+        });
+        return new TimelineFile(events, { order: engine.order, ...meta });
+    }
+
+    /**
+     * Fetch and parse a timeline JSON; null when missing or unreadable
+     */
+    static async load(url, fetchFile = (u) => fetch(u)) {
+        try {
+            const response = await fetchFile(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const timeline = TimelineFile.fromJson(JSON.parse(await response.text()), url);
+            console.log(`TimelineFile: ${timeline.events.length} events from ${url}`);
+            return timeline;
+        } catch (e) {
+            console.warn(`TimelineFile: could not read ${url} (${e.message}), building the events instead`);
+            return null;
+        }
+    }
+
+    /**
+     * Check a parsed timeline JSON against the schema; throws on the first
+     * problem, naming the event
+     */
+    static fromJson(json, source = 'timeline') {
+        if (!json || json.schema !== TIMELINE_SCHEMA) {
+            throw new Error(`not a timeline file (expected "schema": "${TIMELINE_SCHEMA}")`);
+        }
+        if (!Number.isInteger(json.version) || json.version < 1) {
+            throw new Error('missing or invalid "version"');
+        }
+        if (json.version > TIMELINE_VERSION) {
+            throw new Error(`version ${json.version} is newer than this viewer reads (${TIMELINE_VERSION})`);
+        }
+        if (!Array.isArray(json.events) || json.events.length === 0) {
+            throw new Error('"events" must be a non-empty array');
+        }
+
+        const events = json.events.map((event, i) => {
+            const where = `event ${event?.number ?? i + 1}`;
+            if (!event || typeof event !== 'object') throw new Error(`${where}: not an object`);
+            if (!Number.isInteger(event.number) || event.number < 1) throw new Error(`${where}: "number" must be a positive integer`);
+            if (!EVENT_TYPES.includes(event.type)) throw new Error(`${where}: "type" must be one of ${EVENT_TYPES.join(', ')}`);
+            if (typeof event.path !== 'string' || !event.path) throw new Error(`${where}: "path" must be a folder path`);
+            if (!Array.isArray(event.inputs) || event.inputs.some(p => typeof p !== 'string')) throw new Error(`${where}: "inputs" must be an array of paths`);
+            if (typeof event.description !== 'string') throw new Error(`${where}: "description" must be a string`);
+            if (typeof event.duration !== 'number' || !(event.duration >= 0)) throw new Error(`${where}: "duration" must be a number of seconds`);
+            if (event.caption !== undefined && typeof event.caption !== 'string') throw new Error(`${where}: "caption" must be a string`);
+            for (const key of ['time', 'start']) {
+                if (event[key] != null && typeof event[key] !== 'number') throw new Error(`${where}: "${key}" must be a number of seconds`);
+            }
+            return {
+                number: event.number,
+                type: event.type,
+                path: event.path,
+                inputs: [...event.inputs],
+                description: event.description,
+                duration: event.duration,
+                caption: event.caption ?? null,
+                time: event.time ?? null,
+                start: event.start ?? null
+            };
+        });
+        events.sort((a, b) => a.number - b.number);
+        return new TimelineFile(events, json, source);
+    }
+
+    toJson() {
+        return JSON.stringify({
+            schema: TIMELINE_SCHEMA,
+            version: TIMELINE_VERSION,
+            dataset: this.dataset,
+            order: this.order,
+            events: this.events
+        }, null, 2);
+    }
+
+    /**
+     * An event types summary and one row per event, as in docs/EVENT-TIMELINE.md
+     */
+    toMarkdown() {
+        const captions = this.events.some(event => event.caption);
+        const lines = [
+            `# Event Timeline${this.dataset ? ` - ${this.dataset}` : ''}`,
+            '',
+            `${this.events.length} events${this.order ? `, order: ${this.order}` : ''}.`,
+            '',
+            '## Event Types',
+            '',
+            '| Type | Events | Count |',
+            '|------|--------|-------|'
+        ];
+        for (const type of EVENT_TYPES) {
+            const numbers = this.events.filter(event => event.type === type).map(event => event.number);
+            if (numbers.length > 0) lines.push(`| **${type}** | ${formatRanges(numbers)} | ${numbers.length} |`);
+        }
+
+        lines.push('', '## Events', '');
+        lines.push(`| Event | Path | Inputs | Type | Description | Duration |${captions ? ' Caption |' : ''}`);
+        lines.push(`|-------|------|--------|------|-------------|----------|${captions ? '---------|' : ''}`);
+        for (const event of this.events) {
+            const inputs = event.inputs.length > 0 ? event.inputs.map(p => `\`${p}\``).join(' + ') : '-';
+            const cells = [
+                `**${event.number}**`,
+                `\`${event.path}\``,
+                inputs,
+                event.type,
+                escapeMarkdown(event.description),
+                `${event.duration}s`
+            ];
+            if (captions) cells.push(escapeMarkdown(event.caption ?? ''));
+            lines.push(`| ${cells.join(' | ')} |`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * One row per event; inputs separated by ' + '
+     */
+    toCsv() {
+        const columns = ['number', 'type', 'path', 'inputs', 'description', 'duration', 'caption', 'time'];
+        const rows = this.events.map(event => [
+            event.number,
+            event.type,
+            event.path,
+            event.inputs.join(' + '),
+            event.description,
+            event.duration,
+            event.caption ?? '',
+            event.time ?? ''
+        ].map(csvCell).join(','));
+        return [columns.join(','), ...rows].join('\n') + '\n';
+    }
+
+    download(text, filename) {
+        downloadBlob(new Blob([text], { type: 'text/plain' }), filename);
+    }
+}
+
+// Seconds to the millisecond, so the files stay readable
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// [1, 2, 3, 7] -> "1-3, 7"
+function formatRanges(numbers) {
+    const ranges = [];
+    for (const n of numbers) {
+        const last = ranges[ranges.length - 1];
+        if (last && n === last[1] + 1) last[1] = n;
+        else ranges.push([n, n]);
+    }
+    return ranges.map(([a, b]) => a === b ? `${a}` : `${a}-${b}`).join(', ');
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,85 @@
+import { OverlayPanel } from './overlay-panel.js?v=1';
+import { TimelineFile } from './timeline-file.js?v=2';
+
+const FORMATS = {
+    json: { label: 'JSON (re-importable)', extension: 'json', write: timeline => timeline.toJson() },
+    markdown: { label: 'Markdown table', extension: 'md', write: timeline => timeline.toMarkdown() },
+    csv: { label: 'CSV table', extension: 'csv', write: timeline => timeline.toCsv() }
+};
+
+/**
+ * Timeline Panel
+ * Saves the view's event list (see timeline-file.js) and loads a timeline
+ * JSON to play instead of the built events.
+ */
+export class TimelinePanel {
+    /**
+     * @param {Function} getTimeline - () => TimelineFile of the current events
+     * @param {Function} onImport - (TimelineFile) => number of events in use
+     * @param {Object} options - OverlayPanel options (position, theme), plus
+     *                           name: file name prefix
+     */
+    constructor(getTimeline, onImport, options = {}) {
+        this.getTimeline = getTimeline;
+        this.onImport = onImport;
+        this.name = options.name ?? 'timeline';
+        this.panel = new OverlayPanel('Timeline file', options);
+        this.panel.toggleCollapsed();
+
+        this.formatSelect = document.createElement('select');
+        this.formatSelect.style.width = '100%';
+        for (const [value, format] of Object.entries(FORMATS)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = format.label;
+            this.formatSelect.appendChild(option);
+        }
+
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export events';
+        exportButton.addEventListener('click', () => this.exportTimeline());
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => this.importFile(this.fileInput.files[0]));
+
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import JSON';
+        importButton.title = 'Play the events of a timeline file in this view';
+        importButton.addEventListener('click', () => this.fileInput.click());
+
+        this.status = document.createElement('div');
+        this.status.style.marginTop = '6px';
+
+        const content = document.createElement('div');
+        content.append(this.formatSelect, exportButton, document.createElement('br'), importButton, this.fileInput, this.status);
+        this.panel.setContent(content);
+    }
+
+    exportTimeline() {
+        const format = FORMATS[this.formatSelect.value];
+        const timeline = this.getTimeline();
+        const filename = `${this.name}-timeline.${format.extension}`;
+        timeline.download(format.write(timeline), filename);
+        this.status.textContent = `${filename}: ${timeline.events.length} events`;
+    }
+
+    async importFile(file) {
+        if (!file) return;
+        try {
+            const timeline = TimelineFile.fromJson(JSON.parse(await file.text()), file.name);
+            const count = this.onImport(timeline);
+            const dropped = timeline.events.length - count;
+            this.status.textContent = `${file.name}: playing ${count} events` +
+                (dropped > 0 ? ` (${dropped} for folders not loaded were skipped)` : '');
+        } catch (e) {
+            console.error('Timeline import failed:', e);
+            this.status.textContent = `Import failed: ${e.message}`;
+        } finally {
+            // The same file can be picked again after editing it
+            this.fileInput.value = '';
+        }
+    }
+}
@@ -0,0 +1,192 @@
+import { findRootCluster } from './pipeline-backends.js?v=4';
+
+/**
+ * Timeline Validator
+ * Checks the loaded merge tree, and optionally an event list built from it
+ * (EventTimelineEngine, an imported timeline file, or a tree view's own
+ * events through fromMergeEvents()), before anything plays:
+ *
+ *   Tree   - cycles in the merge dependencies, merge inputs that were never
+ *            loaded, folders merged into two parents, orphans not connected
+ *            to the root
+ *   Events - folders that appear twice, merges whose inputs never appear
+ *            (or only after the merge), inputs merged twice, folders the
+ *            events never show, events for folders that are not loaded
+ *
+ * Errors break playback (clusters pop in from nowhere or stay on screen);
+ * warnings only mean part of the tree is never shown.
+ */
+
+export const CHECK_LABELS = {
+    no_root: 'No root',
+    cycle: 'Dependency cycle',
+    missing_input: 'Missing input',
+    late_input: 'Input after its merge',
+    merged_twice: 'Merged twice',
+    shown_twice: 'Shown twice',
+    unknown_folder: 'Unknown folder',
+    orphan: 'Orphan',
+    never_shown: 'Never shown'
+};
+
+/**
+ * A tree view's merge events ({path, hide} in the puzzle view, {path,
+ * children} in the hierarchy views) as validator events: each event shows
+ * its folder and hides the folders merged into it
+ */
+export function fromMergeEvents(events) {
+    return events.map((event, index) => ({
+        number: index + 1,
+        path: event.path,
+        inputs: event.hide ?? event.children ?? []
+    }));
+}
+
+export class TimelineValidator {
+    /**
+     * @param {Map<string, Cluster>} clusters
+     */
+    constructor(clusters) {
+        this.clusters = clusters;
+    }
+
+    /**
+     * @param {Array<Object>|null} events - Timeline events (path, inputs), or null for the tree only
+     * @returns {{issues: Array<{severity: 'error'|'warning', check: string, path: string, message: string}>,
+     *            errors: number, warnings: number, clusters: number, events: number|null}}
+     */
+    validate(events = null) {
+        const issues = [];
+        const add = (severity, check, path, message) => issues.push({ severity, check, path, message });
+
+        this.checkTree(add);
+        if (events) this.checkEvents(events, add);
+
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        const report = {
+            issues,
+            errors,
+            warnings: issues.length - errors,
+            clusters: this.clusters.size,
+            events: events ? events.length : null
+        };
+
+        console.log(`TimelineValidator: ${report.errors} errors, ${report.warnings} warnings`
+            + ` (${report.clusters} clusters${events ? `, ${events.length} events` : ''})`);
+        for (const issue of issues) {
+            console.warn(`  [${CHECK_LABELS[issue.check]}] ${issue.path}: ${issue.message}`);
+        }
+        return report;
+    }
+
+    checkTree(add) {
+        const root = findRootCluster(this.clusters);
+        if (!root) {
+            add('error', 'no_root', '(tree)', 'no merged folder without a parent, so there is no final merge');
+        }
+
+        // Inputs that were never loaded, and folders claimed by two merges
+        const parents = new Map();
+        for (const cluster of this.clusters.values()) {
+            for (const child of cluster.childrenPaths) {
+                if (!this.clusters.has(child)) {
+                    add('error', 'missing_input', cluster.path, `input ${child} is not in the loaded tree`);
+                    continue;
+                }
+                if (parents.has(child)) {
+                    add('error', 'merged_twice', child, `input of both ${parents.get(child)} and ${cluster.path}`);
+                } else {
+                    parents.set(child, cluster.path);
+                }
+            }
+        }
+
+        for (const cycle of this.findCycles()) {
+            add('error', 'cycle', cycle[0], `${cycle.join(' -> ')} -> ${cycle[0]}`);
+        }
+
+        // Everything should hang off the root; a second parentless folder is never merged
+        if (root) {
+            const reached = new Set();
+            const stack = [root.path];
+            while (stack.length > 0) {
+                const path = stack.pop();
+                if (reached.has(path)) continue;
+                reached.add(path);
+                stack.push(...this.clusters.get(path).childrenPaths.filter(p => this.clusters.has(p)));
+            }
+            for (const path of this.clusters.keys()) {
+                if (!reached.has(path) && !parents.has(path)) {
+                    add('warning', 'orphan', path, `not connected to the root ${root.path}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Each dependency cycle once, as the list of paths around it
+     */
+    findCycles() {
+        const cycles = [];
+        const state = new Map(); // path -> 'visiting' | 'done'
+        const stack = [];
+
+        const visit = (path) => {
+            state.set(path, 'visiting');
+            stack.push(path);
+            for (const child of this.clusters.get(path).childrenPaths) {
+                if (!this.clusters.has(child)) continue;
+                if (state.get(child) === 'visiting') {
+                    cycles.push(stack.slice(stack.indexOf(child)));
+                } else if (!state.has(child)) {
+                    visit(child);
+                }
+            }
+            stack.pop();
+            state.set(path, 'done');
+        };
+
+        for (const path of this.clusters.keys()) {
+            if (!state.has(path)) visit(path);
+        }
+        return cycles;
+    }
+
+    checkEvents(events, add) {
+        // Event index at which each folder appears
+        const shownAt = new Map();
+        events.forEach((event, index) => {
+            if (!this.clusters.has(event.path)) {
+                add('error', 'unknown_folder', event.path, `event ${event.number} shows a folder that is not loaded`);
+            }
+            if (shownAt.has(event.path)) {
+                add('error', 'shown_twice', event.path, `appears in events ${events[shownAt.get(event.path)].number} and ${event.number}`);
+            } else {
+                shownAt.set(event.path, index);
+            }
+        });
+
+        const mergedBy = new Map();
+        events.forEach((event, index) => {
+            for (const input of event.inputs) {
+                if (!shownAt.has(input)) {
+                    add('error', 'missing_input', event.path, `event ${event.number} merges ${input}, which no event shows`);
+                } else if (shownAt.get(input) > index) {
+                    add('error', 'late_input', event.path, `event ${event.number} merges ${input}, which only appears in event ${events[shownAt.get(input)].number}`);
+                }
+                if (mergedBy.has(input)) {
+                    add('error', 'merged_twice', input, `merged by events ${mergedBy.get(input).number} and ${event.number}`);
+                } else {
+                    mergedBy.set(input, event);
+                }
+            }
+        });
+
+        // Leaf and merged folders the events leave out
+        for (const cluster of this.clusters.values()) {
+            if ((cluster.role === 'leaf' || cluster.role === 'merged') && !shownAt.has(cluster.path)) {
+                add('warning', 'never_shown', cluster.path, 'no event shows it');
+            }
+        }
+    }
+}
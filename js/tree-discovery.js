@@ -0,0 +1,247 @@
+/**
+ * Tree Discovery
+ * Builds the merge-tree structure of a results directory at load time
+ * instead of relying on a hard-coded getStructure().
+ *
+ * Sources, tried in order:
+ *   1. results/manifest.json - list of leaf/merged folders (children optional)
+ *   2. The server's directory listing (e.g. `python -m http.server`), or the
+ *      folder layout itself for a local folder (LocalFolderSource)
+ *
+ * Whenever a folder's children are not given explicitly they are inferred
+ * from the C_x_y naming convention:
+ *   - C_4_1 is a child cluster of C_4, C_4 is a child of the root
+ *   - <cluster>/merged = <cluster>/<leaf> + each child cluster's result
+ *   - a child cluster's result is its merged folder, or its leaf folder
+ *     when it has no merged folder (VGGT leaf clusters)
+ *
+ * The result has the same nested shape as getStructure(), so
+ * flattenStructure() and the parent/child linking work unchanged.
+ */
+export class TreeDiscovery {
+    constructor(dataRoot, leafType = 'ba_output', mergedType = 'merged', source = null) {
+        this.dataRoot = dataRoot;
+        this.leafType = leafType;
+        this.mergedType = mergedType;
+        // LocalFolderSource, or null to fetch from the server
+        this.source = source;
+        this.fetchFile = source ? source.fetch : (url) => fetch(url);
+        this.manifestName = 'manifest.json';
+        // The parsed manifest, once discover() found one (may carry run timings)
+        this.manifest = null;
+
+        // Safety limit for directory crawling
+        this.MAX_CRAWL_DEPTH = 12;
+    }
+
+    /**
+     * Discover the structure from the manifest, then the directory listing
+     * @returns {Promise<Object|null>} Nested structure, or null if nothing was found
+     */
+    async discover() {
+        const manifest = await this.loadManifest();
+        if (manifest) {
+            const folders = manifest.folders || [];
+            console.log(`TreeDiscovery: using ${this.manifestName} (${folders.length} folders)`);
+            return this.buildStructure(this.resolveFolders(folders));
+        }
+
+        const crawled = this.source
+            ? this.source.listFolders(this.dataRoot, this.leafType, this.mergedType)
+            : await this.crawlDirectoryListing();
+        if (crawled.length > 0) {
+            console.log(`TreeDiscovery: inferred tree from ${this.source ? 'local folder' : 'directory listing'} (${crawled.length} folders)`);
+            return this.buildStructure(this.resolveFolders(crawled));
+        }
+
+        return null;
+    }
+
+    async loadManifest() {
+        try {
+            const response = await this.fetchFile(`${this.dataRoot}/${this.manifestName}`);
+            if (!response.ok) return null;
+            const manifest = await response.json();
+            if (manifest.leafType) this.leafType = manifest.leafType;
+            this.manifest = manifest;
+            return manifest;
+        } catch (e) {
+            console.warn(`TreeDiscovery: could not read ${this.manifestName}:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Walk HTML directory listings below the data root and collect every
+     * leaf/merged folder inside C_x_y cluster folders.
+     */
+    async crawlDirectoryListing() {
+        const folders = [];
+
+        const crawl = async (prefix, depth) => {
+            if (depth > this.MAX_CRAWL_DEPTH) return;
+
+            const entries = await this.listDirectory(prefix);
+            for (const name of entries) {
+                const path = prefix ? `${prefix}/${name}` : name;
+                if (name === this.leafType || name === this.mergedType) {
+                    folders.push(path);
+                } else if (this.isClusterName(name)) {
+                    await crawl(path, depth + 1);
+                }
+            }
+        };
+
+        await crawl('', 0);
+        return folders;
+    }
+
+    /**
+     * Return the sub-directory names linked from a directory listing page
+     */
+    async listDirectory(prefix) {
+        try {
+            const url = prefix ? `${this.dataRoot}/${prefix}/` : `${this.dataRoot}/`;
+            const response = await fetch(url);
+            if (!response.ok) return [];
+            const contentType = response.headers.get('content-type') || '';
+            if (!contentType.includes('html')) return [];
+
+            const html = await response.text();
+            const names = new Set();
+            for (const match of html.matchAll(/href="([^"?#]+)\/"/g)) {
+                const name = decodeURIComponent(match[1]).split('/').pop();
+                if (name && name !== '..' && name !== '.') names.add(name);
+            }
+            return Array.from(names);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    isClusterName(name) {
+        return /^C(_\d+)+$/.test(name);
+    }
+
+    /**
+     * Turn manifest/crawled folder entries into flat nodes with children.
+     * Entries are either a path string or { path, type?, children? }.
+     */
+    resolveFolders(entries) {
+        const nodes = new Map(); // path -> { path, type, children }
+
+        for (const entry of entries) {
+            const spec = typeof entry === 'string' ? { path: entry } : entry;
+            if (!spec || !spec.path) continue;
+
+            const path = spec.path.replace(/^\/+|\/+$/g, '');
+            const type = spec.type || path.split('/').pop();
+            nodes.set(path, {
+                path,
+                type,
+                children: Array.isArray(spec.children) ? spec.children : null
+            });
+        }
+
+        // Cluster directories ('' is the root cluster)
+        const clusterDirs = new Set();
+        for (const path of nodes.keys()) {
+            clusterDirs.add(this.dirname(path));
+        }
+
+        // Parent directory of every cluster directory
+        const childDirs = new Map(); // dir -> [child dirs]
+        for (const dir of clusterDirs) {
+            if (dir === '') continue;
+            const parent = this.findParentDir(dir, clusterDirs);
+            if (!childDirs.has(parent)) childDirs.set(parent, []);
+            childDirs.get(parent).push(dir);
+        }
+        for (const dirs of childDirs.values()) {
+            dirs.sort((a, b) => this.compareClusterNames(this.basename(a), this.basename(b)));
+        }
+
+        const join = (dir, name) => dir ? `${dir}/${name}` : name;
+
+        // Infer missing children
+        for (const node of nodes.values()) {
+            if (node.children) continue;
+            if (node.type !== this.mergedType) {
+                node.children = [];
+                continue;
+            }
+
+            const dir = this.dirname(node.path);
+            const children = [];
+            const ownLeaf = join(dir, this.leafType);
+            if (nodes.has(ownLeaf)) children.push(ownLeaf);
+
+            for (const childDir of childDirs.get(dir) || []) {
+                const childMerged = join(childDir, this.mergedType);
+                const childLeaf = join(childDir, this.leafType);
+                if (nodes.has(childMerged)) children.push(childMerged);
+                else if (nodes.has(childLeaf)) children.push(childLeaf);
+            }
+            node.children = children;
+        }
+
+        return Array.from(nodes.values());
+    }
+
+    /**
+     * Parent cluster directory from the naming convention (C_4_1 -> C_4 -> root),
+     * falling back to the enclosing directory.
+     */
+    findParentDir(dir, clusterDirs) {
+        const name = this.basename(dir);
+        const enclosing = this.dirname(dir);
+        if (!this.isClusterName(name)) return enclosing;
+
+        const parentName = name.replace(/_\d+$/, '');
+        if (parentName === 'C') return '';
+        if (this.basename(enclosing) === parentName) return enclosing;
+
+        for (const candidate of clusterDirs) {
+            if (this.basename(candidate) === parentName) return candidate;
+        }
+        return enclosing;
+    }
+
+    /**
+     * Build the nested structure object consumed by flattenStructure()
+     */
+    buildStructure(nodes) {
+        const structure = {};
+        for (const node of nodes) {
+            const segments = node.path.split('/');
+            let container = structure;
+            for (const segment of segments.slice(0, -1)) {
+                if (!container[segment]) container[segment] = {};
+                container = container[segment];
+            }
+            container[segments[segments.length - 1]] = {
+                type: node.type,
+                children: node.children
+            };
+        }
+        return structure;
+    }
+
+    compareClusterNames(a, b) {
+        const pa = a.split('_').slice(1).map(Number);
+        const pb = b.split('_').slice(1).map(Number);
+        for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+            if (pa[i] !== pb[i]) return pa[i] - pb[i];
+        }
+        return pa.length - pb.length;
+    }
+
+    dirname(path) {
+        const idx = path.lastIndexOf('/');
+        return idx === -1 ? '' : path.slice(0, idx);
+    }
+
+    basename(path) {
+        return path.split('/').pop();
+    }
+}
@@ -0,0 +1,81 @@
+import { OverlayPanel } from './overlay-panel.js?v=1';
+import { CHECK_LABELS } from './timeline-validator.js?v=4';
+
+const SEVERITY_COLORS = {
+    error: '#e53935',
+    warning: '#fb8c00'
+};
+
+/**
+ * Validation Panel
+ * The TimelineValidator report on screen: what is wrong with the merge tree
+ * or the event list, so a broken dataset shows up before it plays.
+ */
+export class ValidationPanel {
+    /**
+     * @param {TimelineValidator} validator
+     * @param {Object} options - OverlayPanel options (position, theme)
+     */
+    constructor(validator, options = {}) {
+        this.validator = validator;
+        this.panel = new OverlayPanel('Timeline check', { position: 'bottom-left', ...options });
+    }
+
+    /**
+     * Validate again, e.g. after the events changed
+     * @param {Array<Object>|null} events - null checks the tree only
+     */
+    update(events = null) {
+        this.report = this.validator.validate(events);
+        this.render();
+        return this.report;
+    }
+
+    render() {
+        const { issues, errors, warnings, clusters, events } = this.report;
+
+        const counts = [];
+        if (errors > 0) counts.push(`${errors} error${errors === 1 ? '' : 's'}`);
+        if (warnings > 0) counts.push(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+        this.panel.setTitle(counts.length > 0 ? `Timeline check (${counts.join(', ')})` : 'Timeline check');
+        // Only open by default when there is something to look at
+        this.panel.toggleCollapsed(issues.length === 0);
+
+        const content = document.createElement('div');
+        const summary = document.createElement('div');
+        summary.style.marginBottom = '6px';
+        summary.textContent = `${clusters} clusters${events === null ? '' : `, ${events} events`} checked`
+            + (issues.length === 0 ? ' · no problems found' : '');
+        content.appendChild(summary);
+
+        // Errors first, then by check
+        const sorted = [...issues].sort((a, b) =>
+            (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) || a.check.localeCompare(b.check));
+        for (const issue of sorted) {
+            content.appendChild(this.createRow(issue));
+        }
+
+        this.panel.setContent(content);
+    }
+
+    createRow(issue) {
+        const row = document.createElement('div');
+        row.style.cssText = 'margin: 4px 0; line-height: 1.4;';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+        const swatch = document.createElement('span');
+        swatch.style.cssText = `width: 8px; height: 8px; border-radius: 50%; flex-shrink: 0; background: ${SEVERITY_COLORS[issue.severity]};`;
+        const name = document.createElement('span');
+        name.style.fontWeight = '600';
+        name.textContent = issue.path;
+        title.append(swatch, name);
+
+        const text = document.createElement('div');
+        text.style.cssText = 'opacity: 0.75; word-break: break-word;';
+        text.textContent = `${CHECK_LABELS[issue.check]}: ${issue.message}`;
+
+        row.append(title, text);
+        return row;
+    }
+}
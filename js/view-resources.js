@@ -0,0 +1,41 @@
+import { ResourceManager } from './resource-manager.js?v=3';
+import { MemoryPanel } from './memory-panel.js?v=1';
+import { LODEngine } from './lod-engine.js?v=1';
+
+/**
+ * View Resources
+ * GPU memory accounting and level of detail, set up the same way by every
+ * view once its clusters are loaded.
+ *
+ * Sets on the app:
+ *   resources   - ResourceManager tracking every cluster (and any extras)
+ *   memoryPanel - MemoryPanel showing it
+ *   lodEngine   - LODEngine, updated by the app's animate()
+ *
+ * @param {Object} app - The view; its renderer and camera are used
+ * @param {Map<string, Cluster>} clusters
+ * @param {Object} options - theme: panel theme,
+ *                           extras: { owner: Object3D } accounted besides the clusters
+ */
+export function setupViewResources(app, clusters, options = {}) {
+    // GPU memory per cluster; hidden clusters can give their buffers back
+    app.resources = new ResourceManager(app.renderer);
+    app.resources.trackClusters(clusters);
+    for (const [owner, root] of Object.entries(options.extras ?? {})) {
+        app.resources.track(owner, root);
+    }
+    app.memoryPanel = new MemoryPanel(app.resources, options.theme ? { theme: options.theme } : {});
+
+    // Level of detail: point budget by screen size, coarse while moving
+    app.lodEngine = new LODEngine(app.camera, app.renderer, clusters);
+}
+
+/**
+ * Free what setupViewResources() set up, and the clusters' GPU memory with
+ * it, when the view is torn down
+ */
+export function disposeViewResources(app) {
+    // The panel polls the manager every second until it is destroyed
+    if (app.memoryPanel) app.memoryPanel.destroy();
+    if (app.resources) app.resources.disposeAll();
+}
@@ -0,0 +1,79 @@
+import * as THREE from 'three';
+
+/**
+ * Wave Player
+ * Plays a wave of concurrent events (EventTimelineEngine waves) with one of
+ * the timeline animation engines. While a wave plays, one shot frames all
+ * of it and the events leave the camera alone: the engine checks `held`
+ * before moving the camera, and calls eventStarted() from playEvent().
+ */
+export class WavePlayer {
+    /**
+     * @param {Object} engine - Animation engine with eventEngine, playEvent(index, direction) and FOCUS_DISTANCE
+     * @param {Object} options
+     *   position(path)            - Where the cluster is shown (Vector3), or null
+     *   focus(center, distance)   - Moves the engine's camera
+     *   onWaveStart()             - Optional, before the wave's events play
+     */
+    constructor(engine, options) {
+        this.engine = engine;
+        this.position = options.position;
+        this.focus = options.focus;
+        this.onWaveStart = options.onWaveStart || null;
+
+        this.playing = false;
+        this.held = false;
+    }
+
+    /**
+     * Play the events of a wave after afterEvent all at once. A wave of
+     * several events gets one camera shot over all their clusters.
+     */
+    play(waveIndex, afterEvent = -1) {
+        const eventEngine = this.engine.eventEngine;
+        const wave = eventEngine.getWave(waveIndex);
+        if (!wave) return;
+        const indices = wave.events.filter(index => index > afterEvent);
+        console.log(`\n▶ Playing Wave ${wave.number}: ${wave.description}`);
+
+        this.held = false;
+        if (this.onWaveStart) this.onWaveStart();
+        if (indices.length > 1) {
+            const box = new THREE.Box3();
+            for (const index of indices) {
+                const event = eventEngine.getEvent(index);
+                for (const path of [event.path, ...event.inputs]) {
+                    const position = this.position(path);
+                    if (position) box.expandByPoint(position);
+                }
+            }
+            if (!box.isEmpty()) {
+                const center = box.getCenter(new THREE.Vector3());
+                const spread = box.getSize(new THREE.Vector3()).length() / 2;
+                this.focus(center, Math.max(this.engine.FOCUS_DISTANCE, spread * 2 + 50));
+            }
+            this.held = true;
+        }
+
+        this.playing = true;
+        for (const index of indices) this.engine.playEvent(index, 1);
+        this.playing = false;
+    }
+
+    /**
+     * Called as an event starts playing
+     * @returns {boolean} True if it plays on its own (not as part of a wave)
+     */
+    eventStarted() {
+        if (this.playing) return false;
+        this.held = false;
+        return true;
+    }
+
+    /**
+     * Jumping to an event lets go of the camera
+     */
+    release() {
+        this.held = false;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Worker Pool
+ * Fixed set of module workers fed from a FIFO queue.
+ *
+ * Protocol: the pool posts { id, task, args } and the worker answers
+ * { id, result } or { id, error, code?, status? }, optionally preceded by any number of
+ * { id, chunk } partial results. Typed arrays should be sent back as
+ * transferables so nothing is copied.
+ */
+export class WorkerPool {
+    /**
+     * @param {URL|string} scriptUrl - Module worker script
+     * @param {number} size - Number of workers (defaults to cores - 1, max 4)
+     */
+    constructor(scriptUrl, size = WorkerPool.defaultSize()) {
+        this.scriptUrl = scriptUrl;
+        this.size = size;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.pending = new Map(); // task id -> { resolve, reject, onChunk, worker }
+        this.nextId = 1;
+        this.completed = 0;
+        this.broken = false; // Workers failed before finishing any task
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    static defaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.min(4, Math.max(1, cores - 1));
+    }
+
+    /**
+     * Queue a task
+     * @param {Function} onChunk - Optional, called with each partial result
+     * @returns {Promise} Resolves with the worker's result
+     */
+    run(task, args = [], onChunk = null) {
+        return new Promise((resolve, reject) => {
+            if (this.broken) {
+                reject(WorkerPool.failure('Workers unavailable'));
+                return;
+            }
+            this.queue.push({ id: this.nextId++, task, args, onChunk, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            const worker = this.idle.pop() ?? this.spawn();
+            if (!worker) return;
+
+            const job = this.queue.shift();
+            this.pending.set(job.id, { resolve: job.resolve, reject: job.reject, onChunk: job.onChunk, worker });
+            worker.postMessage({ id: job.id, task: job.task, args: job.args });
+        }
+    }
+
+    spawn() {
+        if (this.workers.length >= this.size) return null;
+
+        const worker = new Worker(this.scriptUrl, { type: 'module' });
+        worker.onmessage = (event) => this.onMessage(worker, event.data);
+        worker.onerror = (event) => this.onWorkerError(worker, event);
+        this.workers.push(worker);
+        return worker;
+    }
+
+    onMessage(worker, data) {
+        const job = this.pending.get(data.id);
+        if (!job) return;
+
+        if (data.chunk) {
+            if (job.onChunk) job.onChunk(data.chunk);
+            return;
+        }
+        this.pending.delete(data.id);
+        this.completed++;
+
+        if (data.error) {
+            // code/status are copied over so callers can tell failures apart
+            const error = new Error(data.error);
+            error.code = data.code;
+            error.status = data.status;
+            job.reject(error);
+        } else {
+            job.resolve(data.result);
+        }
+
+        this.idle.push(worker);
+        this.dispatch();
+    }
+
+    /**
+     * The worker itself failed (e.g. module workers unsupported, script error).
+     * Its running tasks are rejected with workerFailure set so callers can fall
+     * back; if no worker ever finished a task the whole pool is marked broken.
+     */
+    onWorkerError(worker, event) {
+        const message = event.message || 'Worker failed';
+        console.warn('Worker failed:', message);
+
+        for (const [id, job] of this.pending) {
+            if (job.worker !== worker) continue;
+            this.pending.delete(id);
+            job.reject(WorkerPool.failure(message));
+        }
+
+        worker.terminate();
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+
+        if (this.completed === 0) {
+            this.broken = true;
+            for (const job of this.queue) job.reject(WorkerPool.failure(message));
+            this.queue = [];
+            return;
+        }
+        this.dispatch();
+    }
+
+    static failure(message) {
+        const error = new Error(message);
+        error.workerFailure = true;
+        return error;
+    }
+
+    terminate() {
+        for (const worker of this.workers) worker.terminate();
+        for (const job of this.pending.values()) job.reject(new Error('Worker pool terminated'));
+        for (const job of this.queue) job.reject(new Error('Worker pool terminated'));
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.pending.clear();
+    }
+}